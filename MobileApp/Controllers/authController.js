@@ -7,7 +7,7 @@ const { AppError, catchAsync } = require('../utils/errorHandler');
 const { generateTokens, verifyRefreshToken } = require('../utils/tokenManager');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
 const { validateWalletSignature } = require('../utils/cryptoUtils');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
 
 class AuthController {
   // User Registration with Email Verification
@@ -0,0 +1,92 @@
+const { catchAsync } = require('../utils/errorHandler');
+const { auditLogger } = require('../utils/logger');
+const fraudRuleService = require('../services/fraudRuleService');
+const abuseSignals = require('../services/abuseSignals');
+
+class FraudRuleController {
+  // Every rule, including disabled ones, with the score bands they feed
+  getFraudRules = catchAsync(async (req, res) => {
+    const rules = await fraudRuleService.list();
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        thresholds: fraudRuleService.thresholds()
+      }
+    });
+  });
+
+  createFraudRule = catchAsync(async (req, res) => {
+    const rule = await fraudRuleService.create(req.body, req.user.userId);
+
+    auditLogger.info('Fraud rule created', {
+      ruleId: rule.ruleId,
+      game: rule.game,
+      weight: rule.weight,
+      adminId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Fraud rule ${rule.ruleId} created`,
+      data: { rule }
+    });
+  });
+
+  // Enable, disable or tune (weight, condition, explanation)
+  updateFraudRule = catchAsync(async (req, res) => {
+    const { ruleId } = req.params;
+    const rule = await fraudRuleService.update(ruleId, req.body, req.user.userId);
+
+    auditLogger.info('Fraud rule updated', {
+      ruleId,
+      fields: Object.keys(req.body),
+      enabled: rule.enabled,
+      weight: rule.weight,
+      adminId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: `Fraud rule ${ruleId} updated`,
+      data: { rule }
+    });
+  });
+
+  // Re-score historical proofs under proposed rule changes and thresholds; saves nothing
+  backtestFraudRules = catchAsync(async (req, res) => {
+    const report = await fraudRuleService.backtest(req.body);
+
+    auditLogger.info('Fraud rules backtested', {
+      changes: (req.body.rules || []).map(rule => rule.ruleId),
+      proofsScored: report.proofsScored,
+      changed: report.changed.total,
+      adminId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  });
+
+  // Users linked by a shared game account or IP address in recent verification attempts
+  getAccountClusters = catchAsync(async (req, res) => {
+    const { game, days = 30, minUsers = 2, limit = 50 } = req.query;
+
+    const report = await abuseSignals.clusters({
+      game,
+      days: parseInt(days),
+      minUsers: Math.max(parseInt(minUsers), 2),
+      limit: Math.min(parseInt(limit), 200)
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  });
+}
+
+module.exports = new FraudRuleController();
@@ -0,0 +1,69 @@
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const { gameAdapters } = require('../services/gameAdapters');
+const accountLinkService = require('../services/accountLinkService');
+
+// The code and where to put it are only shown while the link is pending
+const presentLink = (link) => {
+  const { challengeCode, challengeExpiresAt, confirmAttempts, ...rest } = link.get({ plain: true });
+  if (link.status !== 'pending') return rest;
+
+  return {
+    ...rest,
+    challenge: {
+      code: challengeCode,
+      expiresAt: challengeExpiresAt,
+      instructions: gameAdapters.get(link.game).ownershipInstructions
+    }
+  };
+};
+
+class GameAccountController {
+  getLinkedAccounts = catchAsync(async (req, res) => {
+    const links = await accountLinkService.list(req.user.userId);
+
+    res.json({
+      success: true,
+      data: { accounts: links.map(presentLink) }
+    });
+  });
+
+  // Step 1: get a code to put on the game profile
+  startAccountLink = catchAsync(async (req, res) => {
+    const { game, gameAccount, region } = req.body;
+    if (!game || !gameAccount) {
+      throw new AppError('game and gameAccount are required', 400);
+    }
+
+    const link = await accountLinkService.start(req.user.userId, { game, gameAccount, region });
+
+    res.status(link.status === 'linked' ? 200 : 201).json({
+      success: true,
+      message: link.status === 'linked'
+        ? 'This account is already linked to your profile'
+        : 'Add the code to your game profile, then confirm the link',
+      data: { account: presentLink(link) }
+    });
+  });
+
+  // Step 2: the code is looked for on the game profile
+  confirmAccountLink = catchAsync(async (req, res) => {
+    const link = await accountLinkService.confirm(req.user.userId, req.params.linkId);
+
+    res.json({
+      success: true,
+      message: `${link.displayName} is linked to your profile. You can remove the code now.`,
+      data: { account: presentLink(link) }
+    });
+  });
+
+  unlinkAccount = catchAsync(async (req, res) => {
+    const link = await accountLinkService.unlink(req.user.userId, req.params.linkId);
+
+    res.json({
+      success: true,
+      message: `${link.displayName} was unlinked`
+    });
+  });
+}
+
+module.exports = new GameAccountController();
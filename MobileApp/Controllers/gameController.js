@@ -3,13 +3,26 @@ const { auditLogger, logger } = require('../utils/logger');
 const db = require('../Models');
 const { Op } = require('sequelize');
 const gameApiClient = require('../services/apiClient');
-const zkTLSService = require('../services/zkTLSService');
-const { EnhancedGameService, FraudDetectionService } = require('../services/enhancedGameService');
+const { EnhancedGameService } = require('../services/enhancedGameService');
+const { upstreamLimiter, SKILL_LEVELS } = require('../services/gameAdapters');
+const verificationPipeline = require('../services/verificationPipeline');
+const verificationQueue = require('../services/verificationQueue');
+const fraudRuleService = require('../services/fraudRuleService');
+const accountLinkService = require('../services/accountLinkService');
+const reviewService = require('../services/reviewService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Job event streams re-read the job this often, and close after the max (clients reconnect)
+const JOB_STREAM_POLL_MS = 1000;
+const JOB_STREAM_MAX_MS = 5 * 60 * 1000;
+// Tie-break for players with equal scores
+const FRESHNESS_ORDER = { fresh: 0, stale: 1 };
+// Players a leaderboard or teammate lookup considers, most recently verified first
+const MAX_RANKED_PLAYERS = 1000;
 
 class GameController {
   constructor() {
     this.gameService = new EnhancedGameService();
-    this.fraudDetector = new FraudDetectionService();
   }
 
   // Get supported games with detailed information
@@ -49,9 +62,9 @@ class GameController {
     });
   });
 
-  // Enhanced player stats verification with comprehensive fraud detection
+  // Queues player stats verification; the pipeline runs in the verification worker (services/verificationQueue)
   verifyPlayerStats = catchAsync(async (req, res, next) => {
-    const { game, gameAccount, questId } = req.body;
+    const { game, gameAccount, questId, region } = req.body;
     const userId = req.user.userId;
 
     // Validate quest exists and user can access it
@@ -60,20 +73,27 @@ class GameController {
       return next(new AppError('Quest not found', 404));
     }
 
-    // Check if user already has verification for this quest
+    // Check if user already has verification for this quest; expired proofs can be replaced
     const existingProof = await db.Proof.findOne({
-      where: { userId, questId }
+      where: { userId, questId, verified: true, freshness: { [Op.ne]: 'expired' } }
     });
 
-    if (existingProof && existingProof.verified) {
+    if (existingProof) {
       return next(new AppError('You have already completed verification for this quest', 400));
     }
 
-    // Rate limiting check - user specific
+    // Only accounts the user proved they control can be verified; the worker checks
+    // the exact account once it is resolved upstream
+    if (!(await accountLinkService.hasLinkedAccount(userId, game))) {
+      return next(new AppError('Link your game account before verifying. See POST /api/games/accounts.', 403));
+    }
+
+    // Rate limiting check - user specific; attempts lost to game API outages don't count
     const recentAttempts = await db.VerificationAttempt.count({
       where: {
         userId,
         game,
+        upstreamFailure: false,
         attemptedAt: {
           [Op.gte]: new Date(Date.now() - 60 * 60 * 1000) // Last hour
         }
@@ -90,144 +110,119 @@ class GameController {
       return next(new AppError('Too many verification attempts. Please wait an hour before trying again.', 429));
     }
 
-    let verificationAttempt;
-    try {
-      // Create verification attempt record
-      verificationAttempt = await db.VerificationAttempt.create({
-        userId,
-        game,
-        gameAccount,
-        questId,
-        success: false,
-        ipAddress: req.ip,
-        userAgent: req.get('User-Agent')
-      });
+    // One verification per quest at a time; resubmitting returns the job already in flight
+    const pendingJob = await db.VerificationJob.findOne({
+      where: { userId, questId, status: { [Op.in]: ['queued', 'running'] } }
+    });
+    if (pendingJob) {
+      return res.status(202).json(this.jobAccepted(pendingJob));
+    }
 
-      // Fetch and validate player stats
-      logger.info(`Starting verification for ${game}:${gameAccount.substring(0, 8)}...`);
-      
-      const statsResult = await this.gameService.fetchPlayerStatsWithValidation(
-        game, 
-        gameAccount, 
-        userId
-      );
-      
-      // Run fraud detection analysis
-      const fraudAnalysis = await this.fraudDetector.analyzeStats(
-        game, 
-        gameAccount, 
-        statsResult.stats, 
-        userId
-      );
-
-      // Generate zkTLS proof
-      const zkProof = await zkTLSService.generateProof(
-        game, 
-        gameAccount, 
-        statsResult
-      );
-
-      // Determine verification status based on fraud score
-      const isVerified = fraudAnalysis < 70; // Threshold for auto-approval
-      const needsManualReview = fraudAnalysis >= 50 && fraudAnalysis < 70;
-
-      // Store the proof
-      const proof = await db.Proof.create({
-        userId,
-        questId,
-        gameAccount,
-        apiSource: game,
-        statFetched: {
-          ...statsResult,
-          fraudScore: fraudAnalysis,
-          zkProof: zkProof.commitment
-        },
-        verificationHash: zkProof.proof.circuit_proof,
-        verified: isVerified,
-        submittedAt: new Date(),
-        needsManualReview
-      });
+    const verificationAttempt = await db.VerificationAttempt.create({
+      userId,
+      game,
+      gameAccount,
+      questId,
+      success: false,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-      // Update quest progress if automatically verified
-      if (isVerified) {
-        await this.updateQuestProgress(userId, questId, statsResult.skillLevel);
-        
-        // Submit to blockchain
-        const chainResult = await zkTLSService.submitToChain(zkProof, userId, questId);
-        proof.blockchainTx = chainResult.transactionHash;
-        await proof.save();
-      }
+    const job = await verificationQueue.enqueue({
+      userId,
+      questId,
+      attemptId: verificationAttempt.attemptId,
+      game,
+      gameAccount,
+      region
+    });
 
-      // Update verification attempt as successful
-      await verificationAttempt.update({
-        success: true,
-        fraudScore: fraudAnalysis
-      });
+    auditLogger.info('Verification queued', {
+      userId,
+      game,
+      gameAccount: gameAccount.substring(0, 8) + '...',
+      questId,
+      jobId: job.jobId
+    });
 
-      // Log successful verification
-      auditLogger.info('Player verification completed', {
-        userId,
-        game,
-        gameAccount: gameAccount.substring(0, 8) + '...',
-        questId,
-        skillLevel: statsResult.skillLevel,
-        fraudScore: fraudAnalysis,
-        autoVerified: isVerified,
-        needsReview: needsManualReview,
-        proofId: proof.proofId
-      });
+    res.status(202).json(this.jobAccepted(job));
+  });
 
-      const responseData = {
-        success: true,
-        message: isVerified ? 'Verification successful!' : 
-                needsManualReview ? 'Verification submitted for manual review' :
-                'Verification failed due to high fraud risk',
-        data: {
-          proof: {
-            proofId: proof.proofId,
-            verified: proof.verified,
-            needsManualReview,
-            skillLevel: statsResult.skillLevel,
-            fraudScore: fraudAnalysis
-          },
-          stats: this.sanitizeStatsForResponse(statsResult.stats),
-          warnings: statsResult.warnings || [],
-          zkProof: zkProof.commitment,
-          blockchainTx: proof.blockchainTx || null
-        }
-      };
+  // Verification job status; `result` once it succeeded, `error` once it failed or while it waits to retry
+  getVerificationJob = catchAsync(async (req, res, next) => {
+    const job = await this.findJobForUser(req, next);
+    if (!job) return;
 
-      res.status(isVerified ? 200 : 202).json(responseData);
+    res.json({
+      success: true,
+      data: this.presentJob(job)
+    });
+  });
 
-    } catch (error) {
-      // Update verification attempt with error
-      if (verificationAttempt) {
-        await verificationAttempt.update({
-          error: error.message,
-          fraudScore: error.fraudScore || 0
-        });
-      }
+  // Server-sent events: a `job` event on every status or stage change, then `done`
+  streamVerificationJob = catchAsync(async (req, res, next) => {
+    const job = await this.findJobForUser(req, next);
+    if (!job) return;
 
-      auditLogger.error('Verification failed', {
-        userId,
-        game,
-        gameAccount: gameAccount.substring(0, 8) + '...',
-        questId,
-        error: error.message,
-        stack: error.stack
-      });
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers until flushed
+      if (res.flush) res.flush();
+    };
+
+    let lastUpdate = null;
+    let closed = false;
+    let timer = null;
+    const startedAt = Date.now();
 
-      // Handle specific error types
-      if (error.message.includes('not found')) {
-        return next(new AppError(`${game} account not found. Please check your username/ID.`, 404));
-      } else if (error.message.includes('rate limit')) {
-        return next(new AppError(`${game} API rate limit reached. Please try again in a few minutes.`, 429));
-      } else if (error.message.includes('private') || error.message.includes('visibility')) {
-        return next(new AppError('Account profile is private. Please make it public for verification.', 403));
+    const finish = () => {
+      closed = true;
+      clearTimeout(timer);
+      res.end();
+    };
+    req.on('close', () => {
+      closed = true;
+      clearTimeout(timer);
+    });
+
+    const poll = async (current) => {
+      if (closed) return;
+
+      const updatedAt = new Date(current.updatedAt).getTime();
+      if (updatedAt !== lastUpdate) {
+        lastUpdate = updatedAt;
+        send('job', this.presentJob(current));
       }
 
-      throw error;
-    }
+      if (['succeeded', 'failed'].includes(current.status)) {
+        send('done', { jobId: current.jobId, status: current.status });
+        return finish();
+      }
+      // Clients reconnect and pick up from the current state
+      if (Date.now() - startedAt > JOB_STREAM_MAX_MS) {
+        return finish();
+      }
+
+      timer = setTimeout(async () => {
+        try {
+          const next = await db.VerificationJob.findByPk(current.jobId);
+          await poll(next || current);
+        } catch (error) {
+          logger.error('Verification job stream failed', { jobId: current.jobId, error: error.message });
+          finish();
+        }
+      }, JOB_STREAM_POLL_MS);
+    };
+
+    await poll(job);
   });
 
   // Get verification history with detailed analytics
@@ -262,7 +257,8 @@ class GameController {
             model: db.World, 
             attributes: ['worldId', 'name'] 
           }]
-        }
+        },
+        { model: db.ProofReview, attributes: { exclude: ['history', 'note'] } }
       ],
       order: [[sortBy, sortOrder]],
       limit: parseInt(limit),
@@ -278,10 +274,7 @@ class GameController {
     res.json({
       success: true,
       data: {
-        verifications: verifications.map(v => ({
-          ...v.toJSON(),
-          stats: this.sanitizeStatsForResponse(v.statFetched?.stats)
-        })),
+        verifications: verifications.map(v => this.presentProof(v, req.user)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(count / parseInt(limit)),
@@ -294,16 +287,11 @@ class GameController {
     });
   });
 
-  // Re-verify proof with enhanced validation
+  // Queues a re-verification of the proof; the result updates its freshness (see services/proofFreshness)
   reverifyProof = catchAsync(async (req, res, next) => {
     const { proofId } = req.params;
-    
-    const proof = await db.Proof.findByPk(proofId, {
-      include: [
-        { model: db.User, attributes: ['userId', 'username'] },
-        { model: db.Quest, attributes: ['questId', 'title'] }
-      ]
-    });
+
+    const proof = await db.Proof.findByPk(proofId);
 
     if (!proof) {
       return next(new AppError('Proof not found', 404));
@@ -314,87 +302,36 @@ class GameController {
       return next(new AppError('Access denied', 403));
     }
 
-    // Check if proof is recent enough
-    const hoursSinceSubmission = (Date.now() - new Date(proof.submittedAt)) / (1000 * 60 * 60);
-    if (hoursSinceSubmission > 24) {
-      return next(new AppError('Proof is too old to re-verify. Please submit a new verification.', 400));
+    if (!proof.verified) {
+      return next(new AppError('Only verified proofs can be re-verified. Please submit a new verification.', 400));
     }
 
-    try {
-      // Re-fetch current stats
-      const currentStats = await this.gameService.fetchPlayerStatsWithValidation(
-        proof.apiSource,
-        proof.gameAccount,
-        proof.userId
-      );
-      
-      // Compare with original stats
-      const originalStats = proof.statFetched?.stats;
-      const consistency = this.calculateStatsConsistency(originalStats, currentStats.stats);
-      
-      // Re-run fraud detection
-      const newFraudScore = await this.fraudDetector.analyzeStats(
-        proof.apiSource,
-        proof.gameAccount,
-        currentStats.stats,
-        proof.userId
-      );
-
-      // Re-verify zkTLS proof
-      const verificationResult = await zkTLSService.verifyProof(
-        currentStats,
-        proof.verificationHash
-      );
-
-      const isStillValid = verificationResult.valid && 
-                          consistency.score > 0.7 && 
-                          newFraudScore < 70;
-
-      await proof.update({
-        verified: isStillValid,
-        lastVerified: new Date(),
-        statFetched: {
-          ...proof.statFetched,
-          reVerification: {
-            timestamp: new Date(),
-            currentStats: currentStats.stats,
-            consistencyScore: consistency.score,
-            newFraudScore
-          }
-        }
-      });
+    const pendingJob = await db.VerificationJob.findOne({
+      where: { proofId: proof.proofId, kind: 'refresh', status: { [Op.in]: ['queued', 'running'] } }
+    });
+    if (pendingJob) {
+      return res.status(202).json(this.jobAccepted(pendingJob));
+    }
 
-      auditLogger.info('Proof re-verified', {
-        proofId,
-        userId: proof.userId,
-        game: proof.apiSource,
-        originallyVerified: proof.verified,
-        stillValid: isStillValid,
-        consistencyScore: consistency.score,
-        newFraudScore,
-        requester: req.user.userId
-      });
+    const job = await verificationQueue.enqueue({
+      kind: 'refresh',
+      proofId: proof.proofId,
+      userId: proof.userId,
+      questId: proof.questId,
+      game: proof.apiSource,
+      gameAccount: proof.gameAccount,
+      region: proof.gameRegion
+    });
 
-      res.json({
-        success: true,
-        data: {
-          proofId,
-          verified: isStillValid,
-          consistencyScore: consistency.score,
-          fraudScore: newFraudScore,
-          warnings: consistency.warnings,
-          reVerifiedAt: new Date()
-        }
-      });
+    auditLogger.info('Proof re-verification queued', {
+      proofId: proof.proofId,
+      userId: proof.userId,
+      game: proof.apiSource,
+      jobId: job.jobId,
+      requester: req.user.userId
+    });
 
-    } catch (error) {
-      auditLogger.error('Re-verification failed', {
-        proofId,
-        error: error.message,
-        requester: req.user.userId
-      });
-      return next(new AppError('Re-verification failed: ' + error.message, 500));
-    }
+    res.status(202).json(this.jobAccepted(job));
   });
 
   // Get user's game-specific stats summary
@@ -402,7 +339,7 @@ class GameController {
     const { game } = req.params;
     const userId = req.user.userId;
 
-    if (!this.gameService.supportedGames[game]) {
+    if (!this.gameService.isSupported(game)) {
       return next(new AppError('Unsupported game', 400));
     }
 
@@ -410,8 +347,10 @@ class GameController {
       where: {
         userId,
         apiSource: game,
-        verified: true
+        verified: true,
+        freshness: { [Op.ne]: 'expired' }
       },
+      include: [{ model: db.Quest, attributes: ['requirement'] }],
       order: [['submittedAt', 'DESC']],
       limit: 5
     });
@@ -436,15 +375,35 @@ class GameController {
       ? this.calculateImprovement(userProofs)
       : null;
 
+    // Latest upstream stats for the verified account, served stale-while-revalidate.
+    // Display only: proofs always fetch fresh
+    const current = await this.gameService.getPlayerStats(
+      game,
+      latestProof.gameAccount,
+      userId,
+      { region: latestProof.gameRegion, requirement: latestProof.Quest?.requirement, cache: 'swr' }
+    ).catch(error => {
+      logger.warn(`Current stats unavailable for ${game}`, { userId, error: error.message });
+      return null;
+    });
+
     res.json({
       success: true,
       data: {
         game,
         hasVerifications: true,
         latestStats: this.sanitizeStatsForResponse(stats),
+        currentStats: current && {
+          stats: this.sanitizeStatsForResponse(current.stats),
+          skillLevel: this.gameService.assessSkillLevelAdvanced(game, current.stats),
+          fetchedAt: current.fetchedAt,
+          stale: current.stale
+        },
         skillLevel,
         verificationCount: userProofs.length,
-        lastVerified: latestProof.submittedAt,
+        lastVerified: latestProof.lastVerified || latestProof.submittedAt,
+        freshness: latestProof.freshness,
+        expiresAt: latestProof.expiresAt,
         improvement,
         gameAccount: latestProof.gameAccount
       }
@@ -486,60 +445,25 @@ class GameController {
     });
   });
 
-  // Get game leaderboard
+  // Get game leaderboard: each player's latest unexpired proof. Stale proofs still
+  // count until they expire (see services/proofFreshness), but rank below fresh ones on a tie
   getGameLeaderboard = catchAsync(async (req, res, next) => {
     const { game } = req.params;
     const { limit = 50, offset = 0 } = req.query;
 
-    if (!this.gameService.supportedGames[game]) {
+    if (!this.gameService.isSupported(game)) {
       return next(new AppError('Unsupported game', 400));
     }
 
-    // Get top players for this game based on skill assessment
-    const leaderboard = await db.sequelize.query(`
-      SELECT 
-        u.username,
-        u."userId",
-        p."gameAccount",
-        p."statFetched",
-        p."submittedAt",
-        ROW_NUMBER() OVER (
-          PARTITION BY u."userId" 
-          ORDER BY p."submittedAt" DESC
-        ) as rn
-      FROM proofs p
-      JOIN users u ON p."userId" = u."userId"
-      WHERE p."apiSource" = :game 
-        AND p.verified = true
-      ORDER BY p."submittedAt" DESC
-      LIMIT :limit OFFSET :offset
-    `, {
-      replacements: { game, limit: parseInt(limit), offset: parseInt(offset) },
-      type: db.Sequelize.QueryTypes.SELECT
-    });
+    const entries = (await this.currentVerifiedProofs(game))
+      .map(entry => this.presentPlayer(game, entry))
+      .sort((a, b) => b.score - a.score || FRESHNESS_ORDER[a.freshness] - FRESHNESS_ORDER[b.freshness]);
 
-    // Filter to get only latest verification per user and calculate scores
-    const processedLeaderboard = leaderboard
-      .filter(entry => entry.rn === 1)
-      .map(entry => {
-        const stats = entry.statFetched?.stats;
-        const skillLevel = this.gameService.assessSkillLevelAdvanced(game, stats);
-        const score = this.calculateLeaderboardScore(game, stats);
-        
-        return {
-          username: entry.username,
-          userId: entry.userId,
-          gameAccount: entry.gameAccount,
-          skillLevel,
-          score,
-          stats: this.sanitizeStatsForResponse(stats),
-          lastVerified: entry.submittedAt
-        };
-      })
-      .sort((a, b) => b.score - a.score)
+    const processedLeaderboard = entries
+      .slice(parseInt(offset), parseInt(offset) + parseInt(limit))
       .map((entry, index) => ({
         ...entry,
-        rank: index + 1
+        rank: parseInt(offset) + index + 1
       }));
 
     res.json({
@@ -547,7 +471,45 @@ class GameController {
       data: {
         game,
         leaderboard: processedLeaderboard,
-        totalEntries: processedLeaderboard.length
+        totalEntries: entries.length
+      }
+    });
+  });
+
+  // Find teammates: other players whose current proof for the game meets the filters.
+  // `fresh=true` leaves out players whose last refresh failed
+  findTeammates = catchAsync(async (req, res, next) => {
+    const { game } = req.params;
+    const { region, skillLevel, minScore, fresh, limit = 20 } = req.query;
+
+    if (!this.gameService.isSupported(game)) {
+      return next(new AppError('Unsupported game', 400));
+    }
+    const levels = SKILL_LEVELS.map(({ level }) => level);
+    if (skillLevel && !levels.includes(skillLevel)) {
+      return next(new AppError(`skillLevel must be one of: ${levels.join(', ')}`, 400));
+    }
+
+    // SKILL_LEVELS runs from the top level down
+    const minLevelIndex = skillLevel ? levels.indexOf(skillLevel) : levels.length;
+    const teammates = (await this.currentVerifiedProofs(game, {
+      region,
+      freshOnly: fresh === 'true',
+      excludeUserId: req.user.userId
+    }))
+      .map(entry => this.presentPlayer(game, entry))
+      .filter(entry => !skillLevel ||
+        (levels.includes(entry.skillLevel) && levels.indexOf(entry.skillLevel) <= minLevelIndex))
+      .filter(entry => !minScore || entry.score >= parseFloat(minScore))
+      .sort((a, b) => FRESHNESS_ORDER[a.freshness] - FRESHNESS_ORDER[b.freshness] || b.score - a.score)
+      .slice(0, Math.min(parseInt(limit) || 20, 50));
+
+    res.json({
+      success: true,
+      data: {
+        game,
+        teammates,
+        totalEntries: teammates.length
       }
     });
   });
@@ -559,7 +521,7 @@ class GameController {
     const { count, rows: reports } = await db.Proof.findAndCountAll({
       where: {
         [Op.or]: [
-          { 'statFetched.fraudScore': { [Op.gte]: 50 } },
+          { 'statFetched.fraudScore': { [Op.gte]: fraudRuleService.thresholds().review } },
           { needsManualReview: true }
         ]
       },
@@ -586,7 +548,9 @@ class GameController {
       data: {
         reports: reports.map(report => ({
           ...report.toJSON(),
-          fraudScore: report.statFetched?.fraudScore || 0
+          fraudScore: report.statFetched?.fraudScore || 0,
+          // Proofs from before rules were stored have no flags
+          fraudFlags: report.fraudAnalysis?.flags || []
         })),
         pagination: {
           currentPage: parseInt(page),
@@ -628,23 +592,25 @@ class GameController {
     });
   });
 
-  // Admin: Update API limits for a game
+  // Admin: Cap the upstream request budget for a game's API key (shared by all instances)
   updateApiLimits = catchAsync(async (req, res, next) => {
     const { game } = req.params;
-    const { requests, window } = req.body;
+    const requests = parseInt(req.body.requests);
+    const window = parseInt(req.body.window);
 
-    if (!this.gameService.supportedGames[game]) {
+    if (!this.gameService.isSupported(game)) {
       return next(new AppError('Unsupported game', 400));
     }
+    if (!(requests > 0) || !(window > 0)) {
+      return next(new AppError('requests and window (ms) must be positive integers', 400));
+    }
 
-    // Update rate limits (this would typically be stored in database/config)
-    this.gameService.supportedGames[game].rateLimit = {
-      requests: parseInt(requests),
-      window: parseInt(window)
-    };
+    const { rateLimitKey } = this.gameService.adapters.get(game);
+    await upstreamLimiter.setConfiguredLimits(rateLimitKey, [{ requests, window }]);
 
     auditLogger.info('API limits updated', {
       game,
+      rateLimitKey,
       newLimits: { requests, window },
       adminId: req.user.userId
     });
@@ -652,137 +618,140 @@ class GameController {
     res.json({
       success: true,
       message: `API limits updated for ${game}`,
-      data: { game, requests, window }
+      data: {
+        game,
+        rateLimitKey,
+        requests,
+        window,
+        limits: await upstreamLimiter.getLimits(rateLimitKey)
+      }
     });
   });
 
   // Helper methods
-  updateQuestProgress = async (userId, questId, skillLevel) => {
-    const progress = await db.Progress.findOne({
-      where: { userId, questId }
-    });
-
-    const score = this.calculateSkillScore(skillLevel);
-
-    if (!progress) {
-      await db.Progress.create({
-        userId,
-        questId,
-        status: 'verified',
-        completedAt: new Date(),
-        score
-      });
-    } else {
-      await progress.update({
-        status: 'verified',
-        completedAt: new Date(),
-        score: Math.max(progress.score, score)
-      });
+  jobAccepted = (job) => ({
+    success: true,
+    message: job.kind === 'refresh' ? 'Re-verification queued' : 'Verification queued',
+    data: {
+      jobId: job.jobId,
+      status: job.status,
+      stage: job.stage,
+      statusUrl: `/api/games/jobs/${job.jobId}`,
+      eventsUrl: `/api/games/jobs/${job.jobId}/events`
     }
+  });
 
-    // Update leaderboard
-    const quest = await db.Quest.findByPk(questId);
-    if (quest) {
-      await this.updateLeaderboard(userId, quest.worldId, score);
-    }
-  };
+  // Calls next() with the error and resolves to null unless the job exists and is the user's (or they're an admin)
+  findJobForUser = async (req, next) => {
+    const { jobId } = req.params;
+    const job = UUID_PATTERN.test(jobId) ? await db.VerificationJob.findByPk(jobId) : null;
 
-  updateLeaderboard = async (userId, worldId, score) => {
-    const existingEntry = await db.Leaderboard.findOne({
-      where: { userId, worldId }
-    });
-
-    if (existingEntry) {
-      await existingEntry.update({
-        score: existingEntry.score + score,
-        lastUpdated: new Date()
-      });
-    } else {
-      await db.Leaderboard.create({
-        userId,
-        worldId,
-        score,
-        lastUpdated: new Date()
-      });
+    if (!job) {
+      next(new AppError('Verification job not found', 404));
+      return null;
+    }
+    if (job.userId !== req.user.userId && req.user.role !== 'admin') {
+      next(new AppError('Access denied', 403));
+      return null;
     }
+    return job;
   };
 
-  calculateSkillScore = (skillLevel) => {
-    const scoreMap = {
-      'Novice': 50,
-      'Beginner': 100,
-      'Intermediate': 250,
-      'Intermediate+': 400,
-      'Advanced': 600,
-      'Expert': 1000
+  // Owners see why a proof was held back and how its review went; the rules, weights,
+  // evidence and reviewer notes are for admins
+  presentProof = (proof, viewer) => {
+    const { fraudAnalysis, ProofReview, ...data } = proof.toJSON();
+    return {
+      ...data,
+      stats: this.sanitizeStatsForResponse(proof.statFetched?.stats),
+      ...(viewer.role === 'admin'
+        ? { fraudAnalysis, manualReview: ProofReview || null }
+        : { review: reviewService.ownerView(proof, ProofReview) })
     };
-    return scoreMap[skillLevel] || 50;
   };
 
-  calculateLeaderboardScore = (game, stats) => {
-    // Game-specific scoring logic
-    switch (game) {
-      case 'league_of_legends':
-        const tier = stats.soloQueue?.tier || 'UNRANKED';
-        const winRate = parseFloat(stats.soloQueue?.winRate || 0);
-        const kda = stats.recentPerformance?.averageKDA || 1;
-        
-        let baseScore = this.getTierScore(tier);
-        baseScore += (winRate - 50) * 2; // Win rate bonus/penalty
-        baseScore += (kda - 1) * 50; // KDA bonus
-        
-        return Math.max(0, Math.round(baseScore));
-
-      case 'valorant':
-        const rank = stats.currentRank?.tier || 'Unranked';
-        const rr = stats.currentRank?.rr || 0;
-        const headshots = parseFloat(stats.recentPerformance?.headShotPercentage || 0);
-        
-        let valoScore = this.getValorantRankScore(rank);
-        valoScore += rr; // RR bonus
-        valoScore += headshots * 2; // Headshot accuracy bonus
-        
-        return Math.max(0, Math.round(valoScore));
+  presentJob = (job) => ({
+    jobId: job.jobId,
+    kind: job.kind,
+    questId: job.questId,
+    proofId: job.proofId,
+    game: job.game,
+    status: job.status,
+    stage: job.stage,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+    result: job.result
+      ? { ...job.result, stats: this.sanitizeStatsForResponse(job.result.stats) }
+      : null,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  });
 
-      case 'counter_strike':
-        const kdr = parseFloat(stats.combat?.kdr || 0);
-        const winRateCS = parseFloat(stats.matches?.winRate || 0);
-        const hsPercent = parseFloat(stats.combat?.headShotPercentage || 0);
-        
-        let csScore = kdr * 200;
-        csScore += winRateCS * 5;
-        csScore += hsPercent * 3;
-        
-        return Math.max(0, Math.round(csScore));
+  calculateSkillScore = (skillLevel) => verificationPipeline.calculateSkillScore(skillLevel);
 
-      default:
-        return 100;
+  calculateLeaderboardScore = (game, stats) => {
+    // Game-specific scoring lives in the game adapter
+    if (!this.gameService.isSupported(game)) {
+      return 100;
     }
+    return this.gameService.calculateLeaderboardScore(game, stats);
   };
 
-  getTierScore = (tier) => {
-    const scores = {
-      'IRON': 100, 'BRONZE': 200, 'SILVER': 400, 'GOLD': 600,
-      'PLATINUM': 800, 'DIAMOND': 1000, 'MASTER': 1200,
-      'GRANDMASTER': 1400, 'CHALLENGER': 1600
-    };
-    return scores[tier] || 50;
-  };
+  // Each player's latest verified proof for the game that hasn't expired. Scores come from the
+  // game adapter, so ranking happens in JS over at most MAX_RANKED_PLAYERS players
+  currentVerifiedProofs = async (game, { region, freshOnly = false, excludeUserId = null } = {}) => db.sequelize.query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (p."userId")
+        u.username,
+        u."userId",
+        p."gameAccount",
+        p."gameRegion",
+        p."statFetched"->'stats' AS stats,
+        p."submittedAt",
+        p."lastVerified",
+        p.freshness,
+        p."expiresAt"
+      FROM proofs p
+      JOIN users u ON p."userId" = u."userId"
+      WHERE p."apiSource" = :game
+        AND p.verified = true
+        AND p.freshness <> 'expired'
+        ${freshOnly ? "AND p.freshness = 'fresh'" : ''}
+        ${region ? 'AND p."gameRegion" = :region' : ''}
+        ${excludeUserId ? 'AND p."userId" <> :excludeUserId' : ''}
+      ORDER BY p."userId", p."submittedAt" DESC
+    ) latest
+    ORDER BY latest.freshness = 'fresh' DESC, COALESCE(latest."lastVerified", latest."submittedAt") DESC
+    LIMIT :limit
+  `, {
+    replacements: { game, region: region || null, excludeUserId, limit: MAX_RANKED_PLAYERS },
+    type: db.Sequelize.QueryTypes.SELECT
+  });
 
-  getValorantRankScore = (rank) => {
-    const rankName = rank.split(' ')[0];
-    const scores = {
-      'Iron': 100, 'Bronze': 300, 'Silver': 600, 'Gold': 900,
-      'Platinum': 1200, 'Diamond': 1500, 'Ascendant': 1800,
-      'Immortal': 2100, 'Radiant': 2400
+  presentPlayer = (game, entry) => {
+    const { stats } = entry;
+    return {
+      username: entry.username,
+      userId: entry.userId,
+      gameAccount: entry.gameAccount,
+      region: entry.gameRegion,
+      skillLevel: this.gameService.assessSkillLevelAdvanced(game, stats),
+      score: this.calculateLeaderboardScore(game, stats),
+      stats: this.sanitizeStatsForResponse(stats),
+      lastVerified: entry.lastVerified || entry.submittedAt,
+      freshness: entry.freshness,
+      expiresAt: entry.expiresAt
     };
-    return scores[rankName] || 50;
   };
 
   calculateUserAnalytics = async (userId) => {
-    const [total, verified, games] = await Promise.all([
+    const [total, verified, current, games] = await Promise.all([
       db.Proof.count({ where: { userId } }),
       db.Proof.count({ where: { userId, verified: true } }),
+      db.Proof.count({ where: { userId, verified: true, freshness: { [Op.ne]: 'expired' } } }),
       db.Proof.findAll({
         where: { userId },
         attributes: [
@@ -790,7 +759,8 @@ class GameController {
           [db.Sequelize.fn('COUNT', db.Sequelize.col('proofId')), 'count'],
           [db.Sequelize.fn('SUM', 
             db.Sequelize.cast(db.Sequelize.col('verified'), 'INTEGER')
-          ), 'verified_count']
+          ), 'verified_count'],
+          [db.Sequelize.literal(`SUM(CASE WHEN verified AND freshness <> 'expired' THEN 1 ELSE 0 END)`), 'current_count']
         ],
         group: ['apiSource'],
         raw: true
@@ -800,11 +770,14 @@ class GameController {
     return {
       totalVerifications: total,
       verifiedCount: verified,
+      // Verified proofs that still count, i.e. not expired
+      currentCount: current,
       successRate: total > 0 ? ((verified / total) * 100).toFixed(1) : 0,
       gameBreakdown: games.map(g => ({
         game: g.apiSource,
         total: parseInt(g.count),
         verified: parseInt(g.verified_count),
+        current: parseInt(g.current_count),
         successRate: ((parseInt(g.verified_count) / parseInt(g.count)) * 100).toFixed(1)
       }))
     };
@@ -812,8 +785,8 @@ class GameController {
 
   getSkillProgression = async (userId) => {
     const proofs = await db.Proof.findAll({
-      where: { userId, verified: true },
-      attributes: ['submittedAt', 'apiSource', 'statFetched'],
+      where: { userId, verified: true, freshness: { [Op.ne]: 'expired' } },
+      attributes: ['submittedAt', 'apiSource', 'statFetched', 'freshness'],
       order: [['submittedAt', 'ASC']],
       limit: 10
     });
@@ -826,20 +799,12 @@ class GameController {
         date: proof.submittedAt,
         game: proof.apiSource,
         skillLevel,
-        score: this.calculateSkillScore(skillLevel)
+        score: this.calculateSkillScore(skillLevel),
+        freshness: proof.freshness
       };
     });
   };
 
-  calculateStatsConsistency = (oldStats, newStats) => {
-    // Simplified consistency check
-    // In production, this would be much more sophisticated
-    return {
-      score: 0.85, // Mock consistency score
-      warnings: []
-    };
-  };
-
   calculateImprovement = (proofs) => {
     if (proofs.length < 2) return null;
     
@@ -0,0 +1,39 @@
+const { catchAsync } = require('../utils/errorHandler');
+const notificationService = require('../services/notificationService');
+
+class NotificationController {
+  // The signed-in user's notifications, newest first
+  getNotifications = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const { count, rows } = await notificationService.list(req.user.userId, {
+      unreadOnly: unread === 'true',
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  });
+
+  markNotificationRead = catchAsync(async (req, res) => {
+    const notification = await notificationService.markRead(req.user.userId, req.params.notificationId);
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+  });
+}
+
+module.exports = new NotificationController();
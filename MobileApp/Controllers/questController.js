@@ -1,6 +1,7 @@
 const { catchAsync, AppError } = require('../utils/errorHandler');
 const { auditLogger, logger } = require('../utils/logger');
 const db = require('../Models');
+const questCriteria = require('../services/questCriteria');
 const { Op } = require('sequelize');
 
 class QuestController {
@@ -389,6 +390,32 @@ class QuestController {
     });
   });
 
+  // Set or clear a quest's completion criteria (admin); `criteria` is an expression or a condition
+  setQuestCriteria = catchAsync(async (req, res, next) => {
+    const { questId } = req.params;
+
+    const quest = await db.Quest.findByPk(questId);
+    if (!quest) {
+      return next(new AppError('Quest not found', 404));
+    }
+
+    // Tier comparisons rank by the tiers of the quest's game
+    const criteria = questCriteria.compile(req.body.criteria, { game: quest.requirement?.game });
+    await quest.update({ criteria });
+
+    auditLogger.info('Quest criteria updated', {
+      questId: quest.questId,
+      criteria: criteria?.expression || null,
+      adminId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: criteria ? 'Quest criteria updated' : 'Quest criteria cleared',
+      data: { questId: quest.questId, criteria }
+    });
+  });
+
   // Helper method to update leaderboard
   updateLeaderboard = async (userId, worldId, score) => {
     const existingEntry = await db.Leaderboard.findOne({
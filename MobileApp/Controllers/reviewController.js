@@ -0,0 +1,89 @@
+const { catchAsync } = require('../utils/errorHandler');
+const reviewService = require('../services/reviewService');
+
+class ReviewController {
+  // Admin: the review queue, highest fraud score first; ?status=approved|rejected for decided items
+  getReviewQueue = catchAsync(async (req, res) => {
+    const { page = 1, limit = 20, status = 'pending', game, appealed } = req.query;
+
+    const { count, rows } = await reviewService.list({
+      status,
+      game,
+      appealed: appealed === undefined ? undefined : appealed === 'true',
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    const now = new Date();
+    res.json({
+      success: true,
+      data: {
+        reviews: rows.map(review => ({
+          ...review.toJSON(),
+          claimed: Boolean(review.claimedBy && review.claimExpiresAt > now)
+        })),
+        reasonCodes: reviewService.reasonCodes(),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  });
+
+  // Admin: stats, fraud flags and the user's history side by side
+  getReview = catchAsync(async (req, res) => {
+    const detail = await reviewService.detail(req.params.reviewId);
+
+    res.json({
+      success: true,
+      data: detail
+    });
+  });
+
+  claimReview = catchAsync(async (req, res) => {
+    const review = await reviewService.claim(req.params.reviewId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: `Review claimed until ${review.claimExpiresAt.toISOString()}`,
+      data: { review }
+    });
+  });
+
+  releaseReview = catchAsync(async (req, res) => {
+    const review = await reviewService.release(req.params.reviewId, req.user.userId);
+
+    res.json({
+      success: true,
+      data: { review }
+    });
+  });
+
+  // Body: { decision: 'approve' | 'reject', reasonCode, note }
+  decideReview = catchAsync(async (req, res) => {
+    const { decision, reasonCode, note } = req.body;
+    const review = await reviewService.decide(req.params.reviewId, req.user.userId, { decision, reasonCode, note });
+
+    res.json({
+      success: true,
+      message: `Proof ${review.proofId} ${review.status}`,
+      data: { review }
+    });
+  });
+
+  // Owner: one appeal of a rejected review, with a comment for the next reviewer
+  appealProof = catchAsync(async (req, res) => {
+    const review = await reviewService.appeal(req.user.userId, req.params.proofId, req.body.comment);
+
+    res.status(202).json({
+      success: true,
+      message: 'Appeal submitted. A reviewer will look at your proof again.',
+      data: { proofId: review.proofId, status: 'appealed', appealedAt: review.appealedAt }
+    });
+  });
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,81 @@
+const { catchAsync, AppError } = require('../utils/errorHandler');
+const { auditLogger } = require('../utils/logger');
+const statSourceService = require('../services/statSourceService');
+
+class StatSourceController {
+  // List all admin-defined stat sources, including disabled ones
+  getStatSources = catchAsync(async (req, res) => {
+    const sources = await statSourceService.list();
+
+    res.json({
+      success: true,
+      data: { sources }
+    });
+  });
+
+  // Create a stat source; the game becomes verifiable immediately when enabled
+  createStatSource = catchAsync(async (req, res) => {
+    const source = await statSourceService.create(req.body, req.user.userId);
+
+    auditLogger.info('Stat source created', {
+      gameId: source.gameId,
+      urlTemplate: source.urlTemplate,
+      adminId: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Stat source ${source.gameId} created`,
+      data: { source }
+    });
+  });
+
+  updateStatSource = catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+    const source = await statSourceService.update(gameId, req.body);
+
+    auditLogger.info('Stat source updated', {
+      gameId,
+      fields: Object.keys(req.body),
+      adminId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: `Stat source ${gameId} updated`,
+      data: { source }
+    });
+  });
+
+  disableStatSource = catchAsync(async (req, res) => {
+    const { gameId } = req.params;
+    await statSourceService.disable(gameId);
+
+    auditLogger.info('Stat source disabled', {
+      gameId,
+      adminId: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: `Stat source ${gameId} disabled`
+    });
+  });
+
+  // Fetch and map a real account through a draft definition before saving it
+  testStatSource = catchAsync(async (req, res, next) => {
+    const { definition, gameAccount, region } = req.body;
+    if (!definition || !gameAccount) {
+      return next(new AppError('definition and gameAccount are required', 400));
+    }
+
+    const result = await statSourceService.test(definition, gameAccount, region);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+}
+
+module.exports = new StatSourceController();
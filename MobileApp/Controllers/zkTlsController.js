@@ -1,13 +1,21 @@
 const { validationResult } = require('express-validator');
-const zkTlsService = require('../services/zkTLSService');
+const proofRequestService = require('../services/proofRequestService');
+const reclaimProviders = require('../services/reclaimProviders');
 const { logger } = require('../utils/logger');
+const { AppError, ProofVerificationError } = require('../utils/errorHandler');
 
-// This will likely be your mobile app's domain in production
-const APP_CALLBACK_URL = process.env.APP_CALLBACK_URL || 'http://localhost:3000/api/zk-tls/callback';
+/**
+ * Proof types the app can offer. `available` is false until the type's
+ * Reclaim provider id is configured.
+ */
+exports.getProofTypes = (req, res) => {
+    res.status(200).json({ proofTypes: reclaimProviders.getMetadata() });
+};
 
 /**
  * Endpoint to initiate the Reclaim proof request.
- * This function builds the verification URL and sends it to the mobile app.
+ * Opens a proof request session for the signed-in user and sends the mobile app
+ * the verification URL along with the session to poll.
  */
 exports.requestProof = async (req, res) => {
     const errors = validationResult(req);
@@ -15,13 +23,17 @@ exports.requestProof = async (req, res) => {
         return res.status(400).json({ errors: errors.array() });
     }
 
-    const { userId, proofType } = req.body;
+    const userId = req.user.userId;
+    const { proofType, questId } = req.body;
 
     try {
-        const reclaimUrl = zkTlsService.buildVerificationUrl(userId, proofType, APP_CALLBACK_URL);
-        logger.info(`Reclaim URL generated for user ${userId}: ${reclaimUrl}`);
-        res.status(200).json({ reclaimUrl });
+        const { request, reclaimUrl } = await proofRequestService.open(userId, { proofType, questId });
+        logger.info(`Reclaim proof request ${request.requestId} opened for user ${userId}`);
+        res.status(201).json({ reclaimUrl, request: proofRequestService.present(request) });
     } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         logger.error(`Error generating Reclaim URL: ${error.message}`);
         res.status(500).json({ message: "Failed to generate Reclaim URL" });
     }
@@ -29,11 +41,12 @@ exports.requestProof = async (req, res) => {
 
 /**
  * The callback endpoint that Reclaim's service hits after a proof is generated.
- * This function receives the proof and then calls the service to verify and store it.
+ * The `session` query parameter names the proof request; the proof is verified
+ * and closes that request. Unknown, expired and already used requests are rejected.
  */
 exports.reclaimCallback = async (req, res) => {
     // Reclaim sends the proof data in the query parameters
-    const { proof } = req.query;
+    const { proof, session } = req.query;
 
     if (!proof) {
         logger.warn("Reclaim callback received without a proof.");
@@ -41,14 +54,38 @@ exports.reclaimCallback = async (req, res) => {
     }
 
     try {
-        const verificationResult = await zkTlsService.verifyAndStoreProof(proof);
-        logger.info(`Proof verified and stored successfully for user ${verificationResult.proofs[0].claimData.owner}`);
+        const { request } = await proofRequestService.complete(session, proof);
+        logger.info(`Proof verified for proof request ${request.requestId} (user ${request.userId})`);
 
-        // Redirect the user back to the mobile app with a success or failure status
-        // You may want to construct a more robust URL here based on your app's deep link scheme
         res.status(200).send("Proof received and processed successfully.");
     } catch (error) {
+        // A proof that fails a verification check is the sender's problem, not ours
+        if (error instanceof ProofVerificationError) {
+            logger.warn(`Reclaim proof rejected (${error.code}): ${error.message}`);
+            return res.status(error.statusCode).json({ message: error.message, code: error.code });
+        }
+        if (error instanceof AppError) {
+            logger.warn(`Reclaim callback rejected for session ${session}: ${error.message}`);
+            return res.status(error.statusCode).json({ message: error.message });
+        }
         logger.error(`Failed to verify and store proof: ${error.message}`);
         res.status(500).send("Failed to process proof.");
     }
 };
+
+/**
+ * Status of one of the user's proof requests, for the mobile app to poll or
+ * to reopen from its deep link.
+ */
+exports.getProofRequest = async (req, res) => {
+    try {
+        const request = await proofRequestService.findForUser(req.user.userId, req.params.requestId);
+        res.status(200).json({ request: proofRequestService.present(request) });
+    } catch (error) {
+        if (error instanceof AppError) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        logger.error(`Failed to load proof request: ${error.message}`);
+        res.status(500).json({ message: "Failed to load proof request" });
+    }
+};
@@ -0,0 +1,62 @@
+// models/fraudRule.js
+// Weighted fraud rule; built-in defaults are seeded from the game adapters, admins tune or add more
+module.exports = (sequelize, DataTypes) => {
+  const FraudRule = sequelize.define("FraudRule", {
+    ruleId: {
+      type: DataTypes.STRING(100), // e.g. valorant.act-climb
+      primaryKey: true
+    },
+    game: {
+      type: DataTypes.STRING(50), // null applies to every game
+      allowNull: true
+    },
+    condition: {
+      type: DataTypes.JSONB, // see utils/conditions.js; reads $.stats, $.signals and $.history
+      allowNull: false
+    },
+    weight: {
+      type: DataTypes.INTEGER, // points added to the 0-100 fraud score when the condition holds
+      allowNull: false
+    },
+    explanation: {
+      type: DataTypes.STRING(255), // shown as the flag; may contain {$.path} placeholders
+      allowNull: false
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    builtIn: {
+      type: DataTypes.BOOLEAN, // seeded default; never overwritten once it exists
+      defaultValue: false
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    updatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "fraud_rules",
+    timestamps: false,
+    indexes: [
+      { fields: ["game", "enabled"] }
+    ]
+  });
+
+  FraudRule.associate = (models) => {
+    FraudRule.belongsTo(models.User, { foreignKey: "createdBy" });
+  };
+
+  return FraudRule;
+};
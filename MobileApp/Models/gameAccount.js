@@ -0,0 +1,77 @@
+// models/gameAccount.js
+// A game account a user proved they control; only linked accounts can be verified
+module.exports = (sequelize, DataTypes) => {
+  const GameAccount = sequelize.define("GameAccount", {
+    linkId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    game: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    accountId: {
+      type: DataTypes.STRING(100), // stable upstream id (puuid, Steam ID, ...), same as Proof.gameAccountId
+      allowNull: false
+    },
+    displayName: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    region: {
+      type: DataTypes.STRING(20), // where the ownership code is read (e.g. the League platform)
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "linked", "unlinked"), // unlinked: by the user, or taken over by a new owner
+      defaultValue: "pending"
+    },
+    challengeCode: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    challengeExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    confirmAttempts: {
+      type: DataTypes.INTEGER, // upstream reads for the current code
+      defaultValue: 0
+    },
+    linkedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    unlinkedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "game_accounts",
+    timestamps: false,
+    indexes: [
+      // One owner per game account
+      { unique: true, fields: ["game", "accountId"], where: { status: "linked" } },
+      { fields: ["userId", "game"] }
+    ]
+  });
+
+  GameAccount.associate = (models) => {
+    GameAccount.belongsTo(models.User, { foreignKey: "userId" });
+  };
+
+  return GameAccount;
+};
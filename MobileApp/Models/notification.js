@@ -0,0 +1,52 @@
+// models/notification.js
+// In-app notices for a user, e.g. a proof going stale; mirrored by email where configured
+module.exports = (sequelize, DataTypes) => {
+  const Notification = sequelize.define("Notification", {
+    notificationId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "notificationId"
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING(50), // e.g. 'proof_stale', 'proof_expired', 'proof_refreshed'
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.JSONB, // ids the app needs to deep-link, e.g. { proofId, questId }
+      defaultValue: {}
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "notifications",
+    timestamps: false,
+    indexes: [
+      { fields: ["userId", "createdAt"] }
+    ]
+  });
+
+  Notification.associate = (models) => {
+    Notification.belongsTo(models.User, { foreignKey: "userId" });
+  };
+
+  return Notification;
+};
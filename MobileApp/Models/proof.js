@@ -19,6 +19,14 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(100),
       allowNull: true
     },
+    gameAccountId: {
+      type: DataTypes.STRING(100), // stable upstream id (Riot puuid, Steam ID, ...)
+      allowNull: true
+    },
+    gameRegion: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
     apiSource: {
       type: DataTypes.STRING(100),
       allowNull: true
@@ -27,27 +35,68 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.JSONB, // store JSON string or object
       allowNull: true
     },
+    evidence: {
+      type: DataTypes.JSONB, // what satisfied the quest requirement, e.g. achievement unlock time
+      allowNull: true
+    },
     verificationHash: {
-      type: DataTypes.TEXT,
+      type: DataTypes.TEXT, // the envelope's stats commitment
+      allowNull: true
+    },
+    envelope: {
+      type: DataTypes.JSONB, // server-signed proof envelope with its opening (utils/proofEnvelope.js)
       allowNull: true
     },
     verified: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
+    needsManualReview: {
+      type: DataTypes.BOOLEAN, // verified, but the fraud score is in the review band; cleared by the review decision
+      defaultValue: false
+    },
+    fraudAnalysis: {
+      type: DataTypes.JSONB, // { score, decision, flags: [{ ruleId, contribution, explanation, evidence }], thresholds, analyzedAt }
+      allowNull: true
+    },
     submittedAt: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
+    },
+    freshness: {
+      type: DataTypes.ENUM("fresh", "stale", "expired"), // stale: a refresh failed but it hasn't expired yet
+      defaultValue: "fresh"
+    },
+    lastVerified: {
+      type: DataTypes.DATE, // last time upstream stats confirmed the proof
+      allowNull: true
+    },
+    refreshAt: {
+      type: DataTypes.DATE, // scheduler re-verifies from here on; null for proofs that never expire
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refreshAttemptedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: "proofs",
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      { fields: ["verified", "refreshAt"] },
+      { fields: ["verified", "expiresAt"] }
+    ]
   });
 
   // Relationships
   Proof.associate = (models) => {
     Proof.belongsTo(models.User, { foreignKey: "userId" });
     Proof.belongsTo(models.Quest, { foreignKey: "questId" });
+    Proof.hasOne(models.ProofReview, { foreignKey: "proofId" });
   };
 
   return Proof;
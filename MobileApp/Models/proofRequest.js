@@ -0,0 +1,81 @@
+// models/proofRequest.js
+// One Reclaim proof request: opened by /api/zk-tls/request-proof, closed by the callback carrying its proof
+module.exports = (sequelize, DataTypes) => {
+  const ProofRequest = sequelize.define("ProofRequest", {
+    requestId: {
+      type: DataTypes.UUID, // also the session part of the Reclaim context and the callback's `session`
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    proofType: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    questId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    providerId: {
+      type: DataTypes.STRING(100), // Reclaim provider the request was opened for
+      allowNull: false
+    },
+    context: {
+      type: DataTypes.STRING(100), // contextMessage the proof must carry
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "completed", "failed", "expired"),
+      defaultValue: "pending"
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    completedAt: {
+      type: DataTypes.DATE, // when the callback closed it, either way
+      allowNull: true
+    },
+    failureCode: {
+      type: DataTypes.STRING(50), // ProofVerificationError code
+      allowNull: true
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    claims: {
+      type: DataTypes.JSONB, // verified claims: [{ identifier, provider, parameters, context, owner, timestampS, epoch }]
+      allowNull: true
+    },
+    stats: {
+      type: DataTypes.JSONB, // claims normalized by the proof type's extraction schema (services/reclaimProviders.js)
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "proof_requests",
+    timestamps: false,
+    indexes: [
+      { fields: ["userId", "createdAt"] },
+      { fields: ["status", "expiresAt"] }
+    ]
+  });
+
+  ProofRequest.associate = (models) => {
+    ProofRequest.belongsTo(models.User, { foreignKey: "userId" });
+    ProofRequest.belongsTo(models.Quest, { foreignKey: "questId" });
+  };
+
+  return ProofRequest;
+};
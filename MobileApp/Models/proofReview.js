@@ -0,0 +1,90 @@
+// models/proofReview.js
+// Manual review of a proof in the fraud review band; decided by one claiming reviewer, appealable once
+module.exports = (sequelize, DataTypes) => {
+  const ProofReview = sequelize.define("ProofReview", {
+    reviewId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    proofId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    userId: {
+      type: DataTypes.INTEGER, // the proof's owner
+      allowNull: false
+    },
+    game: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    fraudScore: {
+      type: DataTypes.INTEGER, // copied from the proof to order the queue
+      defaultValue: 0
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "approved", "rejected"), // an appeal puts a rejected review back to pending
+      defaultValue: "pending"
+    },
+    claimedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    claimExpiresAt: {
+      type: DataTypes.DATE, // after this anyone may claim it
+      allowNull: true
+    },
+    decidedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    decidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reasonCode: {
+      type: DataTypes.STRING(50), // see REASON_CODES in services/reviewService.js
+      allowNull: true
+    },
+    note: {
+      type: DataTypes.TEXT, // reviewer's note, admins only
+      allowNull: true
+    },
+    appealedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    appealComment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    history: {
+      type: DataTypes.JSONB, // [{ action, by, at, reasonCode, note }], oldest first
+      defaultValue: []
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "proof_reviews",
+    timestamps: false,
+    indexes: [
+      { fields: ["status", "fraudScore"] },
+      { fields: ["userId"] }
+    ]
+  });
+
+  ProofReview.associate = (models) => {
+    ProofReview.belongsTo(models.Proof, { foreignKey: "proofId" });
+    ProofReview.belongsTo(models.User, { foreignKey: "userId" });
+  };
+
+  return ProofReview;
+};
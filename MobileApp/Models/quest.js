@@ -26,6 +26,18 @@ module.exports = (sequelize, DataTypes) => {
     proofRequired: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    requirement: {
+      type: DataTypes.JSONB, // e.g. { game: 'steam', appId: 620, achievement: 'ACH_WAKE_UP', minPlaytimeHours: 5 }
+      allowNull: true
+    },
+    criteria: {
+      type: DataTypes.JSONB, // { expression: 'soloQueue.tier >= GOLD', condition }; see services/questCriteria.js
+      allowNull: true
+    },
+    proofFreshness: {
+      type: DataTypes.JSONB, // { maxAgeDays, refreshWindowDays }; overrides the game's policy
+      allowNull: true
     }
   }, {
     tableName: "quests",
@@ -0,0 +1,55 @@
+// models/rateLimitBucket.js
+// Shared token buckets for upstream game APIs, so every backend instance draws from one budget
+module.exports = (sequelize, DataTypes) => {
+  const RateLimitBucket = sequelize.define("RateLimitBucket", {
+    bucketId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "bucketId"
+    },
+    limiterKey: {
+      type: DataTypes.STRING(150), // one per API key, e.g. 'steam' or 'riot:europe'
+      allowNull: false
+    },
+    scope: {
+      type: DataTypes.STRING(150), // 'app' or 'method:<name>'
+      allowNull: false
+    },
+    source: {
+      type: DataTypes.ENUM('default', 'admin', 'header', 'retry_after'),
+      allowNull: false
+    },
+    requests: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    window: {
+      type: DataTypes.INTEGER, // milliseconds; 0 for retry_after blocks
+      allowNull: false,
+      defaultValue: 0
+    },
+    tokens: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    refilledAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    blockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: "rate_limit_buckets",
+    timestamps: false,
+    indexes: [
+      { unique: true, fields: ["limiterKey", "scope", "source", "window"] }
+    ]
+  });
+
+  return RateLimitBucket;
+};
@@ -0,0 +1,54 @@
+// models/reclaimClaim.js
+// One accepted Reclaim claim; the identifier is unique, so a claim is only ever accepted once
+module.exports = (sequelize, DataTypes) => {
+  const ReclaimClaim = sequelize.define("ReclaimClaim", {
+    identifier: {
+      type: DataTypes.STRING(66), // keccak256 claim identifier, 0x-prefixed and lowercase
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    requestId: {
+      type: DataTypes.UUID, // the proof request session the claim arrived for
+      allowNull: false
+    },
+    owner: {
+      type: DataTypes.STRING(42), // Reclaim owner address; bound to the first user who presents it
+      allowNull: false
+    },
+    proofType: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    proofId: {
+      type: DataTypes.INTEGER, // the proof it was redeemed for via /api/proofs/submit
+      allowNull: true
+    },
+    recordedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    redeemedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: "reclaim_claims",
+    timestamps: false,
+    indexes: [
+      { fields: ["owner"] },
+      { fields: ["requestId"] },
+      { fields: ["userId", "recordedAt"] }
+    ]
+  });
+
+  ReclaimClaim.associate = (models) => {
+    ReclaimClaim.belongsTo(models.User, { foreignKey: "userId" });
+    ReclaimClaim.belongsTo(models.ProofRequest, { foreignKey: "requestId" });
+    ReclaimClaim.belongsTo(models.Proof, { foreignKey: "proofId" });
+  };
+
+  return ReclaimClaim;
+};
@@ -0,0 +1,34 @@
+// models/reclaimOwner.js
+// The user a Reclaim owner address belongs to; the address is the key, so it is only ever bound to one user
+module.exports = (sequelize, DataTypes) => {
+  const ReclaimOwner = sequelize.define("ReclaimOwner", {
+    owner: {
+      type: DataTypes.STRING(42), // Reclaim owner address, 0x-prefixed and lowercase
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    requestId: {
+      type: DataTypes.UUID, // the proof request session whose callback bound it
+      allowNull: true
+    },
+    boundAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "reclaim_owners",
+    timestamps: false,
+    indexes: [
+      { fields: ["userId"] }
+    ]
+  });
+
+  ReclaimOwner.associate = (models) => {
+    ReclaimOwner.belongsTo(models.User, { foreignKey: "userId" });
+  };
+
+  return ReclaimOwner;
+};
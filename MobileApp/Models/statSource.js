@@ -0,0 +1,101 @@
+// models/statSource.js
+// Admin-defined HTTP stat source: a game verified through a public JSON API without bespoke code
+module.exports = (sequelize, DataTypes) => {
+  const StatSource = sequelize.define("StatSource", {
+    statSourceId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "statSourceId"
+    },
+    gameId: {
+      type: DataTypes.STRING(50), // used as `game` in requests and `Proof.apiSource`
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    urlTemplate: {
+      type: DataTypes.TEXT, // e.g. https://api.example.com/players/{account}?region={region}
+      allowNull: false
+    },
+    authHeader: {
+      type: DataTypes.JSONB, // { name: 'x-api-key', valueEnv: 'STAT_SOURCE_SECRET_EXAMPLE' }
+      allowNull: true
+    },
+    accountPattern: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    accountDescription: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    regions: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      allowNull: false
+    },
+    statMappings: {
+      type: DataTypes.JSONB, // stat name → JSONPath, or { path, type: 'number' | 'string' }
+      allowNull: false
+    },
+    requiredStats: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      allowNull: false
+    },
+    skillStat: {
+      type: DataTypes.STRING(50), // mapped stat the tiers are read from
+      allowNull: false
+    },
+    skillMetrics: {
+      type: DataTypes.JSONB, // tier → { min, max } in skillStat units, lowest tier first
+      allowNull: false
+    },
+    rateLimit: {
+      type: DataTypes.JSONB,
+      defaultValue: { requests: 60, window: 60000 },
+      allowNull: false
+    },
+    statsCacheTtl: {
+      type: DataTypes.JSONB, // { fresh, stale } in ms; adapter defaults when null
+      allowNull: true
+    },
+    proofFreshness: {
+      type: DataTypes.JSONB, // { maxAgeDays, refreshWindowDays }; adapter defaults when null
+      allowNull: true
+    },
+    ownershipField: {
+      type: DataTypes.STRING(200), // JSONPath to owner-editable profile text; accounts can't be linked without it
+      allowNull: true
+    },
+    ownershipInstructions: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "stat_sources",
+    timestamps: false
+  });
+
+  StatSource.associate = (models) => {
+    StatSource.belongsTo(models.User, { foreignKey: "createdBy" });
+  };
+
+  return StatSource;
+};
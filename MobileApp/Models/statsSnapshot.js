@@ -0,0 +1,43 @@
+// models/statsSnapshot.js
+// Last upstream stats fetched for a game account; a cache, never the record of a proof
+module.exports = (sequelize, DataTypes) => {
+  const StatsSnapshot = sequelize.define("StatsSnapshot", {
+    cacheKey: {
+      type: DataTypes.STRING(200), // game + region + account (+ quest requirement)
+      primaryKey: true
+    },
+    game: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    gameAccount: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    region: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    snapshot: {
+      type: DataTypes.JSONB, // { account, stats } as returned by the adapter
+      allowNull: false
+    },
+    fetchedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastAccessedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "stats_snapshots",
+    timestamps: false,
+    indexes: [
+      { fields: ["game", "fetchedAt"] },
+      { fields: ["lastAccessedAt"] }
+    ]
+  });
+
+  return StatsSnapshot;
+};
@@ -0,0 +1,77 @@
+// models/verificationAttempt.js
+// One row per verifyPlayerStats call; drives the per-user hourly attempt limit
+module.exports = (sequelize, DataTypes) => {
+  const VerificationAttempt = sequelize.define("VerificationAttempt", {
+    attemptId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "attemptId"
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    questId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    game: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    gameAccount: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    gameAccountId: {
+      type: DataTypes.STRING(100), // stable upstream id, once the account resolved; same as Proof.gameAccountId
+      allowNull: true
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    upstreamFailure: {
+      type: DataTypes.BOOLEAN, // failed because a game API was down; not counted against the user
+      defaultValue: false
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    fraudScore: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    attemptedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: "verification_attempts",
+    timestamps: false,
+    indexes: [
+      { fields: ["userId", "game", "attemptedAt"] },
+      // Cross-user signals (services/abuseSignals.js)
+      { fields: ["ipAddress", "attemptedAt"] },
+      { fields: ["game", "attemptedAt"] },
+      { fields: ["game", "gameAccountId"] }
+    ]
+  });
+
+  VerificationAttempt.associate = (models) => {
+    VerificationAttempt.belongsTo(models.User, { foreignKey: "userId" });
+    VerificationAttempt.belongsTo(models.Quest, { foreignKey: "questId" });
+  };
+
+  return VerificationAttempt;
+};
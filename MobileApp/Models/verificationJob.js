@@ -0,0 +1,106 @@
+// models/verificationJob.js
+// Queued stats verification; claimed by workers with FOR UPDATE SKIP LOCKED
+module.exports = (sequelize, DataTypes) => {
+  const VerificationJob = sequelize.define("VerificationJob", {
+    jobId: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    kind: {
+      type: DataTypes.ENUM("verify", "refresh"), // refresh re-scores an existing proof (proofId)
+      defaultValue: "verify"
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    questId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    attemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    game: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    gameAccount: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    region: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM("queued", "running", "succeeded", "failed"),
+      defaultValue: "queued"
+    },
+    stage: {
+      type: DataTypes.ENUM("queued", "fetching", "analyzing", "proving", "anchoring", "done"),
+      defaultValue: "queued"
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 3
+    },
+    runAt: {
+      type: DataTypes.DATE, // not claimed before this; pushed back on retry
+      defaultValue: DataTypes.NOW
+    },
+    lockedBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    proofId: {
+      type: DataTypes.INTEGER, // verify: set once the proof is stored, and the job is never re-run after that
+      allowNull: true
+    },
+    result: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.JSONB, // { message, statusCode, retryAfter }
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    finishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: "verification_jobs",
+    timestamps: false,
+    indexes: [
+      { fields: ["status", "runAt"] },
+      { fields: ["userId", "createdAt"] }
+    ]
+  });
+
+  VerificationJob.associate = (models) => {
+    VerificationJob.belongsTo(models.User, { foreignKey: "userId" });
+    VerificationJob.belongsTo(models.Quest, { foreignKey: "questId" });
+    VerificationJob.belongsTo(models.Proof, { foreignKey: "proofId" });
+  };
+
+  return VerificationJob;
+};
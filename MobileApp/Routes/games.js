@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const gameController = require('../Controllers/gameController');
+const statSourceController = require('../Controllers/statSourceController');
+const fraudRuleController = require('../Controllers/fraudRuleController');
+const gameAccountController = require('../Controllers/gameAccountController');
+const reviewController = require('../Controllers/reviewController');
 const { protect, restrictTo } = require('../middleware/advancedAuth');
 const { verificationLimiter } = require('../middleware/security');
 const { validateGameVerification } = require('../middleware/validation');
@@ -17,8 +21,23 @@ router.post('/verify-stats',
   gameController.verifyPlayerStats
 );
 
+router.get('/jobs/:jobId', gameController.getVerificationJob);
+router.get('/jobs/:jobId/events', gameController.streamVerificationJob);
+
 router.get('/verifications/:userId', gameController.getVerificationHistory);
 router.post('/proofs/:proofId/reverify', gameController.reverifyProof);
+router.post('/proofs/:proofId/appeal', reviewController.appealProof);
+
+// Per-game views; expired proofs don't count (see services/proofFreshness)
+router.get('/:game/stats', gameController.getMyGameStats);
+router.get('/:game/leaderboard', gameController.getGameLeaderboard);
+router.get('/:game/teammates', gameController.findTeammates);
+
+// Game account linking (ownership challenge)
+router.get('/accounts', gameAccountController.getLinkedAccounts);
+router.post('/accounts', gameAccountController.startAccountLink);
+router.post('/accounts/:linkId/confirm', gameAccountController.confirmAccountLink);
+router.delete('/accounts/:linkId', gameAccountController.unlinkAccount);
 
 // Admin only routes
 router.get('/admin/fraud-reports', 
@@ -26,4 +45,59 @@ router.get('/admin/fraud-reports',
   gameController.getFraudReports
 );
 
+router.get('/admin/fraud-rules',
+  restrictTo('admin'),
+  fraudRuleController.getFraudRules
+);
+
+router.post('/admin/fraud-rules',
+  restrictTo('admin'),
+  fraudRuleController.createFraudRule
+);
+
+router.post('/admin/fraud-rules/backtest',
+  restrictTo('admin'),
+  fraudRuleController.backtestFraudRules
+);
+
+router.patch('/admin/fraud-rules/:ruleId',
+  restrictTo('admin'),
+  fraudRuleController.updateFraudRule
+);
+
+router.get('/admin/fraud-clusters',
+  restrictTo('admin'),
+  fraudRuleController.getAccountClusters
+);
+
+router.put('/admin/api-limits/:game',
+  restrictTo('admin'),
+  gameController.updateApiLimits
+);
+
+router.get('/admin/stat-sources',
+  restrictTo('admin'),
+  statSourceController.getStatSources
+);
+
+router.post('/admin/stat-sources',
+  restrictTo('admin'),
+  statSourceController.createStatSource
+);
+
+router.post('/admin/stat-sources/test',
+  restrictTo('admin'),
+  statSourceController.testStatSource
+);
+
+router.patch('/admin/stat-sources/:gameId',
+  restrictTo('admin'),
+  statSourceController.updateStatSource
+);
+
+router.delete('/admin/stat-sources/:gameId',
+  restrictTo('admin'),
+  statSourceController.disableStatSource
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../Controllers/notificationController');
+const { protect } = require('../middleware/advancedAuth');
+
+router.use(protect);
+
+router.get('/', notificationController.getNotifications);
+router.patch('/:notificationId/read', notificationController.markNotificationRead);
+
+module.exports = router;
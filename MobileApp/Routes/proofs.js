@@ -3,49 +3,97 @@ const router = express.Router();
 const db = require('../Models');
 const gameService = require('../services/gameService');
 const zkTLSService = require('../services/zkTLSService');
+const proofRequestService = require('../services/proofRequestService');
+const claimRegistry = require('../services/claimRegistry');
+const proofSigner = require('../services/proofSigner');
+const reclaimProviders = require('../services/reclaimProviders');
+const { gameAdapters } = require('../services/gameAdapters');
+const reviewService = require('../services/reviewService');
+const questCriteria = require('../services/questCriteria');
 const { authMiddleware } = require('../middleware/auth');
 
+// Public keys proof envelopes are signed with, current and retired (JWKS)
+router.get('/keys', (req, res) => {
+    res.json(proofSigner.jwks());
+});
+
+// Check any proof envelope, e.g. one a user shared; no account needed
+router.post('/verify-envelope', (req, res) => {
+    const result = zkTLSService.verifyProof(req.body.envelope);
+    res.status(result.valid ? 200 : 400).json(result);
+});
+
 // Submit proof for quest
-// **UPDATED**: This endpoint now receives the completed proof data from the client,
-// and delegates the verification and on-chain storage to the zkTLSService.
+// The proof must come from one of the user's own proof request sessions (`requestId`,
+// see /api/zk-tls/request-proof); its claims can back only one stored proof.
 router.post('/submit', authMiddleware, async (req, res) => {
     try {
-        const { questId, gameAccount, proofData } = req.body; // Expect `proofData` from the client
+        const { questId, proofData, requestId } = req.body; // Expect `proofData` from the client
         const userId = req.user.userId;
 
-        // Use zkTLSService to verify the proof data and store it on-chain
-        const verificationResult = await zkTLSService.verifyAndStoreProof(proofData);
+        if (!requestId) {
+            return res.status(400).json({ message: 'requestId is required: open a proof request first' });
+        }
+        const quest = await db.Quest.findByPk(questId);
+        if (!quest) {
+            return res.status(404).json({ message: 'Quest not found' });
+        }
 
-        // After verification, you can assess skill level and store progress.
-        const stats = verificationResult?.proofs?.[0]?.claimData?.parameters;
-        const skillLevel = stats ? gameService.assessSkillLevel(gameAccount, stats) : 'unknown';
+        // Verifies the proof, binds its owner and context to the session, and spends its claims
+        const { request, claims, stats } = await proofRequestService.redeem(userId, requestId, proofData, { questId });
+
+        const { game } = reclaimProviders.get(request.proofType);
+        const skillLevel = game && gameAdapters.has(game) ? gameAdapters.get(game).assessSkillLevel(stats) : 'unknown';
+
+        // A proof that misses the quest's criteria is kept, but doesn't complete the quest
+        const criteriaCheck = questCriteria.evaluate(quest.criteria, stats);
+        // Only the account the claims themselves prove is stored and signed
+        const account = reclaimProviders.account(request.proofType, stats);
 
         // Store the proof in your database
-        const proof = await gameService.storeVerification(
-            userId, questId, gameAccount, verificationResult.proofs[0].claimData.provider, stats, verificationResult.proofs[0].signatures
-        );
+        let proof;
+        try {
+            proof = await gameService.storeVerification(
+                userId, questId, account, `reclaim:${request.proofType}`, stats,
+                { verified: criteriaCheck.met }
+            );
+        } catch (error) {
+            await claimRegistry.release(claims);
+            throw error;
+        }
+        await claimRegistry.attach(claims, proof.proofId);
 
         // Update quest progress to verified
-        await db.Progress.findOne({
-            where: { userId, questId }
-        }).then(progress => {
-            if (progress) {
-                return progress.update({ status: 'verified' });
-            }
-        });
+        if (criteriaCheck.met) {
+            await db.Progress.findOne({
+                where: { userId, questId }
+            }).then(progress => {
+                if (progress) {
+                    return progress.update({ status: 'verified' });
+                }
+            });
+        }
 
         res.json({
             success: true,
+            message: criteriaCheck.met ? 'Proof accepted' : 'Proof stored, but it does not meet the quest criteria',
             proof,
+            game,
+            account,
             stats: stats,
             skillLevel: skillLevel,
-            chainTransaction: verificationResult.transactionHash // Assuming verifyAndStoreProof returns this
+            criteria: {
+                expression: quest.criteria?.expression || null,
+                met: criteriaCheck.met,
+                failures: criteriaCheck.failures
+            }
         });
     } catch (error) {
         console.error('Proof submission error:', error);
-        res.status(400).json({
+        res.status(error.statusCode || 400).json({
             message: 'Proof submission failed',
-            error: error.message
+            error: error.message,
+            ...(error.code && { code: error.code }) // which verification check failed
         });
     }
 });
@@ -58,7 +106,8 @@ router.get('/:proofId', authMiddleware, async (req, res) => {
         const proof = await db.Proof.findByPk(proofId, {
             include: [
                 { model: db.User, attributes: ['username'] },
-                { model: db.Quest, attributes: ['title', 'description'] }
+                { model: db.Quest, attributes: ['title', 'description'] },
+                { model: db.ProofReview }
             ]
         });
 
@@ -71,36 +120,37 @@ router.get('/:proofId', authMiddleware, async (req, res) => {
             return res.status(403).json({ message: 'Access denied' });
         }
 
-        res.json(proof);
+        // Owners get the reasons a proof was held back and the review outcome, not the rules, evidence or reviewer notes
+        if (req.user.isAdmin) {
+            return res.json(proof);
+        }
+        const { fraudAnalysis, ProofReview, ...data } = proof.toJSON();
+        res.json({ ...data, review: reviewService.ownerView(proof, ProofReview) });
     } catch (error) {
         res.status(500).json({ message: 'Failed to get proof', error: error.message });
     }
 });
 
-// Verify proof
+// Check a proof's signed envelope; nothing about the proof is changed
 router.post('/:proofId/verify', authMiddleware, async (req, res) => {
     try {
         const { proofId } = req.params;
 
-        const proof = await db.Proof.findByPk(proofId);
+        const proof = await db.Proof.findByPk(proofId, {
+            attributes: ['proofId', 'userId', 'verified', 'verificationHash', 'envelope']
+        });
         if (!proof) {
             return res.status(404).json({ message: 'Proof not found' });
         }
+        if (proof.userId !== req.user.userId && !req.user.isAdmin) {
+            return res.status(403).json({ message: 'Access denied' });
+        }
 
-        // Re-verify the proof using zkTLS
-        // **UPDATED**: The call to zkTLSService.verifyProof now uses the data from the stored proof
-        const verificationResult = await zkTLSService.verifyAndStoreProof(
-            JSON.stringify({ proofs: [{ statFetched: proof.statFetched, verificationHash: proof.verificationHash }] })
-        );
-
-        await proof.update({
-            verified: verificationResult.valid,
-            verificationHash: verificationResult.verifier_signature
-        });
+        const result = zkTLSService.verifyProof(proof.envelope);
 
         res.json({
-            verified: verificationResult.valid,
-            proof: proof
+            verified: proof.verified,
+            envelope: result
         });
     } catch (error) {
         res.status(500).json({ message: 'Verification failed', error: error.message });
@@ -1,19 +1,28 @@
 const express = require('express');
 const { body } = require('express-validator');
 const zkTlsController = require('../Controllers/zkTlsController');
+const reclaimProviders = require('../services/reclaimProviders');
+const { authMiddleware } = require('../middleware/auth');
 const router = express.Router();
 
-// Route to request a Reclaim proof
+// Route listing the proof types that can be requested and the stats each produces
+router.get('/proof-types', zkTlsController.getProofTypes);
+
+// Route to request a Reclaim proof; the user comes from the token, not the body
 router.post(
     '/request-proof',
+    authMiddleware,
     [
-        body('userId').notEmpty().withMessage('User ID is required'),
-        body('proofType').notEmpty().withMessage('Proof type is required'),
+        body('proofType').isIn(reclaimProviders.ids()).withMessage(`Proof type must be one of: ${reclaimProviders.ids().join(', ')}`),
+        body('questId').optional().isInt().withMessage('Quest ID must be an integer'),
     ],
     zkTlsController.requestProof
 );
 
-// Route for Reclaim's callback to send the proof
+// Route for Reclaim's callback to send the proof; `session` names the proof request
 router.get('/callback', zkTlsController.reclaimCallback);
 
+// Route for the app to poll a proof request
+router.get('/requests/:requestId', authMiddleware, zkTlsController.getProofRequest);
+
 module.exports = router;
@@ -129,6 +129,16 @@ const validateApiKey = (req, res, next) => {
         return next(); // Skip API key for public endpoints
     }
 
+    // Reclaim can't send our API key; the callback is checked by its session and proof instead
+    if (req.originalUrl.startsWith('/api/zk-tls/callback')) {
+        return next();
+    }
+
+    // Anyone holding a proof envelope must be able to fetch the signing keys and check it
+    if (req.originalUrl.startsWith('/api/proofs/keys') || req.originalUrl.startsWith('/api/proofs/verify-envelope')) {
+        return next();
+    }
+
     if (!apiKey || !validApiKeys.includes(apiKey)) {
         auditLogger.warn('Invalid API key attempt', {
             ip: req.ip,
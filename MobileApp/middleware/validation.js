@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { gameAdapters } = require('../services/gameAdapters');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -13,11 +14,16 @@ const handleValidationErrors = (req, res, next) => {
 
 const validateGameVerification = [
   body('game')
-    .isIn(['league_of_legends', 'valorant', 'counter_strike'])
+    .custom(game => gameAdapters.has(game))
     .withMessage('Unsupported game'),
   body('gameAccount')
     .isLength({ min: 3, max: 50 })
     .withMessage('Game account must be 3-50 characters'),
+  body('region')
+    .optional()
+    .isString()
+    .isLength({ max: 20 })
+    .withMessage('Region must be a platform code such as euw1 or kr'),
   body('questId')
     .isInt({ min: 1 })
     .withMessage('Valid quest ID required'),
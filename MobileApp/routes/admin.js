@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const reviewController = require('../Controllers/reviewController');
+const questController = require('../Controllers/questController');
+const { protect, restrictTo } = require('../middleware/advancedAuth');
+
+router.use(protect, restrictTo('admin'));
+
+// Manual review queue
+router.get('/reviews', reviewController.getReviewQueue);
+router.get('/reviews/:reviewId', reviewController.getReview);
+router.post('/reviews/:reviewId/claim', reviewController.claimReview);
+router.post('/reviews/:reviewId/release', reviewController.releaseReview);
+router.post('/reviews/:reviewId/decision', reviewController.decideReview);
+
+// Quest completion criteria
+router.put('/quests/:questId/criteria', questController.setQuestCriteria);
+
+module.exports = router;
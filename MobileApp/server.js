@@ -21,6 +21,15 @@ const {
 // Import database
 const db = require('./Models');
 
+// Register game adapters before any route can look one up
+const { gameAdapters, registerBuiltInAdapters } = require('./services/gameAdapters');
+registerBuiltInAdapters();
+const statSourceService = require('./services/statSourceService');
+const verificationQueue = require('./services/verificationQueue');
+const proofFreshness = require('./services/proofFreshness');
+const fraudRuleService = require('./services/fraudRuleService');
+const reviewService = require('./services/reviewService');
+
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const gameRoutes = require('./routes/games');
@@ -29,6 +38,8 @@ const proofRoutes = require('./routes/proofs');
 const leaderboardRoutes = require('./routes/leaderboards');
 const chatRoutes = require('./routes/chat');
 const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const zkTlsRoutes = require('./routes/zkTls');
 // Updated: Import User and World routes
 const userRoutes = require('./routes/userRoutes');
 const worldRoutes = require('./routes/worldRoutes');
@@ -92,6 +103,8 @@ app.use('/api/proofs', proofRoutes);
 app.use('/api/leaderboards', leaderboardRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/zk-tls', zkTlsRoutes);
 // Updated: Define a route for user-related API endpoints
 app.use('/api/users', userRoutes);
 // Updated: Define a route for world-related API endpoints
@@ -103,7 +116,7 @@ app.get('/api/docs', (req, res) => {
         name: 'Game Verifier API',
         version: '1.0.0',
         documentation: 'https://your-docs-url.com',
-        supportedGames: ['league_of_legends', 'valorant', 'counter_strike'],
+        supportedGames: gameAdapters.ids(),
         endpoints: {
             auth: '/api/auth/*',
             games: '/api/games/*',
@@ -111,6 +124,8 @@ app.get('/api/docs', (req, res) => {
             proofs: '/api/proofs/*',
             leaderboards: '/api/leaderboards/*',
             chat: '/api/chat/*',
+            notifications: '/api/notifications/*',
+            zkTls: '/api/zk-tls/*',
             // Updated: Add documentation for the new API endpoints
             users: '/api/users/*',
             worlds: '/api/worlds/*'
@@ -143,7 +158,9 @@ app.use(globalErrorHandler);
 const gracefulShutdown = (signal) => {
     logger.info(`Received ${signal}, shutting down gracefully...`);
 
-    server.close(() => {
+    server.close(async () => {
+        proofFreshness.stop();
+        await verificationQueue.stop();
         logger.info('Process terminated');
         db.sequelize.close().then(() => {
             process.exit(0);
@@ -196,6 +213,21 @@ const startServer = async () => {
         await db.sequelize.sync(syncOptions);
         logger.info('Database synchronized successfully');
 
+        // Register admin-defined stat sources alongside the built-in games
+        await statSourceService.loadAll();
+
+        // Insert default fraud rules that aren't in fraud_rules yet; admin edits are kept
+        await fraudRuleService.seedDefaults();
+
+        // Proofs flagged for review before the review queue existed
+        await reviewService.queueUnreviewed();
+
+        // Run queued verifications (VERIFICATION_WORKERS=0 for API-only instances)
+        verificationQueue.start();
+
+        // Queue refreshes for proofs nearing expiry (PROOF_FRESHNESS_INTERVAL_MS=0 to disable)
+        proofFreshness.start();
+
         // Start server
         const PORT = process.env.PORT || 3000;
         const server = app.listen(PORT, () => {
@@ -0,0 +1,238 @@
+const db = require('../Models');
+
+const { Op } = db.Sequelize;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ACCOUNT_WINDOW_MS = 30 * DAY_MS;
+const NETWORK_WINDOW_MS = 7 * DAY_MS;
+const PROBE_WINDOW_MS = HOUR_MS;
+// Users registered this recently count as new for the subnet signal
+const NEW_USER_MS = 7 * DAY_MS;
+const CLUSTER_DEFAULT_DAYS = 30;
+const CLUSTER_MAX_DAYS = 90;
+const CLUSTER_MAX_ATTEMPTS = 50000;
+
+// Express reports IPv4 clients as ::ffff:a.b.c.d on dual-stack sockets
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/i, '');
+
+// a.b.c. for IPv4; IPv6 addresses only ever match exactly
+const subnetPrefix = (ip) => {
+  const match = /^(\d{1,3}\.\d{1,3}\.\d{1,3}\.)\d{1,3}$/.exec(normalizeIp(ip));
+  return match ? match[1] : null;
+};
+
+// Probing is about the names typed, which often never resolve to an account
+const accountKey = (game, gameAccount) => `${game}:${String(gameAccount).trim().toLowerCase()}`;
+
+// A failure the user caused (not a game API outage); the running attempt has no error yet
+const FAILED = { error: { [Op.ne]: null }, upstreamFailure: false };
+
+/**
+ * Signals read across users from verification_attempts, which records the
+ * game account, IP address and outcome of every verification request:
+ *   - the same game account submitted by several users, matched on its resolved
+ *     upstream id (gameAccountId), never on the name as typed
+ *   - several users, or many new ones, verifying from one IP or IPv4 /24
+ *   - bursts of failed attempts over many account names (probing)
+ * network() feeds the fraud rules as $.network; clusters() groups users
+ * linked by a shared game account or IP address for admins.
+ */
+class AbuseSignalService {
+  /**
+   * @param {{userId: number, game: string, gameAccountId: string|null, at?: Date}} attempt
+   * @returns {Promise<{accountUsers30d: number, ipUsers7d: number, subnetNewUsers7d: number,
+   *   failedAttempts1h: number, probedAccounts1h: number}>}
+   */
+  async network({ userId, game, gameAccountId, at = new Date() }) {
+    const before = (ms) => ({ [Op.gte]: new Date(at.getTime() - ms), [Op.lte]: at });
+    const sameAccount = { game, gameAccountId, userId: { [Op.ne]: userId } };
+
+    const [accountAttempts, accountProofs, ownAttempts, failures] = await Promise.all([
+      !gameAccountId ? [] : db.VerificationAttempt.findAll({
+        where: { ...sameAccount, attemptedAt: before(ACCOUNT_WINDOW_MS) },
+        attributes: ['userId'],
+        group: ['userId']
+      }),
+      // Proofs carry the id too, including those from before attempts recorded it
+      !gameAccountId ? [] : db.Proof.findAll({
+        where: {
+          apiSource: game,
+          gameAccountId,
+          userId: { [Op.ne]: userId },
+          submittedAt: before(ACCOUNT_WINDOW_MS)
+        },
+        attributes: ['userId'],
+        group: ['userId']
+      }),
+      db.VerificationAttempt.findAll({
+        where: { userId, ipAddress: { [Op.ne]: null }, attemptedAt: before(NETWORK_WINDOW_MS) },
+        attributes: ['ipAddress'],
+        group: ['ipAddress']
+      }),
+      db.VerificationAttempt.findAll({
+        where: { userId, ...FAILED, attemptedAt: before(PROBE_WINDOW_MS) },
+        attributes: ['game', 'gameAccount']
+      })
+    ]);
+
+    const ips = ownAttempts.map(attempt => attempt.ipAddress);
+    const prefixes = [...new Set(ips.map(subnetPrefix).filter(Boolean))];
+
+    const [ipUsers, subnetUsers] = await Promise.all([
+      ips.length === 0 ? [] : db.VerificationAttempt.findAll({
+        where: { userId: { [Op.ne]: userId }, ipAddress: { [Op.in]: ips }, attemptedAt: before(NETWORK_WINDOW_MS) },
+        attributes: ['userId'],
+        group: ['userId']
+      }),
+      prefixes.length === 0 ? [] : db.VerificationAttempt.findAll({
+        where: {
+          userId: { [Op.ne]: userId },
+          attemptedAt: before(NETWORK_WINDOW_MS),
+          [Op.or]: prefixes.flatMap(prefix => [
+            { ipAddress: { [Op.like]: `${prefix}%` } },
+            { ipAddress: { [Op.like]: `::ffff:${prefix}%` } }
+          ])
+        },
+        attributes: ['userId'],
+        include: [{
+          model: db.User,
+          attributes: [],
+          where: { createdAt: { [Op.gte]: new Date(at.getTime() - NEW_USER_MS) } }
+        }],
+        group: ['VerificationAttempt.userId']
+      })
+    ]);
+
+    return {
+      accountUsers30d: new Set([...accountAttempts, ...accountProofs].map(row => row.userId)).size,
+      ipUsers7d: ipUsers.length,
+      subnetNewUsers7d: subnetUsers.length,
+      failedAttempts1h: failures.length,
+      probedAccounts1h: new Set(failures.map(attempt => accountKey(attempt.game, attempt.gameAccount))).size
+    };
+  }
+
+  /**
+   * Groups users who share a resolved game account or an exact IP address, directly or
+   * through other users. Subnets alone don't link users (carrier NAT would merge
+   * strangers), but each cluster lists the /24s it spans.
+   * @param {{game?: string, days?: number, minUsers?: number, limit?: number}} [options]
+   */
+  async clusters({ game, days = CLUSTER_DEFAULT_DAYS, minUsers = 2, limit = 50 } = {}) {
+    const since = new Date(Date.now() - Math.min(days, CLUSTER_MAX_DAYS) * DAY_MS);
+    const where = { attemptedAt: { [Op.gte]: since } };
+    if (game) where.game = game;
+
+    const attempts = await db.VerificationAttempt.findAll({
+      where,
+      attributes: [
+        'userId', 'game', 'gameAccount', 'gameAccountId', 'ipAddress', 'success', 'error', 'upstreamFailure', 'attemptedAt'
+      ],
+      order: [['attemptedAt', 'DESC']],
+      limit: CLUSTER_MAX_ATTEMPTS,
+      raw: true
+    });
+
+    // Union-find over users, game accounts and IPs
+    const parent = new Map();
+    const find = (node) => {
+      if (!parent.has(node)) parent.set(node, node);
+      let root = node;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(node, root);
+      return root;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    const usersOf = new Map();
+    const addUser = (key, userId) => {
+      if (!usersOf.has(key)) usersOf.set(key, new Set());
+      usersOf.get(key).add(userId);
+    };
+
+    attempts.forEach(attempt => {
+      const user = `user:${attempt.userId}`;
+      find(user);
+      if (attempt.gameAccountId) {
+        const key = `account:${attempt.game}:${attempt.gameAccountId}`;
+        union(user, key);
+        addUser(key, attempt.userId);
+      }
+      if (attempt.ipAddress) {
+        const key = `ip:${normalizeIp(attempt.ipAddress)}`;
+        union(user, key);
+        addUser(key, attempt.userId);
+      }
+    });
+
+    const groups = new Map();
+    attempts.forEach(attempt => {
+      const root = find(`user:${attempt.userId}`);
+      if (!groups.has(root)) {
+        groups.set(root, {
+          userIds: new Set(),
+          accounts: new Map(),
+          ips: new Map(),
+          subnets: new Set(),
+          attempts: 0,
+          failedAttempts: 0,
+          firstSeen: attempt.attemptedAt,
+          lastSeen: attempt.attemptedAt
+        });
+      }
+      const group = groups.get(root);
+      group.userIds.add(attempt.userId);
+      group.attempts += 1;
+      if (attempt.error && !attempt.upstreamFailure) group.failedAttempts += 1;
+      if (attempt.attemptedAt < group.firstSeen) group.firstSeen = attempt.attemptedAt;
+      if (attempt.attemptedAt > group.lastSeen) group.lastSeen = attempt.attemptedAt;
+      if (attempt.gameAccountId) {
+        group.accounts.set(`account:${attempt.game}:${attempt.gameAccountId}`, {
+          game: attempt.game,
+          gameAccountId: attempt.gameAccountId,
+          gameAccount: attempt.gameAccount
+        });
+      }
+      if (attempt.ipAddress) {
+        group.ips.set(`ip:${normalizeIp(attempt.ipAddress)}`, normalizeIp(attempt.ipAddress));
+        const prefix = subnetPrefix(attempt.ipAddress);
+        if (prefix) group.subnets.add(`${prefix}0/24`);
+      }
+    });
+
+    const clusters = Array.from(groups.values())
+      .filter(group => group.userIds.size >= minUsers)
+      .sort((a, b) => b.userIds.size - a.userIds.size || b.attempts - a.attempts)
+      .slice(0, limit);
+
+    const users = await db.User.findAll({
+      where: { userId: { [Op.in]: clusters.flatMap(group => Array.from(group.userIds)) } },
+      attributes: ['userId', 'username', 'createdAt']
+    });
+    const userById = new Map(users.map(user => [user.userId, user]));
+
+    // Only the accounts and IPs shared by two or more users are links
+    const shared = (entries, present) => Array.from(entries)
+      .filter(([key]) => usersOf.get(key).size > 1)
+      .map(([key, value]) => ({ ...present(value), userIds: Array.from(usersOf.get(key)) }));
+
+    return {
+      since,
+      attemptsScanned: attempts.length,
+      truncated: attempts.length === CLUSTER_MAX_ATTEMPTS,
+      clusters: clusters.map(group => ({
+        users: Array.from(group.userIds).map(userId => userById.get(userId) || { userId }),
+        sharedGameAccounts: shared(group.accounts, account => account),
+        sharedIpAddresses: shared(group.ips, ipAddress => ({ ipAddress })),
+        subnets: Array.from(group.subnets),
+        attempts: group.attempts,
+        failedAttempts: group.failedAttempts,
+        firstSeen: group.firstSeen,
+        lastSeen: group.lastSeen
+      }))
+    };
+  }
+}
+
+module.exports = new AbuseSignalService();
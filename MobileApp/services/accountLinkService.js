@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const db = require('../Models');
+const { AppError } = require('../utils/errorHandler');
+const { auditLogger, logger } = require('../utils/logger');
+const { gameAdapters } = require('./gameAdapters');
+const notificationService = require('./notificationService');
+const proofFreshness = require('./proofFreshness');
+
+const { Op } = db.Sequelize;
+
+const CHALLENGE_TTL_MS = 30 * 60 * 1000;
+// Each confirmation reads the upstream profile; more tries need a new code
+const MAX_CONFIRM_ATTEMPTS = 10;
+// No 0/O or 1/I, so codes survive being typed into a game client
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * Links game accounts to users. A user asks for a short code, puts it in a
+ * profile field only the account's owner can edit (the adapter's
+ * fetchOwnershipFields), and confirms; the code is then looked for upstream.
+ * A game account is linked to at most one user: proving control again from
+ * another user moves the link, the previous holder's proofs for the account
+ * expire, and the previous holder is told.
+ */
+class AccountLinkService {
+  constructor(adapters = gameAdapters) {
+    this.adapters = adapters;
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `VW-${code}`;
+  }
+
+  linkableAdapter(game) {
+    const adapter = this.adapters.get(game);
+    if (!adapter.ownershipInstructions) {
+      throw new AppError(`Account linking is not available for ${adapter.name}`, 501);
+    }
+    return adapter;
+  }
+
+  // Issues a fresh code; an account the user already linked is returned as is
+  async start(userId, { game, gameAccount, region }) {
+    const adapter = this.linkableAdapter(game);
+    adapter.validateAccount(gameAccount);
+    const account = await adapter.resolveAccount(gameAccount, adapter.resolveRegion(region));
+
+    const existing = await db.GameAccount.findOne({
+      where: { userId, game, accountId: account.accountId, status: { [Op.ne]: 'unlinked' } }
+    });
+    if (existing?.status === 'linked') {
+      return existing;
+    }
+
+    const challenge = {
+      displayName: account.displayName,
+      region: account.region || null,
+      challengeCode: this.generateCode(),
+      challengeExpiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+      confirmAttempts: 0,
+      updatedAt: new Date()
+    };
+    return existing
+      ? existing.update(challenge)
+      : db.GameAccount.create({ userId, game, accountId: account.accountId, status: 'pending', ...challenge });
+  }
+
+  async confirm(userId, linkId) {
+    const link = await this.findForUser(userId, linkId);
+    if (link.status === 'linked') return link;
+
+    if (!link.challengeCode || link.challengeExpiresAt < new Date()) {
+      throw new AppError('This link code has expired. Request a new one.', 410);
+    }
+    if (link.confirmAttempts >= MAX_CONFIRM_ATTEMPTS) {
+      throw new AppError('Too many attempts for this link code. Request a new one.', 429);
+    }
+    await link.update({ confirmAttempts: link.confirmAttempts + 1, updatedAt: new Date() });
+
+    const adapter = this.linkableAdapter(link.game);
+    const fields = await adapter.fetchOwnershipFields({
+      accountId: link.accountId,
+      displayName: link.displayName,
+      region: link.region
+    });
+    if (!fields.some(text => String(text).toUpperCase().includes(link.challengeCode))) {
+      throw new AppError(`Code ${link.challengeCode} was not found on ${link.displayName}. ${adapter.ownershipInstructions}`, 400);
+    }
+
+    const previousHolders = await this.claim(link);
+
+    auditLogger.info('Game account linked', {
+      userId,
+      game: link.game,
+      linkId: link.linkId,
+      accountId: link.accountId.substring(0, 8) + '...',
+      takenFrom: previousHolders.map(holder => holder.userId)
+    });
+
+    for (const holder of previousHolders) {
+      await this.notifyTakenOver(holder, adapter);
+    }
+    return link;
+  }
+
+  // Marks the link as the account's only one and expires what the replaced links proved; returns them
+  async claim(link) {
+    const now = new Date();
+    let holders;
+    try {
+      holders = await db.sequelize.transaction(async (transaction) => {
+        const replaced = await db.GameAccount.findAll({
+          where: {
+            game: link.game,
+            accountId: link.accountId,
+            status: 'linked',
+            linkId: { [Op.ne]: link.linkId }
+          },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        for (const holder of replaced) {
+          await holder.update({ status: 'unlinked', unlinkedAt: now, updatedAt: now }, { transaction });
+        }
+        await link.update({
+          status: 'linked',
+          linkedAt: now,
+          challengeCode: null,
+          challengeExpiresAt: null,
+          updatedAt: now
+        }, { transaction });
+        return replaced;
+      });
+    } catch (error) {
+      // Two users confirming the same account at once: the unique index lets one through
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw new AppError('This account was just linked by someone else. Try confirming again.', 409);
+      }
+      throw error;
+    }
+
+    for (const holder of holders) {
+      await this.expireProofs(holder);
+    }
+    return holders;
+  }
+
+  // A previous holder's proofs for the account stop counting towards quests and leaderboards
+  async expireProofs(holder) {
+    const proofs = await db.Proof.findAll({
+      where: {
+        userId: holder.userId,
+        apiSource: holder.game,
+        gameAccountId: holder.accountId,
+        verified: true,
+        freshness: { [Op.ne]: 'expired' }
+      }
+    });
+    for (const proof of proofs) {
+      await proofFreshness.expire(proof, 'Its game account was linked to another profile.');
+    }
+  }
+
+  // A failed notification never undoes the link
+  async notifyTakenOver(holder, adapter) {
+    try {
+      await notificationService.notify(holder.userId, 'account_unlinked', {
+        title: 'Game account linked to another profile',
+        message: `Someone proved control of your ${adapter.name} account ${holder.displayName} and linked it to their profile. ` +
+          'Proofs you verified with it no longer count, and it can no longer be verified from yours. ' +
+          'If this is your account, link it again.',
+        data: { game: holder.game, linkId: holder.linkId }
+      });
+    } catch (error) {
+      logger.error('Failed to send account takeover notification', { linkId: holder.linkId, error: error.message });
+    }
+  }
+
+  async findForUser(userId, linkId) {
+    const link = await db.GameAccount.findOne({
+      where: { linkId, userId, status: { [Op.ne]: 'unlinked' } }
+    });
+    if (!link) {
+      throw new AppError('Linked account not found', 404);
+    }
+    return link;
+  }
+
+  list(userId) {
+    return db.GameAccount.findAll({
+      where: { userId, status: { [Op.ne]: 'unlinked' } },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  async unlink(userId, linkId) {
+    const link = await this.findForUser(userId, linkId);
+    const now = new Date();
+    await link.update({ status: 'unlinked', unlinkedAt: now, challengeCode: null, updatedAt: now });
+    return link;
+  }
+
+  hasLinkedAccount(userId, game) {
+    return db.GameAccount.count({ where: { userId, game, status: 'linked' } }).then(count => count > 0);
+  }
+
+  // Called once the upstream account id is known; stats of an unlinked account never count
+  async assertLinked(userId, game, accountId) {
+    const link = await db.GameAccount.findOne({ where: { userId, game, accountId, status: 'linked' } });
+    if (!link) {
+      throw new AppError('This game account is not linked to your profile. Link it before verifying.', 403);
+    }
+    return link;
+  }
+
+  // Whether the user's proofs for the account still count on refresh: it is linked to them, or
+  // nobody ever linked it (proofs from before linking existed)
+  async holdsAccount(userId, game, accountId) {
+    const links = await db.GameAccount.findAll({
+      where: { game, accountId, status: { [Op.ne]: 'pending' } },
+      attributes: ['userId', 'status']
+    });
+    return links.length === 0 || links.some(link => link.userId === userId && link.status === 'linked');
+  }
+}
+
+module.exports = new AccountLinkService();
@@ -0,0 +1,126 @@
+const db = require('../Models');
+const { ProofVerificationError } = require('../utils/errorHandler');
+const { auditLogger } = require('../utils/logger');
+
+const { Op } = db.Sequelize;
+
+/**
+ * Replay protection for Reclaim claims. Every accepted claim identifier is kept
+ * in reclaim_claims with the user and proof request session it arrived for:
+ *   - a claim already recorded for another user, or an owner address already
+ *     used by another user, is foreign (FOREIGN_CLAIM, 403)
+ *   - the first callback that records an owner binds it to its user in
+ *     reclaim_owners, keyed by address, so concurrent callbacks can't bind it twice
+ *   - a claim already recorded, or already redeemed for a proof, is replayed (REPLAYED_CLAIM, 409)
+ * Every rejection is written to the audit log.
+ */
+class ClaimRegistry {
+  reject(code, message, statusCode, details) {
+    auditLogger.warn('Reclaim claim rejected', { code, ...details });
+    throw new ProofVerificationError(message, code, statusCode);
+  }
+
+  // Throws unless none of the claims were seen before and their owner is this user's or new
+  async check(claims, { userId, requestId }) {
+    const identifiers = claims.map(claim => claim.identifier);
+    const owner = claims[0].owner;
+    const [existing, binding, ownerHolder] = await Promise.all([
+      db.ReclaimClaim.findAll({ where: { identifier: { [Op.in]: identifiers } } }),
+      db.ReclaimOwner.findByPk(owner, { attributes: ['userId'] }),
+      // Claims recorded before owners were bound in reclaim_owners
+      db.ReclaimClaim.findOne({ where: { owner, userId: { [Op.ne]: userId } }, attributes: ['userId'] })
+    ]);
+
+    const details = { userId, requestId, owner, identifiers };
+    const foreign = existing.find(row => row.userId !== userId);
+    if (foreign) {
+      this.reject('FOREIGN_CLAIM', 'This proof was made for another user', 403, { ...details, holderId: foreign.userId });
+    }
+    const holderId = binding && binding.userId !== userId ? binding.userId : ownerHolder?.userId;
+    if (holderId) {
+      this.reject('FOREIGN_CLAIM', 'This Reclaim identity belongs to another user', 403, { ...details, holderId });
+    }
+    if (existing.length > 0) {
+      this.reject('REPLAYED_CLAIM', 'This proof was already used', 409, {
+        ...details,
+        previousRequestId: existing[0].requestId
+      });
+    }
+  }
+
+  /**
+   * Records the claims a session's callback accepted and binds their owner to the
+   * user. check() only reads; the keys of reclaim_claims and reclaim_owners settle
+   * concurrent callbacks, and both rows commit together or not at all.
+   */
+  async record(claims, { userId, requestId, proofType }) {
+    await this.check(claims, { userId, requestId });
+    const owner = claims[0].owner;
+    try {
+      await db.sequelize.transaction(async (transaction) => {
+        const [binding] = await db.ReclaimOwner.findOrCreate({
+          where: { owner },
+          defaults: { owner, userId, requestId, boundAt: new Date() },
+          transaction
+        });
+        if (binding.userId !== userId) {
+          this.reject('FOREIGN_CLAIM', 'This Reclaim identity belongs to another user', 403, {
+            userId, requestId, owner, holderId: binding.userId
+          });
+        }
+
+        await db.ReclaimClaim.bulkCreate(claims.map(claim => ({
+          identifier: claim.identifier,
+          userId,
+          requestId,
+          owner: claim.owner,
+          proofType,
+          recordedAt: new Date()
+        })), { transaction });
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        this.reject('REPLAYED_CLAIM', 'This proof was already used', 409, {
+          userId, requestId, identifiers: claims.map(claim => claim.identifier)
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a session's claims as spent by /api/proofs/submit. All of them flip
+   * together or none do, so one proof can only ever back one stored Proof.
+   */
+  async redeem(claims, { userId, requestId }) {
+    const identifiers = claims.map(claim => claim.identifier);
+    await db.sequelize.transaction(async (transaction) => {
+      const [redeemed] = await db.ReclaimClaim.update(
+        { redeemedAt: new Date() },
+        { where: { identifier: { [Op.in]: identifiers }, userId, requestId, redeemedAt: null }, transaction }
+      );
+      if (redeemed !== identifiers.length) {
+        // Throwing rolls back the claims this update did flip
+        this.reject('REPLAYED_CLAIM', 'This proof was already submitted', 409, { userId, requestId, identifiers });
+      }
+    });
+  }
+
+  // The stored proof the claims were redeemed for
+  async attach(claims, proofId) {
+    await db.ReclaimClaim.update(
+      { proofId },
+      { where: { identifier: { [Op.in]: claims.map(claim => claim.identifier) } } }
+    );
+  }
+
+  // Undoes redeem() when the proof couldn't be stored, so the user can retry
+  async release(claims) {
+    await db.ReclaimClaim.update(
+      { redeemedAt: null },
+      { where: { identifier: { [Op.in]: claims.map(claim => claim.identifier) }, proofId: null } }
+    );
+  }
+}
+
+module.exports = new ClaimRegistry();
@@ -0,0 +1,136 @@
+// In-memory stand-ins for the two tables, matching the where clauses claimRegistry uses
+jest.mock('../Models', () => {
+  const { Op: Ops, UniqueConstraintError: UniqueError } = require('sequelize');
+  const matches = (row, where) => Object.entries(where).every(([field, expected]) => {
+    if (expected && typeof expected === 'object') {
+      if (expected[Ops.in]) return expected[Ops.in].includes(row[field]);
+      if (Ops.ne in expected) return row[field] !== expected[Ops.ne];
+    }
+    return (row[field] ?? null) === expected;
+  });
+  const table = (key) => ({
+    rows: [],
+    async findAll({ where }) {
+      return this.rows.filter(row => matches(row, where));
+    },
+    async findOne({ where }) {
+      return this.rows.find(row => matches(row, where)) || null;
+    },
+    async findByPk(id) {
+      return this.rows.find(row => row[key] === id) || null;
+    },
+    async findOrCreate({ where, defaults }) {
+      const found = await this.findOne({ where });
+      if (found) return [found, false];
+      this.rows.push({ ...defaults });
+      return [this.rows[this.rows.length - 1], true];
+    },
+    async bulkCreate(records) {
+      if (records.some(record => this.rows.some(row => row[key] === record[key]))) {
+        throw new UniqueError({ message: 'duplicate key' });
+      }
+      this.rows.push(...records.map(record => ({ ...record })));
+    },
+    async update(values, { where }) {
+      const hit = this.rows.filter(row => matches(row, where));
+      hit.forEach(row => Object.assign(row, values));
+      return [hit.length];
+    }
+  });
+
+  return {
+    Sequelize: { Op: Ops },
+    sequelize: { transaction: async (fn) => fn({}) },
+    ReclaimClaim: table('identifier'),
+    ReclaimOwner: table('owner')
+  };
+});
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  auditLogger: { info: jest.fn(), warn: jest.fn() }
+}));
+
+const db = require('../Models');
+const { auditLogger } = require('../utils/logger');
+const claimRegistry = require('./claimRegistry');
+
+const OWNER = '0x00000000000000000000000000000000000000aa';
+const claim = (identifier, owner = OWNER) => ({ identifier, owner });
+const session = (userId, requestId) => ({ userId, requestId, proofType: 'steam_profile' });
+
+const rejection = (promise) => promise.then(() => null, error => ({ code: error.code, statusCode: error.statusCode }));
+
+beforeEach(() => {
+  db.ReclaimClaim.rows = [];
+  db.ReclaimOwner.rows = [];
+  auditLogger.warn.mockClear();
+});
+
+describe('claimRegistry', () => {
+  it('records a new claim and binds its owner to the user', async () => {
+    await claimRegistry.record([claim('0x01')], session(1, 'r1'));
+
+    expect(db.ReclaimClaim.rows).toEqual([expect.objectContaining({ identifier: '0x01', userId: 1, requestId: 'r1' })]);
+    expect(db.ReclaimOwner.rows).toEqual([expect.objectContaining({ owner: OWNER, userId: 1 })]);
+  });
+
+  it('rejects a replayed claim', async () => {
+    await claimRegistry.record([claim('0x01')], session(1, 'r1'));
+
+    expect(await rejection(claimRegistry.record([claim('0x01')], session(1, 'r2'))))
+      .toEqual({ code: 'REPLAYED_CLAIM', statusCode: 409 });
+    expect(auditLogger.warn).toHaveBeenCalledWith('Reclaim claim rejected', expect.objectContaining({ code: 'REPLAYED_CLAIM' }));
+  });
+
+  it("rejects another user's claim and another user's owner address", async () => {
+    await claimRegistry.record([claim('0x01')], session(1, 'r1'));
+
+    expect(await rejection(claimRegistry.record([claim('0x01')], session(2, 'r2'))))
+      .toEqual({ code: 'FOREIGN_CLAIM', statusCode: 403 });
+    expect(await rejection(claimRegistry.record([claim('0x02')], session(2, 'r2'))))
+      .toEqual({ code: 'FOREIGN_CLAIM', statusCode: 403 });
+    expect(db.ReclaimClaim.rows).toHaveLength(1);
+  });
+
+  it('lets the owner binding settle callbacks that both passed check()', async () => {
+    // Another user's callback bound the owner between this one's check and record
+    jest.spyOn(claimRegistry, 'check').mockResolvedValueOnce();
+    db.ReclaimOwner.rows.push({ owner: OWNER, userId: 1 });
+
+    expect(await rejection(claimRegistry.record([claim('0x02')], session(2, 'r2'))))
+      .toEqual({ code: 'FOREIGN_CLAIM', statusCode: 403 });
+  });
+
+  it('reports a concurrent duplicate insert as a replay', async () => {
+    jest.spyOn(claimRegistry, 'check').mockResolvedValueOnce();
+    db.ReclaimClaim.rows.push({ identifier: '0x01', userId: 1, requestId: 'r1', owner: OWNER });
+
+    expect(await rejection(claimRegistry.record([claim('0x01')], session(1, 'r2'))))
+      .toEqual({ code: 'REPLAYED_CLAIM', statusCode: 409 });
+  });
+
+  it('redeems claims once, and release makes them redeemable again', async () => {
+    const claims = [claim('0x01'), claim('0x02')];
+    await claimRegistry.record(claims, session(1, 'r1'));
+
+    await claimRegistry.redeem(claims, { userId: 1, requestId: 'r1' });
+    expect(await rejection(claimRegistry.redeem(claims, { userId: 1, requestId: 'r1' })))
+      .toEqual({ code: 'REPLAYED_CLAIM', statusCode: 409 });
+
+    await claimRegistry.release(claims);
+    await claimRegistry.redeem(claims, { userId: 1, requestId: 'r1' });
+    await claimRegistry.attach(claims, 7);
+
+    // Attached claims belong to a stored proof and stay redeemed
+    await claimRegistry.release(claims);
+    expect(db.ReclaimClaim.rows.every(row => row.proofId === 7 && row.redeemedAt)).toBe(true);
+  });
+
+  it("won't redeem claims from another user's session", async () => {
+    await claimRegistry.record([claim('0x01')], session(1, 'r1'));
+
+    expect(await rejection(claimRegistry.redeem([claim('0x01')], { userId: 2, requestId: 'r1' })))
+      .toEqual({ code: 'REPLAYED_CLAIM', statusCode: 409 });
+  });
+});
+
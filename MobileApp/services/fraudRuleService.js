@@ -0,0 +1,480 @@
+const db = require('../Models');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { evaluateCondition, validateCondition, conditionPaths, fillTemplate } = require('../utils/conditions');
+const { queryJsonPath } = require('../utils/jsonPath');
+const { gameAdapters } = require('./gameAdapters');
+const abuseSignals = require('./abuseSignals');
+
+const { Op } = db.Sequelize;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Other instances pick up admin edits within this
+const RULE_CACHE_MS = 60 * 1000;
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{2,99}$/;
+const CONTEXT_ROOTS = ['stats', 'signals', 'history', 'network'];
+const RULE_FIELDS = ['game', 'condition', 'weight', 'explanation', 'enabled'];
+const BACKTEST_DEFAULT_LIMIT = 1000;
+const BACKTEST_MAX_LIMIT = 5000;
+const BACKTEST_EXAMPLES = 20;
+
+const readThreshold = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+// Fraud score bands:
+//   below review    - auto-approved
+//   review..reject  - approved but flagged for manual review
+//   reject and up   - never auto-approved
+const THRESHOLDS = {
+  warning: readThreshold('FRAUD_WARNING_THRESHOLD', 30),
+  review: readThreshold('FRAUD_REVIEW_THRESHOLD', 50),
+  reject: readThreshold('FRAUD_REJECT_THRESHOLD', 70)
+};
+
+// Defaults that apply to every game; per-game ones come from the adapters' fraudRules()
+const GLOBAL_RULES = [
+  {
+    id: 'verification-frequency',
+    condition: { path: '$.history.proofsLast24h', op: '>', value: 5 },
+    weight: 20,
+    explanation: '{$.history.proofsLast24h} verifications in the last 24 hours'
+  },
+  // Cross-user signals from services/abuseSignals.js
+  {
+    id: 'shared-game-account',
+    condition: { path: '$.network.accountUsers30d', op: '>=', value: 1 },
+    weight: 25,
+    explanation: 'This game account was also submitted by {$.network.accountUsers30d} other user(s) in the last 30 days'
+  },
+  {
+    id: 'shared-ip-address',
+    condition: { path: '$.network.ipUsers7d', op: '>=', value: 3 },
+    weight: 15,
+    explanation: '{$.network.ipUsers7d} other users verified from the same IP address in the last 7 days'
+  },
+  {
+    id: 'new-users-same-subnet',
+    condition: { path: '$.network.subnetNewUsers7d', op: '>=', value: 5 },
+    weight: 15,
+    explanation: '{$.network.subnetNewUsers7d} new users verified from the same network in the last 7 days'
+  },
+  {
+    id: 'account-probing',
+    condition: { path: '$.network.probedAccounts1h', op: '>=', value: 5 },
+    weight: 20,
+    explanation: 'Failed verifications for {$.network.probedAccounts1h} different accounts in the last hour'
+  }
+];
+
+/**
+ * Scores stats against weighted rules stored in fraud_rules. A rule is data:
+ * a condition over the stats, adapter-derived signals, the user's recent
+ * history and cross-user network signals, the points it adds, and the flag it raises. Defaults are seeded
+ * from the adapters once; after that admins enable, disable and tune them,
+ * and can backtest a proposal against historical proofs first.
+ */
+class FraudRuleService {
+  constructor(adapters = gameAdapters) {
+    this.adapters = adapters;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  thresholds() {
+    return { ...THRESHOLDS };
+  }
+
+  decide(score, thresholds = THRESHOLDS) {
+    if (score >= thresholds.reject) return 'reject';
+    if (score >= thresholds.review) return 'review';
+    return 'approve';
+  }
+
+  defaultRules() {
+    const gameRules = this.adapters.list().flatMap(adapter =>
+      adapter.fraudRules().map(rule => ({ ...rule, game: adapter.id })));
+
+    return [...GLOBAL_RULES.map(rule => ({ ...rule, game: null })), ...gameRules].map(rule => ({
+      ruleId: rule.id,
+      game: rule.game,
+      condition: rule.condition,
+      weight: rule.weight,
+      explanation: rule.explanation,
+      enabled: true
+    }));
+  }
+
+  // Called at startup; inserts missing defaults and never touches rules that exist
+  async seedDefaults() {
+    const existing = await db.FraudRule.findAll({ attributes: ['ruleId'] });
+    const known = new Set(existing.map(rule => rule.ruleId));
+    const missing = this.defaultRules().filter(rule => !known.has(rule.ruleId));
+
+    if (missing.length > 0) {
+      await db.FraudRule.bulkCreate(
+        missing.map(rule => ({ ...rule, builtIn: true })),
+        { ignoreDuplicates: true }
+      );
+      logger.info(`Seeded ${missing.length} default fraud rule(s)`);
+    }
+    this.invalidate();
+    return missing.length;
+  }
+
+  async enabledRules() {
+    if (!this.cache || Date.now() - this.cachedAt > RULE_CACHE_MS) {
+      const rows = await db.FraudRule.findAll({ where: { enabled: true }, order: [['ruleId', 'ASC']] });
+      this.cache = rows.map(row => row.get({ plain: true }));
+      this.cachedAt = Date.now();
+    }
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  rulesFor(rules, game) {
+    return rules.filter(rule => rule.enabled !== false && (rule.game === null || rule.game === game));
+  }
+
+  // Activity in the 24 hours before `at`, not counting anything submitted at or after it
+  async history(userId, game, at = new Date()) {
+    const window = { userId, submittedAt: { [Op.gte]: new Date(at.getTime() - DAY_MS), [Op.lt]: at } };
+    const [proofsLast24h, gameProofsLast24h] = await Promise.all([
+      db.Proof.count({ where: window }),
+      db.Proof.count({ where: { ...window, apiSource: game } })
+    ]);
+    return { proofsLast24h, gameProofsLast24h };
+  }
+
+  buildContext(game, stats, { history = {}, network = {} } = {}, at = new Date()) {
+    const signals = this.adapters.has(game) ? this.adapters.get(game).fraudSignals(stats, { at }) : {};
+    return { stats, signals, history, network };
+  }
+
+  // Sum of the weights of every rule whose condition holds, clamped to 0-100.
+  // Each flag carries the values its condition read, so reviewers see why it fired.
+  score(rules, context) {
+    let total = 0;
+    const flags = [];
+
+    for (const rule of rules) {
+      if (!evaluateCondition(rule.condition, context)) continue;
+      total += rule.weight;
+      flags.push({
+        ruleId: rule.ruleId,
+        contribution: rule.weight,
+        explanation: fillTemplate(rule.explanation, context),
+        evidence: [...new Set(conditionPaths(rule.condition))].reduce((acc, path) => {
+          acc[path] = queryJsonPath(context, path) ?? null;
+          return acc;
+        }, {})
+      });
+    }
+
+    return { score: Math.max(0, Math.min(total, 100)), flags };
+  }
+
+  /**
+   * Scores freshly fetched stats with the enabled rules. The result is stored
+   * on the proof as `fraudAnalysis`; `network` is kept so backtests can replay it.
+   * @returns {Promise<{score: number, decision: string, flags: object[], thresholds: object,
+   *   network: object, analyzedAt: Date}>}
+   */
+  async evaluate(game, stats, { userId, gameAccountId, at = new Date() } = {}) {
+    const rules = this.rulesFor(await this.enabledRules(), game);
+    const [history, network] = await Promise.all([
+      this.history(userId, game, at),
+      abuseSignals.network({ userId, game, gameAccountId, at })
+    ]);
+    const { score, flags } = this.score(rules, this.buildContext(game, stats, { history, network }, at));
+    return {
+      score,
+      decision: this.decide(score),
+      flags,
+      thresholds: { review: THRESHOLDS.review, reject: THRESHOLDS.reject },
+      network,
+      analyzedAt: at
+    };
+  }
+
+  // Result warnings for a stored analysis
+  warningsFor(analysis) {
+    const warnings = [];
+    if (analysis.score > THRESHOLDS.warning) {
+      warnings.push('Unusual stat patterns detected');
+    }
+    if (analysis.decision === 'reject') {
+      warnings.push('High fraud risk - manual review required');
+    }
+    return warnings;
+  }
+
+  // What a user may see about their own proof: why it was held back, without
+  // rule ids, weights or evidence that would show how to stay under the thresholds
+  userSummary(analysis) {
+    if (!analysis || analysis.decision === 'approve') return null;
+
+    const reasons = analysis.flags
+      .filter(flag => flag.contribution > 0)
+      .sort((a, b) => b.contribution - a.contribution)
+      .map(flag => flag.explanation);
+    return {
+      status: analysis.decision === 'review' ? 'manual_review' : 'rejected',
+      reasons: [...new Set(reasons)]
+    };
+  }
+
+  validateRule(rule) {
+    const problems = [];
+    if (typeof rule.ruleId !== 'string' || !RULE_ID_PATTERN.test(rule.ruleId)) {
+      problems.push('ruleId must be 3-100 lowercase letters, digits, dots, dashes or underscores');
+    }
+    if (rule.game !== null && (typeof rule.game !== 'string' || rule.game.length > 50)) {
+      problems.push('game must be a game id or null for every game');
+    }
+    if (!Number.isInteger(rule.weight) || rule.weight < -100 || rule.weight > 100) {
+      problems.push('weight must be an integer between -100 and 100');
+    }
+    if (typeof rule.explanation !== 'string' || !rule.explanation.trim() || rule.explanation.length > 255) {
+      problems.push('explanation must be a non-empty string of at most 255 characters');
+    }
+    return problems.concat(validateCondition(rule.condition, { roots: CONTEXT_ROOTS }));
+  }
+
+  assertValid(rule) {
+    const problems = this.validateRule(rule);
+    if (problems.length > 0) {
+      throw new AppError(`Invalid fraud rule: ${problems.join('; ')}`, 400);
+    }
+  }
+
+  pickRule(input) {
+    return RULE_FIELDS.reduce((acc, field) => {
+      if (input[field] !== undefined) acc[field] = input[field];
+      return acc;
+    }, {});
+  }
+
+  async list() {
+    return db.FraudRule.findAll({ order: [['game', 'ASC'], ['ruleId', 'ASC']] });
+  }
+
+  async findByRuleId(ruleId) {
+    const rule = await db.FraudRule.findByPk(ruleId);
+    if (!rule) {
+      throw new AppError('Fraud rule not found', 404);
+    }
+    return rule;
+  }
+
+  async create(input, adminId) {
+    const rule = { game: null, enabled: true, ...this.pickRule(input), ruleId: input.ruleId };
+    this.assertValid(rule);
+    if (rule.game !== null && !this.adapters.has(rule.game)) {
+      throw new AppError(`Unsupported game: ${rule.game}`, 400);
+    }
+
+    const existing = await db.FraudRule.count({ where: { ruleId: rule.ruleId } });
+    if (existing > 0) {
+      throw new AppError(`Fraud rule id already in use: ${rule.ruleId}`, 409);
+    }
+
+    const created = await db.FraudRule.create({
+      ...rule,
+      enabled: Boolean(rule.enabled),
+      builtIn: false,
+      createdBy: adminId,
+      updatedBy: adminId
+    });
+    this.invalidate();
+    return created;
+  }
+
+  // Enable, disable or tune; the game a rule applies to cannot change
+  async update(ruleId, input, adminId) {
+    const rule = await this.findByRuleId(ruleId);
+    const changes = this.pickRule(input);
+    delete changes.game;
+    this.assertValid({ ...rule.get({ plain: true }), ...changes });
+
+    await rule.update({
+      ...changes,
+      ...(changes.enabled !== undefined && { enabled: Boolean(changes.enabled) }),
+      updatedBy: adminId,
+      updatedAt: new Date()
+    });
+    this.invalidate();
+    return rule;
+  }
+
+  // The stored rules with the proposed changes applied; unknown ids are new rules
+  proposedRules(stored, changes) {
+    if (!Array.isArray(changes)) {
+      throw new AppError('rules must be an array of rule changes', 400);
+    }
+
+    const rules = new Map(stored.map(rule => [rule.ruleId, rule]));
+    for (const change of changes) {
+      const current = rules.get(change.ruleId);
+      const fields = this.pickRule(change);
+      if (current) delete fields.game;
+
+      const rule = current
+        ? { ...current, ...fields }
+        : { game: null, enabled: true, ...fields, ruleId: change.ruleId };
+      this.assertValid(rule);
+      rules.set(rule.ruleId, rule);
+    }
+    return Array.from(rules.values());
+  }
+
+  proposedThresholds(input) {
+    const thresholds = { ...THRESHOLDS, ...input };
+    const valid = ['review', 'reject'].every(key =>
+      Number.isFinite(thresholds[key]) && thresholds[key] >= 0 && thresholds[key] <= 100);
+    if (!valid || thresholds.review > thresholds.reject) {
+      throw new AppError('thresholds.review and thresholds.reject must be 0-100 with review <= reject', 400);
+    }
+    return thresholds;
+  }
+
+  /**
+   * Re-scores historical proofs under the stored rules and under a proposal, and
+   * reports how their decisions would move. Nothing is saved.
+   * @param {object} input
+   * @param {object[]} [input.rules] - Changes by ruleId ({ ruleId, enabled?, weight?, condition?, explanation? });
+   *   an unknown ruleId adds a rule and needs the full definition.
+   * @param {{review?: number, reject?: number}} [input.thresholds] - Proposed score bands.
+   * @param {string} [input.game] - Only proofs for this game.
+   * @param {string} [input.since] - Only proofs submitted from this date.
+   * @param {string} [input.until] - Only proofs submitted before this date.
+   * @param {number} [input.limit] - Most recent proofs to score.
+   */
+  async backtest({ rules: changes = [], thresholds: thresholdInput = {}, game, since, until, limit } = {}) {
+    const currentRules = (await this.list()).map(row => row.get({ plain: true }));
+    const proposedRules = this.proposedRules(currentRules, changes);
+    const proposedThresholds = this.proposedThresholds(thresholdInput);
+
+    const where = { statFetched: { [Op.ne]: null } };
+    if (game) where.apiSource = game;
+    if (since || until) {
+      where.submittedAt = {};
+      if (since) where.submittedAt[Op.gte] = new Date(since);
+      if (until) where.submittedAt[Op.lt] = new Date(until);
+    }
+
+    const proofs = await db.Proof.findAll({
+      where,
+      attributes: ['proofId', 'userId', 'apiSource', 'statFetched', 'fraudAnalysis', 'submittedAt'],
+      order: [['submittedAt', 'DESC']],
+      limit: Math.min(parseInt(limit, 10) || BACKTEST_DEFAULT_LIMIT, BACKTEST_MAX_LIMIT)
+    });
+    const histories = await this.historiesFor(proofs);
+
+    const report = {
+      proofsScored: 0,
+      thresholds: { current: this.thresholds(), proposed: proposedThresholds },
+      current: { approve: 0, review: 0, reject: 0 },
+      proposed: { approve: 0, review: 0, reject: 0 },
+      changed: {
+        total: 0,
+        autoApprovalsGained: 0,
+        autoApprovalsLost: 0,
+        manualReviewsGained: 0,
+        manualReviewsLost: 0,
+        byTransition: {}
+      },
+      ruleHits: {},
+      examples: []
+    };
+
+    for (const proof of proofs) {
+      const stats = proof.statFetched?.stats;
+      if (!stats) continue;
+
+      const at = new Date(proof.submittedAt);
+      // Network signals can't be recomputed for the past; proofs scored before they existed have none
+      const context = this.buildContext(proof.apiSource, stats, {
+        history: histories.get(proof.proofId),
+        network: proof.fraudAnalysis?.network
+      }, at);
+      const before = this.score(this.rulesFor(currentRules, proof.apiSource), context);
+      const after = this.score(this.rulesFor(proposedRules, proof.apiSource), context);
+      const was = this.decide(before.score);
+      const now = this.decide(after.score, proposedThresholds);
+
+      report.proofsScored += 1;
+      report.current[was] += 1;
+      report.proposed[now] += 1;
+      this.countHits(report.ruleHits, before.flags, 'current');
+      this.countHits(report.ruleHits, after.flags, 'proposed');
+      if (was === now) continue;
+
+      const { changed } = report;
+      changed.total += 1;
+      changed.byTransition[`${was}->${now}`] = (changed.byTransition[`${was}->${now}`] || 0) + 1;
+      if (now === 'approve') changed.autoApprovalsGained += 1;
+      if (was === 'approve') changed.autoApprovalsLost += 1;
+      if (now === 'review') changed.manualReviewsGained += 1;
+      if (was === 'review') changed.manualReviewsLost += 1;
+
+      if (report.examples.length < BACKTEST_EXAMPLES) {
+        report.examples.push({
+          proofId: proof.proofId,
+          game: proof.apiSource,
+          submittedAt: proof.submittedAt,
+          current: { score: before.score, decision: was, flags: before.flags },
+          proposed: { score: after.score, decision: now, flags: after.flags }
+        });
+      }
+    }
+
+    return report;
+  }
+
+  countHits(hits, flags, key) {
+    flags.forEach(({ ruleId }) => {
+      hits[ruleId] = hits[ruleId] || { current: 0, proposed: 0 };
+      hits[ruleId][key] += 1;
+    });
+  }
+
+  // history() as of each proof's submission, from one query instead of two per proof
+  async historiesFor(proofs) {
+    const histories = new Map();
+    if (proofs.length === 0) return histories;
+
+    const times = proofs.map(proof => new Date(proof.submittedAt).getTime());
+    const earlier = await db.Proof.findAll({
+      where: {
+        userId: { [Op.in]: [...new Set(proofs.map(proof => proof.userId))] },
+        submittedAt: { [Op.gte]: new Date(Math.min(...times) - DAY_MS), [Op.lt]: new Date(Math.max(...times)) }
+      },
+      attributes: ['userId', 'apiSource', 'submittedAt']
+    });
+
+    const byUser = earlier.reduce((acc, proof) => {
+      (acc[proof.userId] = acc[proof.userId] || []).push(proof);
+      return acc;
+    }, {});
+
+    proofs.forEach(proof => {
+      const at = new Date(proof.submittedAt).getTime();
+      const window = (byUser[proof.userId] || []).filter(other => {
+        const time = new Date(other.submittedAt).getTime();
+        return time >= at - DAY_MS && time < at;
+      });
+      histories.set(proof.proofId, {
+        proofsLast24h: window.length,
+        gameProofsLast24h: window.filter(other => other.apiSource === proof.apiSource).length
+      });
+    });
+    return histories;
+  }
+}
+
+module.exports = new FraudRuleService();
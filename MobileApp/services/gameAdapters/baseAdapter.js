@@ -0,0 +1,186 @@
+const { AppError } = require('../../utils/errorHandler');
+
+// Skill score → skill level thresholds, shared by every game
+const SKILL_LEVELS = [
+  { min: 1600, level: 'Expert' },
+  { min: 1200, level: 'Advanced' },
+  { min: 800, level: 'Intermediate+' },
+  { min: 400, level: 'Intermediate' },
+  { min: 100, level: 'Beginner' }
+];
+
+// How long fetched stats are served from the snapshot cache (see services/statsCache.js)
+const DEFAULT_STATS_CACHE_TTL = {
+  fresh: 5 * 60 * 1000,
+  stale: 60 * 60 * 1000
+};
+
+// How long a verified proof counts before it has to be re-verified (see services/proofFreshness.js)
+const DEFAULT_PROOF_FRESHNESS = {
+  maxAgeDays: 30,
+  refreshWindowDays: 3
+};
+
+/**
+ * Base class for game adapters.
+ * An adapter owns everything game-specific: account format, stat fetching,
+ * skill scoring, leaderboard scoring and default fraud rules. Subclasses
+ * override the hooks they need; the defaults are neutral.
+ */
+class GameAdapter {
+  /**
+   * @param {object} config
+   * @param {string} config.id - Game identifier used in requests and `Proof.apiSource`.
+   * @param {string} config.name - Display name.
+   * @param {string} config.apiEndpoint - Upstream API base URL.
+   * @param {string[]} config.requiredStats - Stats the adapter guarantees to return.
+   * @param {string} [config.apiKey] - Upstream API key.
+   * @param {{requests: number, window: number}} config.rateLimit - Default upstream request budget.
+   * @param {string} [config.rateLimitKey] - Budget shared by adapters on the same API key; defaults to the id.
+   * @param {{fresh: number, stale: number}} [config.statsCacheTtl] - Snapshot cache lifetimes in ms.
+   * @param {{maxAgeDays: number|null, refreshWindowDays: number}} [config.proofFreshness] - Proof lifetime;
+   *   refreshed in the window before it expires. A null maxAgeDays never expires (e.g. achievements).
+   * @param {string[]} [config.regions] - Supported regions, if the upstream is regional.
+   * @param {string|null} [config.defaultRegion] - Region used when the account doesn't name one.
+   * @param {object} [config.skillMetrics] - Tier name → { min, max } skill score range.
+   * @param {{pattern: RegExp, description: string}} config.accountFormat - Accepted account identifier.
+   * @param {string|null} [config.ownershipInstructions] - Where an owner puts an account link code
+   *   (see fetchOwnershipFields); null when accounts can't be linked, and so can't be verified.
+   */
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name;
+    this.apiEndpoint = config.apiEndpoint;
+    this.requiredStats = config.requiredStats || [];
+    this.apiKey = config.apiKey;
+    this.rateLimit = config.rateLimit;
+    this.rateLimitKey = config.rateLimitKey || config.id;
+    this.statsCacheTtl = { ...DEFAULT_STATS_CACHE_TTL, ...config.statsCacheTtl };
+    this.proofFreshness = { ...DEFAULT_PROOF_FRESHNESS, ...config.proofFreshness };
+    this.regions = config.regions || [];
+    // An explicit null default lets the adapter infer the region from the account
+    this.defaultRegion = config.defaultRegion !== undefined ? config.defaultRegion : (this.regions[0] || null);
+    this.skillMetrics = config.skillMetrics || {};
+    this.accountFormat = config.accountFormat;
+    this.ownershipInstructions = config.ownershipInstructions || null;
+  }
+
+  // Rate limit budget for an outbound call, passed to gameHttp as `budget`
+  budget(method = null) {
+    return { key: this.rateLimitKey, method, limits: [this.rateLimit] };
+  }
+
+  validateAccount(account) {
+    if (!this.accountFormat.pattern.test(account)) {
+      throw new AppError(`Invalid ${this.id} account format. Expected: ${this.accountFormat.description}`, 400);
+    }
+  }
+
+  // Validates the requested region; null for games without regional APIs
+  resolveRegion(region) {
+    if (this.regions.length === 0) return null;
+    if (!region) return this.defaultRegion;
+    if (!this.regions.includes(region)) {
+      throw new AppError(`Unsupported ${this.name} region: ${region}. Expected one of: ${this.regions.join(', ')}`, 400);
+    }
+    return region;
+  }
+
+  /**
+   * Turns the user-supplied account string into the identity stats are fetched for.
+   * @param {string} account - Account as entered by the user.
+   * @param {string|null} region - Region returned by resolveRegion.
+   * @returns {Promise<{accountId: string, displayName: string, region: string|null}>}
+   *   `accountId` is the stable upstream identifier (puuid, Steam ID, ...).
+   */
+  async resolveAccount(account, region) {
+    return { accountId: account, displayName: account, region };
+  }
+
+  /**
+   * Profile text only the account's owner can change, searched for a link code
+   * (see services/accountLinkService.js).
+   * @param {object} account - Returned by resolveAccount.
+   * @returns {Promise<string[]>}
+   */
+  async fetchOwnershipFields(account) {
+    throw new AppError(`Account linking is not available for ${this.name}`, 501);
+  }
+
+  // Receives the object returned by resolveAccount; `options.requirement` is the quest's requirement
+  async fetchStats(account, options = {}) {
+    throw new AppError(`Stats fetching not implemented for ${this.id}`, 501);
+  }
+
+  // Numeric skill score on the shared 0-2000+ scale
+  scoreSkill(stats) {
+    return 0;
+  }
+
+  assessSkillLevel(stats) {
+    const score = this.scoreSkill(stats);
+    const match = SKILL_LEVELS.find(({ min }) => score >= min);
+    return match ? match.level : 'Novice';
+  }
+
+  calculateLeaderboardScore(stats) {
+    return 100;
+  }
+
+  /**
+   * Checks a quest's declared requirement (`Quest.requirement`) against fetched stats.
+   * @returns {{met: boolean, evidence: object|null, failures: string[]}}
+   */
+  evaluateRequirement(stats, requirement) {
+    return { met: true, evidence: null, failures: [] };
+  }
+
+  /**
+   * Default fraud rules for this game (see services/fraudRuleService.js). Each is data:
+   *   { id, condition, weight, explanation }
+   * `condition` reads $.stats, $.signals (below) and $.history; see utils/conditions.js.
+   * Seeded into fraud_rules once, after which admins own the weights.
+   */
+  fraudRules() {
+    return [];
+  }
+
+  // Derived values rules can't express as a single stat (e.g. a rank span), exposed as $.signals.
+  // `options.at` is when the stats were fetched.
+  fraudSignals(stats, options = {}) {
+    return {};
+  }
+
+  /**
+   * How each stat may change between two snapshots of one account (see services/statsComparator.js):
+   *   { stat, kind: 'counter', seasonal?, maxPerDay? }   never decreases, unless seasonal
+   *   { stat, kind: 'drift', maxPerDay, unit?, value? }  bounded change per day
+   *   { stat, kind: 'volatile' }                         not compared
+   * `stat` is a dotted path; `value(stats)` derives the number instead (e.g. a rank's ladder position).
+   * No rules means snapshots are always considered consistent.
+   */
+  consistencyRules() {
+    return [];
+  }
+
+  // Public description for /api/games/supported (never includes the API key)
+  getMetadata() {
+    return {
+      id: this.id,
+      name: this.name,
+      requiredStats: this.requiredStats,
+      regions: this.regions,
+      defaultRegion: this.defaultRegion,
+      accountFormat: this.accountFormat.description,
+      tiers: Object.keys(this.skillMetrics),
+      rateLimit: this.rateLimit,
+      proofFreshness: this.proofFreshness,
+      accountLinking: this.ownershipInstructions
+    };
+  }
+}
+
+module.exports = {
+  GameAdapter,
+  SKILL_LEVELS
+};
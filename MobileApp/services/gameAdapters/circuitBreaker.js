@@ -0,0 +1,182 @@
+const { UpstreamUnavailableError } = require('../../utils/errorHandler');
+const { logger } = require('../../utils/logger');
+
+// Consecutive outage-type failures that open a breaker
+const FAILURE_THRESHOLD = 5;
+// First open period; doubles each time a half-open probe fails, up to the max
+const BASE_COOLDOWN_MS = 30000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Retries for idempotent GETs: full jitter over an exponential backoff
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 2000;
+// No retry starts once a call has been going this long; the user is still waiting
+const RETRY_DEADLINE_MS = 12000;
+// Retry hint when retries ran out but the breaker hasn't opened yet
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Outage, not an answer: no response at all, or a 5xx. 4xx and 429 are the API working as intended
+const isOutage = (error) => {
+  if (error.upstreamFailure) return false;
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+class CircuitBreaker {
+  constructor(name) {
+    this.name = name;
+    this.state = 'closed';
+    this.failures = 0;
+    this.cooldown = BASE_COOLDOWN_MS;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  retryAfterMs() {
+    return Math.max(0, this.openedAt + this.cooldown - Date.now());
+  }
+
+  // Throws while open; after the cooldown lets exactly one probe through
+  ensureAvailable() {
+    if (this.state === 'open' && this.retryAfterMs() === 0) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'closed') return;
+    if (this.state === 'half_open' && !this.probing) {
+      this.probing = true;
+      return;
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(this.retryAfterMs() / 1000));
+    throw new UpstreamUnavailableError(
+      `${this.name} is temporarily unavailable. Try again in ${retryAfter}s.`,
+      retryAfter
+    );
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.cooldown = BASE_COOLDOWN_MS;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === 'half_open') {
+      this.cooldown = Math.min(this.cooldown * 2, MAX_COOLDOWN_MS);
+      this.open();
+    } else if (this.failures >= FAILURE_THRESHOLD) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.probing = false;
+    logger.warn(`Circuit for ${this.name} opened for ${this.cooldown}ms after ${this.failures} failures`);
+  }
+
+  // A probe that ended without an upstream answer (e.g. it was rate limited locally) proves nothing
+  releaseProbe() {
+    this.probing = false;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      retryAfterMs: this.state === 'open' ? this.retryAfterMs() : 0
+    };
+  }
+}
+
+const breakers = new Map();
+
+// One breaker per upstream: a budget key plus host, or the hostname for unbudgeted calls
+const breakerFor = (config, url) => {
+  const name = config.budget
+    ? [config.budget.key, config.budget.host].filter(Boolean).join(':')
+    : new URL(url).hostname;
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+};
+
+const retryDelay = (attempt) =>
+  Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+
+/**
+ * Runs `send` behind the upstream's breaker. GETs that fail with an outage are
+ * retried with jittered backoff; once retries are spent, or the breaker is open,
+ * the caller gets an UpstreamUnavailableError with a retry hint.
+ */
+const withCircuitBreaker = async (config, url, send) => {
+  const breaker = breakerFor(config, url);
+  const idempotent = (config.method || 'get').toLowerCase() === 'get';
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt += 1) {
+    breaker.ensureAvailable();
+
+    try {
+      const response = await send();
+      breaker.recordSuccess();
+      return response;
+    } catch (error) {
+      if (!isOutage(error)) {
+        // The upstream answered; that is a healthy upstream even when the answer is 404
+        if (error.response) {
+          breaker.recordSuccess();
+        } else {
+          breaker.releaseProbe();
+        }
+        throw error;
+      }
+      breaker.recordFailure();
+
+      const delay = retryDelay(attempt);
+      const canRetry = idempotent &&
+        attempt < MAX_RETRIES &&
+        breaker.state === 'closed' &&
+        Date.now() - startedAt + delay < RETRY_DEADLINE_MS;
+
+      if (!canRetry) {
+        logger.warn(`${breaker.name} call failed after ${attempt + 1} attempt(s)`, {
+          error: error.message,
+          status: error.response?.status
+        });
+        const retryAfter = breaker.state === 'open'
+          ? Math.max(1, Math.ceil(breaker.retryAfterMs() / 1000))
+          : DEFAULT_RETRY_AFTER_SECONDS;
+        throw new UpstreamUnavailableError(
+          `${breaker.name} is not responding. Try again in ${retryAfter}s.`,
+          retryAfter
+        );
+      }
+      await sleep(delay);
+    }
+  }
+};
+
+const getCircuitStatus = () => Array.from(breakers.values()).map(breaker => breaker.getStatus());
+
+module.exports = {
+  CircuitBreaker,
+  withCircuitBreaker,
+  getCircuitStatus,
+  isOutage
+};
@@ -0,0 +1,196 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+const { GameAdapter } = require('./baseAdapter');
+const { STEAM_OWNERSHIP_INSTRUCTIONS, fetchSteamProfileText } = require('./steamProfile');
+
+const CS2_APP_ID = 730;
+
+class CounterStrikeAdapter extends GameAdapter {
+  constructor() {
+    super({
+      id: 'counter_strike',
+      name: 'Counter-Strike 2',
+      apiEndpoint: 'https://api.steampowered.com',
+      requiredStats: ['kills', 'deaths', 'kdr', 'wins'],
+      apiKey: process.env.STEAM_API_KEY,
+      rateLimit: { requests: 200, window: 300000 }, // 200 req/5min
+      rateLimitKey: 'steam', // STEAM_API_KEY is shared with the steam adapter
+      skillMetrics: {
+        'Silver': { min: 0, max: 499 },
+        'Gold Nova': { min: 500, max: 799 },
+        'Master Guardian': { min: 800, max: 1099 },
+        'Legendary Eagle': { min: 1100, max: 1399 },
+        'Supreme': { min: 1400, max: 1699 },
+        'Global Elite': { min: 1700, max: 2000 }
+      },
+      accountFormat: {
+        pattern: /^\d{17}$/,
+        description: '17-digit Steam ID'
+      },
+      ownershipInstructions: STEAM_OWNERSHIP_INSTRUCTIONS
+    });
+  }
+
+  fetchOwnershipFields(account) {
+    return fetchSteamProfileText(account.accountId, { apiKey: this.apiKey, budget: this.budget() });
+  }
+
+  // Advanced Counter-Strike stats
+  async fetchStats(account) {
+    const steamId = account.accountId;
+    if (!steamId.match(/^\d{17}$/)) {
+      throw new AppError('Invalid Steam ID format', 400);
+    }
+
+    try {
+      // Get player stats
+      const statsResponse = await gameHttp.get(
+        `${this.apiEndpoint}/ISteamUserStats/GetUserStatsForGame/v0002/`,
+        {
+          params: {
+            appid: CS2_APP_ID,
+            key: this.apiKey,
+            steamid: steamId
+          },
+          timeout: 10000,
+          budget: this.budget()
+        }
+      );
+
+      // Get player summary
+      const summaryResponse = await gameHttp.get(
+        `${this.apiEndpoint}/ISteamUser/GetPlayerSummaries/v0002/`,
+        {
+          params: {
+            key: this.apiKey,
+            steamids: steamId
+          },
+          timeout: 10000,
+          budget: this.budget()
+        }
+      );
+
+      const rawStats = statsResponse.data.playerstats.stats;
+      const playerInfo = summaryResponse.data.response.players[0];
+
+      // Extract key statistics
+      const kills = this.getStatValue(rawStats, 'total_kills');
+      const deaths = this.getStatValue(rawStats, 'total_deaths') || 1;
+      const assists = this.getStatValue(rawStats, 'total_kills_knife');
+      const wins = this.getStatValue(rawStats, 'total_wins');
+      const rounds = this.getStatValue(rawStats, 'total_rounds_played') || 1;
+      const headshots = this.getStatValue(rawStats, 'total_kills_headshot');
+      const bombsPlanted = this.getStatValue(rawStats, 'total_bombs_planted');
+      const bombsDefused = this.getStatValue(rawStats, 'total_bombs_defused');
+
+      return {
+        playerInfo: {
+          steamId,
+          personaName: playerInfo.personaname,
+          profileUrl: playerInfo.profileurl,
+          accountCreated: new Date(playerInfo.timecreated * 1000)
+        },
+        combat: {
+          kills,
+          deaths,
+          assists,
+          kdr: (kills / deaths).toFixed(2),
+          kda: ((kills + assists) / deaths).toFixed(2),
+          headShotPercentage: kills > 0 ? ((headshots / kills) * 100).toFixed(2) : 0
+        },
+        matches: {
+          wins,
+          totalRounds: rounds,
+          winRate: ((wins / rounds) * 100).toFixed(2)
+        },
+        objectives: {
+          bombsPlanted,
+          bombsDefused,
+          utilityScore: bombsPlanted + bombsDefused
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      } else if (error.response?.status === 404) {
+        throw new AppError('Steam player not found or profile is private', 404);
+      } else if (error.response?.status === 403) {
+        throw new AppError('Invalid Steam API key', 403);
+      }
+      throw new AppError(`Failed to fetch CS2 stats: ${error.message}`, 500);
+    }
+  }
+
+  getStatValue(stats, statName) {
+    const stat = stats.find(s => s.name === statName);
+    return stat ? stat.value : 0;
+  }
+
+  scoreSkill(stats) {
+    let score;
+    const kdr = parseFloat(stats.combat.kdr);
+    const winRate = parseFloat(stats.matches.winRate);
+
+    // Base score from performance metrics
+    if (kdr > 1.5 && winRate > 60) score = 1700; // Global Elite level
+    else if (kdr > 1.2 && winRate > 55) score = 1400; // Supreme level
+    else if (kdr > 1.0 && winRate > 50) score = 1100; // LE level
+    else if (kdr > 0.8 && winRate > 45) score = 800; // MG level
+    else if (kdr > 0.6) score = 500; // GN level
+    else score = 200; // Silver level
+
+    // Headshot and utility bonuses
+    const hsPct = parseFloat(stats.combat.headShotPercentage);
+    if (hsPct > 50) score += 100;
+    else if (hsPct > 40) score += 50;
+
+    if (stats.objectives.utilityScore > 100) score += 50;
+
+    return score;
+  }
+
+  calculateLeaderboardScore(stats) {
+    const kdr = parseFloat(stats.combat?.kdr || 0);
+    const winRate = parseFloat(stats.matches?.winRate || 0);
+    const hsPercent = parseFloat(stats.combat?.headShotPercentage || 0);
+
+    let score = kdr * 200;
+    score += winRate * 5;
+    score += hsPercent * 3;
+
+    return Math.max(0, Math.round(score));
+  }
+
+  // Lifetime totals from GetUserStatsForGame; `matches.wins` counts rounds won
+  consistencyRules() {
+    return [
+      { stat: 'combat.kills', kind: 'counter', maxPerDay: 600 },
+      { stat: 'combat.deaths', kind: 'counter', maxPerDay: 600 },
+      { stat: 'combat.assists', kind: 'counter' },
+      { stat: 'matches.wins', kind: 'counter', maxPerDay: 400 },
+      { stat: 'matches.totalRounds', kind: 'counter', maxPerDay: 800 },
+      { stat: 'objectives.bombsPlanted', kind: 'counter' },
+      { stat: 'objectives.bombsDefused', kind: 'counter' },
+      // Lifetime ratios barely move once an account has history
+      { stat: 'combat.kdr', kind: 'drift', maxPerDay: 0.05, minAllowed: 0.1 },
+      { stat: 'combat.headShotPercentage', kind: 'drift', maxPerDay: 1, minAllowed: 2, unit: 'points' }
+    ];
+  }
+
+  fraudRules() {
+    return [
+      {
+        id: 'counter_strike.pro-level',
+        condition: { all: [
+          { path: '$.stats.combat.kdr', op: '>', value: 3 },
+          { path: '$.stats.combat.headShotPercentage', op: '>', value: 70 }
+        ] },
+        weight: 50,
+        explanation: 'Professional-level stats detected'
+      }
+    ];
+  }
+}
+
+module.exports = CounterStrikeAdapter;
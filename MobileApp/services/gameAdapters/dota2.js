@@ -0,0 +1,278 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+const { GameAdapter } = require('./baseAdapter');
+const { STEAM_OWNERSHIP_INSTRUCTIONS, fetchSteamProfileText } = require('./steamProfile');
+
+// 64-bit Steam ID = 32-bit account ID + this offset
+const STEAM_ID64_BASE = BigInt('76561197960265728');
+
+// rank_tier tens digit → medal
+const MEDALS = {
+  1: 'Herald', 2: 'Guardian', 3: 'Crusader', 4: 'Archon',
+  5: 'Legend', 6: 'Ancient', 7: 'Divine', 8: 'Immortal'
+};
+
+const POINTS_PER_STAR = 40;
+
+class Dota2Adapter extends GameAdapter {
+  constructor() {
+    super({
+      id: 'dota_2',
+      name: 'Dota 2',
+      apiEndpoint: 'https://api.opendota.com/api',
+      requiredStats: ['rankTier', 'winRate', 'kda', 'heroPool'],
+      apiKey: process.env.OPENDOTA_API_KEY, // optional; raises the daily quota
+      rateLimit: { requests: 60, window: 60000 },
+      skillMetrics: {
+        'Herald': { min: 0, max: 249 },
+        'Guardian': { min: 250, max: 499 },
+        'Crusader': { min: 500, max: 749 },
+        'Archon': { min: 750, max: 999 },
+        'Legend': { min: 1000, max: 1249 },
+        'Ancient': { min: 1250, max: 1499 },
+        'Divine': { min: 1500, max: 1749 },
+        'Immortal': { min: 1750, max: 2000 }
+      },
+      accountFormat: {
+        pattern: /^(\d{1,10}|\d{17})$/,
+        description: 'Dota 2 friend ID (32-bit account ID) or 17-digit Steam ID'
+      },
+      ownershipInstructions: STEAM_OWNERSHIP_INSTRUCTIONS
+    });
+  }
+
+  requestOptions() {
+    return {
+      timeout: 10000,
+      params: this.apiKey ? { api_key: this.apiKey } : {},
+      budget: this.budget()
+    };
+  }
+
+  // Both ID forms are accepted; OpenDota and our proofs use the 32-bit one
+  async resolveAccount(account, region) {
+    const accountId = account.length === 17
+      ? (BigInt(account) - STEAM_ID64_BASE).toString()
+      : account;
+
+    if (BigInt(accountId) <= 0n || BigInt(accountId) > 0xFFFFFFFFn) {
+      throw new AppError('Invalid Dota 2 account ID', 400);
+    }
+
+    return { accountId, displayName: accountId, region };
+  }
+
+  // Read live from Steam: OpenDota's copy of the profile can be days old
+  fetchOwnershipFields(account) {
+    const steamId = (BigInt(account.accountId) + STEAM_ID64_BASE).toString();
+    return fetchSteamProfileText(steamId);
+  }
+
+  async fetchStats(account) {
+    const { accountId } = account;
+
+    try {
+      const [playerResponse, winLossResponse, recentResponse] = await Promise.all([
+        gameHttp.get(`${this.apiEndpoint}/players/${accountId}`, this.requestOptions()),
+        gameHttp.get(`${this.apiEndpoint}/players/${accountId}/wl`, this.requestOptions()),
+        gameHttp.get(`${this.apiEndpoint}/players/${accountId}/recentMatches`, this.requestOptions())
+      ]);
+
+      const player = playerResponse.data;
+      if (!player.profile) {
+        throw new AppError('Dota 2 player not found', 404);
+      }
+      if (player.profile.fh_unavailable) {
+        throw new AppError('Dota 2 match data is private. Enable "Expose Public Match Data" in the Dota 2 client.', 403);
+      }
+
+      const recentMatches = this.analyzeMatches(recentResponse.data);
+      const { win = 0, lose = 0 } = winLossResponse.data;
+      const rankTier = player.rank_tier || 0;
+
+      return {
+        profile: {
+          accountId,
+          steamId: player.profile.steamid,
+          personaName: player.profile.personaname,
+          profileUrl: player.profile.profileurl
+        },
+        rank: {
+          rankTier,
+          medal: MEDALS[Math.floor(rankTier / 10)] || 'Uncalibrated',
+          stars: rankTier % 10,
+          leaderboardRank: player.leaderboard_rank || null
+        },
+        matches: {
+          total: win + lose,
+          wins: win,
+          losses: lose,
+          winRate: win + lose > 0 ? ((win / (win + lose)) * 100).toFixed(2) : 0
+        },
+        recentPerformance: recentMatches.performance,
+        heroPool: recentMatches.heroPool
+      };
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      } else if (error.response?.status === 404) {
+        throw new AppError('Dota 2 player not found', 404);
+      } else if (error.response?.status === 429) {
+        throw new AppError('Rate limit exceeded for OpenDota API', 429);
+      }
+      throw new AppError(`Failed to fetch Dota 2 stats: ${error.message}`, 500);
+    }
+  }
+
+  analyzeMatches(matches) {
+    if (!matches || matches.length === 0) {
+      return {
+        performance: {
+          matches: 0,
+          winRate: 0,
+          kda: 0,
+          averageKills: 0,
+          averageDeaths: 0,
+          averageAssists: 0,
+          averageGpm: 0
+        },
+        heroPool: {
+          uniqueHeroes: 0,
+          mostPlayedHeroId: null,
+          topHeroes: []
+        }
+      };
+    }
+
+    const totalMatches = matches.length;
+    let kills = 0, deaths = 0, assists = 0, gpm = 0, wins = 0;
+    const heroes = {};
+
+    matches.forEach(match => {
+      kills += match.kills;
+      deaths += match.deaths;
+      assists += match.assists;
+      gpm += match.gold_per_min || 0;
+
+      // Slots 0-127 are Radiant, 128+ are Dire
+      const won = (match.player_slot < 128) === match.radiant_win;
+      if (won) wins++;
+
+      const hero = heroes[match.hero_id] || { heroId: match.hero_id, games: 0, wins: 0 };
+      hero.games++;
+      if (won) hero.wins++;
+      heroes[match.hero_id] = hero;
+    });
+
+    const topHeroes = Object.values(heroes)
+      .sort((a, b) => b.games - a.games)
+      .slice(0, 5);
+
+    return {
+      performance: {
+        matches: totalMatches,
+        winRate: ((wins / totalMatches) * 100).toFixed(2),
+        kda: ((kills + assists) / Math.max(deaths, 1)).toFixed(2),
+        averageKills: parseFloat((kills / totalMatches).toFixed(1)),
+        averageDeaths: parseFloat((deaths / totalMatches).toFixed(1)),
+        averageAssists: parseFloat((assists / totalMatches).toFixed(1)),
+        averageGpm: Math.round(gpm / totalMatches)
+      },
+      heroPool: {
+        uniqueHeroes: Object.keys(heroes).length,
+        mostPlayedHeroId: topHeroes[0].heroId,
+        topHeroes
+      }
+    };
+  }
+
+  // Medal floor plus stars; Immortal has no stars but may have a leaderboard rank
+  rankScore(rank) {
+    const medalMetrics = this.skillMetrics[rank?.medal];
+    if (!medalMetrics) return null;
+    return medalMetrics.min + (rank.stars || 0) * POINTS_PER_STAR;
+  }
+
+  scoreSkill(stats) {
+    let score = this.rankScore(stats.rank) || 0;
+
+    // Recent performance modifiers
+    const winRate = parseFloat(stats.recentPerformance.winRate);
+    if (winRate > 60) score += 50;
+    else if (winRate < 45) score -= 30;
+
+    const kda = parseFloat(stats.recentPerformance.kda);
+    if (kda > 4.0) score += 30;
+    else if (kda < 2.0) score -= 20;
+
+    return score;
+  }
+
+  calculateLeaderboardScore(stats) {
+    const winRate = parseFloat(stats.recentPerformance?.winRate || 0);
+    const kda = parseFloat(stats.recentPerformance?.kda || 1);
+    const leaderboardRank = stats.rank?.leaderboardRank;
+
+    let score = this.rankScore(stats.rank) || 50;
+    score += (winRate - 50) * 2; // Win rate bonus/penalty
+    score += (kda - 1) * 25; // KDA bonus; Dota KDAs run higher than LoL's
+    if (leaderboardRank) {
+      score += Math.max(0, 250 - leaderboardRank / 20); // Top-of-ladder bonus
+    }
+
+    return Math.max(0, Math.round(score));
+  }
+
+  consistencyRules() {
+    return [
+      { stat: 'matches.total', kind: 'counter', maxPerDay: 30 },
+      { stat: 'matches.wins', kind: 'counter', maxPerDay: 30 },
+      { stat: 'matches.losses', kind: 'counter', maxPerDay: 30 },
+      // rank_tier 54 = Legend 4 stars; counted in stars (five per medal)
+      {
+        stat: 'rank',
+        kind: 'drift',
+        maxPerDay: 2,
+        unit: 'stars',
+        value: stats => (stats.rank?.rankTier ? Math.floor(stats.rank.rankTier / 10) * 5 + stats.rank.rankTier % 10 : null)
+      },
+      { stat: 'recentPerformance', kind: 'volatile' },
+      { stat: 'heroPool', kind: 'volatile' }
+    ];
+  }
+
+  fraudRules() {
+    return [
+      {
+        id: 'dota_2.recent-win-rate',
+        condition: { all: [
+          { path: '$.stats.recentPerformance.winRate', op: '>', value: 90 },
+          { path: '$.stats.recentPerformance.matches', op: '>=', value: 20 }
+        ] },
+        weight: 30,
+        explanation: 'Impossibly high recent win rate'
+      },
+      {
+        id: 'dota_2.kda-vs-medal',
+        condition: { all: [
+          { path: '$.stats.recentPerformance.kda', op: '>', value: 8 },
+          { path: '$.stats.rank.medal', op: 'in', value: ['Herald', 'Guardian'] }
+        ] },
+        weight: 30,
+        explanation: 'KDA inconsistent with medal'
+      },
+      {
+        id: 'dota_2.few-matches-for-rank',
+        condition: { all: [
+          { path: '$.stats.matches.total', op: '<', value: 200 },
+          { path: '$.stats.rank.medal', op: 'in', value: ['Divine', 'Immortal'] }
+        ] },
+        weight: 25,
+        explanation: 'Few total matches for rank'
+      }
+    ];
+  }
+}
+
+module.exports = Dota2Adapter;
@@ -0,0 +1,250 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { upstreamLimiter } = require('./upstreamLimiter');
+const { withCircuitBreaker } = require('./circuitBreaker');
+
+// GAME_API_MODE selects how game API traffic is served:
+//   live   - straight to the upstream API (default)
+//   record - live, and every response is written to a sanitized fixture file
+//   replay - served only from fixture files; nothing leaves the process
+// GAME_API_FAULTS injects failures in any mode, e.g. "api.henrikdev.xyz=429,/recentMatches=timeout"
+const MODES = ['live', 'record', 'replay'];
+const FAULTS = ['401', '403', '404', '429', '500', '503', 'timeout', 'network'];
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/gameApis');
+
+// Query params carrying credentials; dropped from fixture keys and files
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'token', 'access_token'];
+// Response fields that identify the person behind an account rather than the account
+const SENSITIVE_FIELDS = ['realname', 'email', 'ip', 'ipaddress', 'ip_address', 'password', 'token', 'secret'];
+const RECORDED_HEADER_PATTERN = /^(content-type|retry-after|x-.*rate-?limit.*)$/i;
+
+// Long enough that callers honouring Retry-After give up instead of waiting
+const INJECTED_RETRY_AFTER_SECONDS = '60';
+
+const getMode = () => {
+  const mode = (process.env.GAME_API_MODE || 'live').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid GAME_API_MODE: ${mode}. Expected one of: ${MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+const getFixturesDir = () => process.env.GAME_API_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+const parseFaults = (spec = '') => spec
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.lastIndexOf('=');
+    const match = entry.slice(0, separator).trim();
+    const fault = entry.slice(separator + 1).trim().toLowerCase();
+    if (separator <= 0 || !FAULTS.includes(fault)) {
+      throw new Error(`Invalid GAME_API_FAULTS entry: ${entry}. Expected <url substring>=<${FAULTS.join('|')}>`);
+    }
+    return { match, fault, remaining: Infinity };
+  });
+
+// Faults added at runtime (demos, scripts); env faults are re-read on every request
+const injectedFaults = [];
+
+const injectFault = (match, fault, { times = Infinity } = {}) => {
+  const [parsed] = parseFaults(`${match}=${fault}`);
+  injectedFaults.push({ ...parsed, remaining: times });
+};
+
+const clearFaults = () => {
+  injectedFaults.length = 0;
+};
+
+// Canonical request identity: method + URL without credentials, params sorted
+const requestKey = (config) => {
+  const url = new URL(axios.getUri(config));
+  SECRET_PARAMS.forEach(param => url.searchParams.delete(param));
+  url.searchParams.sort();
+  return `${(config.method || 'get').toUpperCase()} ${url.origin}${url.pathname}${url.search}`;
+};
+
+const fixturePath = (key) => {
+  const [, url] = key.split(' ');
+  const { hostname } = new URL(url);
+  const digest = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  return path.join(getFixturesDir(), hostname, `${digest}.json`);
+};
+
+const sanitizeData = (value) => {
+  if (Array.isArray(value)) return value.map(sanitizeData);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.entries(value).reduce((acc, [field, fieldValue]) => {
+    acc[field] = SENSITIVE_FIELDS.includes(field.toLowerCase()) ? '[redacted]' : sanitizeData(fieldValue);
+    return acc;
+  }, {});
+};
+
+const sanitizeHeaders = (headers = {}) => {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.entries(plain).reduce((acc, [name, value]) => {
+    if (RECORDED_HEADER_PATTERN.test(name)) acc[name.toLowerCase()] = value;
+    return acc;
+  }, {});
+};
+
+// Builds the error axios itself would raise, so adapters' error mapping sees the real shape
+const responseError = (config, response) => new axios.AxiosError(
+  `Request failed with status code ${response.status}`,
+  response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+  config,
+  null,
+  response
+);
+
+const settle = (config, response) => {
+  const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    throw responseError(config, response);
+  }
+  return response;
+};
+
+const findFault = (key) => {
+  const faults = [...injectedFaults, ...parseFaults(process.env.GAME_API_FAULTS)];
+  const fault = faults.find(candidate => candidate.remaining > 0 && key.includes(candidate.match));
+  if (!fault) return null;
+
+  fault.remaining -= 1;
+  return fault.fault;
+};
+
+const raiseFault = (fault, config, key) => {
+  logger.warn(`Injected ${fault} fault for ${key}`);
+
+  if (fault === 'timeout') {
+    throw new axios.AxiosError(`timeout of ${config.timeout || 0}ms exceeded`, axios.AxiosError.ECONNABORTED, config);
+  }
+  if (fault === 'network') {
+    throw new axios.AxiosError('socket hang up', 'ECONNRESET', config);
+  }
+
+  const status = parseInt(fault, 10);
+  throw responseError(config, {
+    status,
+    statusText: 'Injected fault',
+    headers: status === 429 ? { 'retry-after': INJECTED_RETRY_AFTER_SECONDS } : {},
+    data: { status: { status_code: status, message: 'Injected fault' } },
+    config,
+    request: null
+  });
+};
+
+// Adapters see the raw body; axios only parses JSON after the adapter returns
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+const writeFixture = async (key, response) => {
+  const file = fixturePath(key);
+  const fixture = {
+    request: key,
+    recordedAt: new Date().toISOString(),
+    response: {
+      status: response.status,
+      headers: sanitizeHeaders(response.headers),
+      data: sanitizeData(parseBody(response.data))
+    }
+  };
+
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+    logger.info(`Recorded fixture for ${key}`, { file });
+  } catch (error) {
+    // Recording is best effort; the live response still goes back to the caller
+    logger.error(`Failed to record fixture for ${key}`, { error: error.message });
+  }
+};
+
+const readFixture = async (key, config) => {
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.promises.readFile(fixturePath(key), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new axios.AxiosError(`No recorded fixture for ${key}`, 'ERR_FIXTURE_MISSING', config);
+  }
+
+  return {
+    status: fixture.response.status,
+    statusText: 'Replayed',
+    headers: new axios.AxiosHeaders(fixture.response.headers),
+    data: fixture.response.data,
+    config,
+    request: null
+  };
+};
+
+const liveAdapter = axios.getAdapter(axios.defaults.adapter);
+
+// Real upstream calls draw from the shared rate limit budget named in `config.budget`
+const callUpstream = async (config) => {
+  const { budget } = config;
+  if (budget) await upstreamLimiter.acquire(budget);
+
+  try {
+    const response = await liveAdapter(config);
+    if (budget) await upstreamLimiter.observe(budget, response);
+    return response;
+  } catch (error) {
+    if (budget && error.response) await upstreamLimiter.observe(budget, error.response);
+    throw error;
+  }
+};
+
+const dispatch = async (config) => {
+  const mode = getMode();
+  const key = requestKey(config);
+
+  const fault = findFault(key);
+  if (fault) raiseFault(fault, config, key);
+
+  if (mode === 'replay') {
+    return settle(config, await readFixture(key, config));
+  }
+  if (mode === 'live') {
+    return callUpstream(config);
+  }
+
+  // Record error responses too, so replay reproduces 404s and private profiles
+  try {
+    const response = await callUpstream(config);
+    await writeFixture(key, response);
+    return response;
+  } catch (error) {
+    if (error.response) await writeFixture(key, error.response);
+    throw error;
+  }
+};
+
+// Injected faults and replayed outages go through the breaker too, so they behave like the real thing
+const resilientAdapter = (config) => withCircuitBreaker(config, axios.getUri(config), () => dispatch(config));
+
+// Every game adapter makes its HTTP calls through this instance
+const gameHttp = axios.create({ adapter: resilientAdapter });
+
+module.exports = {
+  gameHttp,
+  getMode,
+  injectFault,
+  clearFaults,
+  requestKey,
+  fixturePath
+};
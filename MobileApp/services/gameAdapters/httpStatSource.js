@@ -0,0 +1,270 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+const { parseJsonPath, queryJsonPath } = require('../../utils/jsonPath');
+const { GameAdapter } = require('./baseAdapter');
+
+// Shared skill score ceiling reached by a source's top tier (see SKILL_LEVELS)
+const TOP_TIER_SCORE = 1600;
+
+const URL_PLACEHOLDER_PATTERN = /\{(account|region)\}/g;
+
+// Admins pick which env variable holds a source's API key, and the value is sent to
+// their URL, so only variables set aside for stat sources can be named
+const SECRET_ENV_PATTERN = /^STAT_SOURCE_SECRET_[A-Z0-9_]+$/;
+
+const normalizeMapping = (mapping) =>
+  typeof mapping === 'string' ? { path: mapping, type: 'number' } : { type: 'number', ...mapping };
+
+/**
+ * Checks an admin-supplied stat source description. Returns a list of
+ * problems; an empty list means the definition can be registered.
+ */
+const validateDefinition = (definition) => {
+  const problems = [];
+  const {
+    gameId, name, urlTemplate, authHeader, accountPattern, accountDescription,
+    regions = [], statMappings, requiredStats = [], skillStat, skillMetrics, rateLimit, statsCacheTtl,
+    proofFreshness, ownershipField, ownershipInstructions
+  } = definition;
+
+  if (!gameId || !/^[a-z0-9_]{3,50}$/.test(gameId)) {
+    problems.push('gameId must be 3-50 lowercase letters, digits or underscores');
+  }
+  if (!name) problems.push('name is required');
+
+  try {
+    const url = new URL((urlTemplate || '').replace(URL_PLACEHOLDER_PATTERN, 'placeholder'));
+    if (url.protocol !== 'https:') problems.push('urlTemplate must use https');
+  } catch (error) {
+    problems.push('urlTemplate must be an absolute URL');
+  }
+  if (urlTemplate && !urlTemplate.includes('{account}')) {
+    problems.push('urlTemplate must contain {account}');
+  }
+
+  if (authHeader && (!authHeader.name || !authHeader.valueEnv)) {
+    problems.push('authHeader needs a header name and the env variable holding its value (valueEnv)');
+  } else if (authHeader && !SECRET_ENV_PATTERN.test(authHeader.valueEnv)) {
+    problems.push('authHeader.valueEnv must name a STAT_SOURCE_SECRET_* env variable');
+  }
+
+  try {
+    new RegExp(accountPattern);
+  } catch (error) {
+    problems.push('accountPattern must be a valid regular expression');
+  }
+  if (!accountPattern) problems.push('accountPattern is required');
+  if (!accountDescription) problems.push('accountDescription is required');
+  if (!Array.isArray(regions)) problems.push('regions must be an array');
+
+  if (!statMappings || typeof statMappings !== 'object' || Object.keys(statMappings).length === 0) {
+    problems.push('statMappings must map at least one stat name to a JSONPath');
+  } else {
+    Object.entries(statMappings).forEach(([stat, mapping]) => {
+      const { path, type } = normalizeMapping(mapping);
+      if (!['number', 'string'].includes(type)) {
+        problems.push(`statMappings.${stat}.type must be number or string`);
+      }
+      try {
+        parseJsonPath(path);
+      } catch (error) {
+        problems.push(`statMappings.${stat}: ${error.message}`);
+      }
+    });
+
+    [...requiredStats, skillStat].filter(Boolean).forEach(stat => {
+      if (!statMappings[stat]) problems.push(`${stat} is referenced but has no statMapping`);
+    });
+  }
+
+  if (!skillStat) problems.push('skillStat is required');
+  if (!skillMetrics || typeof skillMetrics !== 'object' || Object.keys(skillMetrics).length < 2) {
+    problems.push('skillMetrics must define at least two tiers');
+  } else {
+    Object.entries(skillMetrics).forEach(([tier, range]) => {
+      if (typeof range?.min !== 'number' || typeof range?.max !== 'number' || range.min > range.max) {
+        problems.push(`skillMetrics.${tier} must be { min, max } with min <= max`);
+      }
+    });
+  }
+
+  if (rateLimit && (!(rateLimit.requests > 0) || !(rateLimit.window > 0))) {
+    problems.push('rateLimit must be { requests, window } with positive numbers');
+  }
+  if (statsCacheTtl && !['fresh', 'stale'].every(field => statsCacheTtl[field] === undefined || statsCacheTtl[field] >= 0)) {
+    problems.push('statsCacheTtl must be { fresh, stale } in milliseconds');
+  }
+  if (proofFreshness && (
+    !(proofFreshness.maxAgeDays === null || proofFreshness.maxAgeDays > 0) ||
+    !(proofFreshness.refreshWindowDays === undefined || proofFreshness.refreshWindowDays >= 0)
+  )) {
+    problems.push('proofFreshness must be { maxAgeDays, refreshWindowDays } in days; maxAgeDays null never expires');
+  }
+
+  if (ownershipField) {
+    try {
+      parseJsonPath(ownershipField);
+    } catch (error) {
+      problems.push(`ownershipField: ${error.message}`);
+    }
+    if (!ownershipInstructions) {
+      problems.push('ownershipInstructions must tell players where to put the link code');
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Adapter built from a StatSource row: fetches the templated URL, maps the
+ * response through JSONPath into named stats, and tiers them with skillMetrics.
+ */
+class HttpStatSourceAdapter extends GameAdapter {
+  constructor(definition) {
+    super({
+      id: definition.gameId,
+      name: definition.name,
+      apiEndpoint: new URL(definition.urlTemplate.replace(URL_PLACEHOLDER_PATTERN, 'placeholder')).origin,
+      requiredStats: definition.requiredStats || [],
+      rateLimit: definition.rateLimit || { requests: 60, window: 60000 },
+      regions: definition.regions || [],
+      skillMetrics: definition.skillMetrics,
+      statsCacheTtl: definition.statsCacheTtl || undefined,
+      proofFreshness: definition.proofFreshness || undefined,
+      accountFormat: {
+        pattern: new RegExp(definition.accountPattern),
+        description: definition.accountDescription
+      },
+      // Without an ownership field accounts can't be linked, so the game can't be verified
+      ownershipInstructions: definition.ownershipField ? definition.ownershipInstructions : null
+    });
+
+    this.urlTemplate = definition.urlTemplate;
+    this.authHeader = definition.authHeader || null;
+    this.statMappings = definition.statMappings;
+    this.skillStat = definition.skillStat;
+    this.ownershipField = definition.ownershipField || null;
+    this.isDeclarative = true;
+  }
+
+  buildUrl(account) {
+    return this.urlTemplate.replace(URL_PLACEHOLDER_PATTERN, (placeholder, name) =>
+      encodeURIComponent(name === 'account' ? account.accountId : account.region || ''));
+  }
+
+  buildHeaders() {
+    if (!this.authHeader) return {};
+    // Also checked here: a row edited in the database directly never went through validateDefinition
+    if (!SECRET_ENV_PATTERN.test(this.authHeader.valueEnv)) {
+      throw new AppError(`${this.name} API key must be in a STAT_SOURCE_SECRET_* env variable`, 503);
+    }
+    const value = process.env[this.authHeader.valueEnv];
+    if (!value) {
+      throw new AppError(`${this.name} API key is not configured`, 503);
+    }
+    return { [this.authHeader.name]: value };
+  }
+
+  async fetchStats(account) {
+    return this.mapStats(await this.fetchResponse(account));
+  }
+
+  // A profile text field in the same response, e.g. $.profile.bio
+  async fetchOwnershipFields(account) {
+    if (!this.ownershipField) {
+      return super.fetchOwnershipFields(account);
+    }
+    const value = queryJsonPath(await this.fetchResponse(account), this.ownershipField);
+    return value === undefined || value === null ? [] : [String(value)];
+  }
+
+  async fetchResponse(account) {
+    let response;
+    try {
+      response = await gameHttp.get(this.buildUrl(account), {
+        headers: this.buildHeaders(),
+        timeout: 10000,
+        budget: this.budget()
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      } else if (error.response?.status === 404) {
+        throw new AppError(`${this.name} player not found`, 404);
+      } else if (error.response?.status === 429) {
+        throw new AppError(`Rate limit exceeded for ${this.name} API`, 429);
+      } else if (error.response?.status === 401 || error.response?.status === 403) {
+        throw new AppError(`Invalid API key for ${this.name}`, 403);
+      }
+      throw new AppError(`Failed to fetch ${this.name} stats: ${error.message}`, 500);
+    }
+
+    return response.data;
+  }
+
+  // Applies the stat mappings and checks required stats are present and well-typed
+  mapStats(data) {
+    const stats = {};
+
+    Object.entries(this.statMappings).forEach(([stat, mapping]) => {
+      const { path, type } = normalizeMapping(mapping);
+      const raw = queryJsonPath(data, path);
+      if (raw === undefined || raw === null) {
+        stats[stat] = null;
+        return;
+      }
+      stats[stat] = type === 'number' ? parseFloat(raw) : String(raw);
+    });
+
+    const missing = this.requiredStats.filter(stat =>
+      stats[stat] === null || (typeof stats[stat] === 'number' && Number.isNaN(stats[stat])));
+    if (missing.length > 0) {
+      throw new AppError(`${this.name} response is missing required stats: ${missing.join(', ')}`, 502);
+    }
+
+    stats.tier = this.findTier(stats[this.skillStat])?.tier || 'Unranked';
+    return stats;
+  }
+
+  // Tier lookup by name (string skill stat) or by range (numeric skill stat)
+  findTier(value) {
+    const tiers = Object.entries(this.skillMetrics);
+    const index = typeof value === 'string'
+      ? tiers.findIndex(([tier]) => tier.toLowerCase() === value.toLowerCase())
+      : tiers.findIndex(([, range]) => value >= range.min && value <= range.max);
+
+    if (index === -1) return null;
+    return { tier: tiers[index][0], index, range: tiers[index][1], count: tiers.length };
+  }
+
+  // Spreads the tiers evenly over 0..TOP_TIER_SCORE, interpolating within numeric ranges
+  scoreSkill(stats) {
+    const value = stats[this.skillStat];
+    const match = this.findTier(value);
+    if (!match) return 0;
+
+    const step = TOP_TIER_SCORE / (match.count - 1);
+    let position = 0;
+    if (typeof value === 'number' && match.range.max > match.range.min) {
+      position = (value - match.range.min) / (match.range.max - match.range.min);
+    }
+    return match.index * step + position * step * 0.99;
+  }
+
+  calculateLeaderboardScore(stats) {
+    return Math.max(0, Math.round(this.scoreSkill(stats)));
+  }
+
+  getMetadata() {
+    return {
+      ...super.getMetadata(),
+      declarative: true,
+      stats: Object.keys(this.statMappings)
+    };
+  }
+}
+
+module.exports = {
+  HttpStatSourceAdapter,
+  validateDefinition
+};
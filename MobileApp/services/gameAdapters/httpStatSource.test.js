@@ -0,0 +1,53 @@
+const { HttpStatSourceAdapter, validateDefinition } = require('./httpStatSource');
+
+const definition = (overrides = {}) => ({
+  gameId: 'example_game',
+  name: 'Example Game',
+  urlTemplate: 'https://api.example.com/players/{account}',
+  accountPattern: '^[a-z0-9]+$',
+  accountDescription: 'lowercase player name',
+  statMappings: { rating: '$.rating' },
+  skillStat: 'rating',
+  skillMetrics: { Bronze: { min: 0, max: 999 }, Gold: { min: 1000, max: 3000 } },
+  ...overrides
+});
+
+describe('httpStatSource authHeader', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, JWT_SECRET: 'server-secret', STAT_SOURCE_SECRET_EXAMPLE: 'example-key' };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('accepts a STAT_SOURCE_SECRET_* variable', () => {
+    const problems = validateDefinition(definition({
+      authHeader: { name: 'x-api-key', valueEnv: 'STAT_SOURCE_SECRET_EXAMPLE' }
+    }));
+    expect(problems).toEqual([]);
+  });
+
+  it.each(['JWT_SECRET', 'DB_PASSWORD', 'PROOF_SIGNING_KEY', 'STAT_SOURCE_SECRET_', 'stat_source_secret_example'])(
+    'rejects %s as valueEnv',
+    (valueEnv) => {
+      const problems = validateDefinition(definition({ authHeader: { name: 'x-api-key', valueEnv } }));
+      expect(problems).toContain('authHeader.valueEnv must name a STAT_SOURCE_SECRET_* env variable');
+    }
+  );
+
+  it('sends only allowlisted variables', () => {
+    const allowed = new HttpStatSourceAdapter(definition({
+      authHeader: { name: 'x-api-key', valueEnv: 'STAT_SOURCE_SECRET_EXAMPLE' }
+    }));
+    expect(allowed.buildHeaders()).toEqual({ 'x-api-key': 'example-key' });
+
+    // A row edited in the database directly
+    const stored = new HttpStatSourceAdapter(definition({
+      authHeader: { name: 'x-api-key', valueEnv: 'JWT_SECRET' }
+    }));
+    expect(() => stored.buildHeaders()).toThrow(/STAT_SOURCE_SECRET_/);
+  });
+});
@@ -0,0 +1,43 @@
+const { GameAdapter, SKILL_LEVELS } = require('./baseAdapter');
+const { GameAdapterRegistry, gameAdapters } = require('./registry');
+const LeagueOfLegendsAdapter = require('./leagueOfLegends');
+const ValorantAdapter = require('./valorant');
+const CounterStrikeAdapter = require('./counterStrike');
+const Dota2Adapter = require('./dota2');
+const SteamAdapter = require('./steam');
+const { HttpStatSourceAdapter, validateDefinition } = require('./httpStatSource');
+const { upstreamLimiter } = require('./upstreamLimiter');
+
+// Adding a game: write an adapter module and list it here
+const BUILT_IN_ADAPTERS = [
+  LeagueOfLegendsAdapter,
+  ValorantAdapter,
+  CounterStrikeAdapter,
+  Dota2Adapter,
+  SteamAdapter
+];
+
+// Called once at startup; safe to call again (already registered games are skipped)
+const registerBuiltInAdapters = (registry = gameAdapters) => {
+  BUILT_IN_ADAPTERS.forEach(Adapter => {
+    const adapter = new Adapter();
+    if (!registry.has(adapter.id)) {
+      registry.register(adapter);
+    }
+  });
+  return registry;
+};
+
+const isBuiltInGame = (gameId) => BUILT_IN_ADAPTERS.some(Adapter => new Adapter().id === gameId);
+
+module.exports = {
+  GameAdapter,
+  GameAdapterRegistry,
+  SKILL_LEVELS,
+  gameAdapters,
+  HttpStatSourceAdapter,
+  validateStatSourceDefinition: validateDefinition,
+  isBuiltInGame,
+  registerBuiltInAdapters,
+  upstreamLimiter
+};
@@ -0,0 +1,341 @@
+const { AppError } = require('../../utils/errorHandler');
+const { GameAdapter } = require('./baseAdapter');
+const { RiotClient, PLATFORM_ROUTING, getRoutingCluster, getAccountCluster } = require('./riotClient');
+
+const RECENT_MATCH_COUNT = 20;
+
+// Divisions within a tier, lowest first; MASTER (index 6) and above have none
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+const APEX_TIER_INDEX = 6;
+
+const LEADERBOARD_TIER_SCORES = {
+  'IRON': 100, 'BRONZE': 200, 'SILVER': 400, 'GOLD': 600,
+  'PLATINUM': 800, 'DIAMOND': 1000, 'MASTER': 1200,
+  'GRANDMASTER': 1400, 'CHALLENGER': 1600
+};
+
+class LeagueOfLegendsAdapter extends GameAdapter {
+  constructor() {
+    super({
+      id: 'league_of_legends',
+      name: 'League of Legends',
+      apiEndpoint: 'https://na1.api.riotgames.com',
+      requiredStats: ['rank', 'winRate', 'kda'],
+      apiKey: process.env.RIOT_API_KEY,
+      rateLimit: { requests: 100, window: 120000 }, // 100 req/2min
+      rateLimitKey: 'riot',
+      regions: Object.keys(PLATFORM_ROUTING),
+      defaultRegion: 'na1',
+      skillMetrics: {
+        'IRON': { min: 0, max: 199 },
+        'BRONZE': { min: 200, max: 399 },
+        'SILVER': { min: 400, max: 599 },
+        'GOLD': { min: 600, max: 799 },
+        'PLATINUM': { min: 800, max: 999 },
+        'DIAMOND': { min: 1000, max: 1199 },
+        'MASTER': { min: 1200, max: 1399 },
+        'GRANDMASTER': { min: 1400, max: 1599 },
+        'CHALLENGER': { min: 1600, max: 2000 }
+      },
+      accountFormat: {
+        pattern: /^[^#]{3,16}#[a-zA-Z0-9]{3,5}$/,
+        description: 'Riot ID as gameName#tagLine (e.g., Faker#KR1)'
+      },
+      ownershipInstructions: 'Enter the code as your third-party verification code in the League of Legends client (Settings > Verification) on the linked region.'
+    });
+
+    this.riot = new RiotClient(this.apiKey, this.rateLimitKey);
+  }
+
+  // Riot ID → puuid through account-v1; the puuid is what gets stored with the proof
+  async resolveAccount(riotId, region) {
+    const separator = riotId.lastIndexOf('#');
+    const gameName = riotId.slice(0, separator).trim();
+    const tagLine = riotId.slice(separator + 1).trim();
+
+    try {
+      const account = await this.riot.get(
+        getAccountCluster(region),
+        `/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`,
+        'account-v1.getByRiotId'
+      );
+
+      return {
+        accountId: account.puuid,
+        displayName: `${account.gameName}#${account.tagLine}`,
+        region
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError(`Riot account not found: ${gameName}#${tagLine}`, 404);
+      }
+      throw this.mapRiotError(error);
+    }
+  }
+
+  async fetchOwnershipFields(account) {
+    try {
+      const code = await this.riot.thirdPartyCode(account.region, account.accountId);
+      return code ? [code] : [];
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError(`No League of Legends profile on ${account.region} for this Riot account`, 404);
+      }
+      throw this.mapRiotError(error);
+    }
+  }
+
+  // Advanced League of Legends stats with multiple data points
+  async fetchStats(account) {
+    const { accountId: puuid, region } = account;
+
+    try {
+      const cluster = getRoutingCluster(region);
+
+      // Get summoner data
+      const { summonerLevel } = await this.riot.get(
+        region,
+        `/lol/summoner/v4/summoners/by-puuid/${puuid}`,
+        'summoner-v4.getByPUUID'
+      );
+
+      // Get ranked stats
+      const rankedEntries = await this.riot.get(
+        region,
+        `/lol/league/v4/entries/by-puuid/${puuid}`,
+        'league-v4.getLeagueEntriesByPUUID'
+      );
+
+      // Get match history for deeper analysis
+      const matchIds = await this.riot.get(
+        cluster,
+        `/lol/match/v5/matches/by-puuid/${puuid}/ids?count=${RECENT_MATCH_COUNT}`,
+        'match-v5.getMatchIdsByPUUID',
+        { timeout: 15000 }
+      );
+
+      // Analyze recent matches
+      const recentMatches = await this.analyzeRecentMatches(matchIds, puuid, cluster);
+
+      const soloQueue = rankedEntries.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+      const flexQueue = rankedEntries.find(entry => entry.queueType === 'RANKED_FLEX_SR');
+
+      return {
+        summonerLevel,
+        soloQueue: {
+          tier: soloQueue?.tier || 'UNRANKED',
+          rank: soloQueue?.rank || '',
+          leaguePoints: soloQueue?.leaguePoints || 0,
+          wins: soloQueue?.wins || 0,
+          losses: soloQueue?.losses || 0,
+          winRate: soloQueue ? (soloQueue.wins / (soloQueue.wins + soloQueue.losses) * 100).toFixed(2) : 0
+        },
+        flexQueue: {
+          tier: flexQueue?.tier || 'UNRANKED',
+          rank: flexQueue?.rank || '',
+          leaguePoints: flexQueue?.leaguePoints || 0,
+          wins: flexQueue?.wins || 0,
+          losses: flexQueue?.losses || 0
+        },
+        recentPerformance: {
+          matchesAnalyzed: recentMatches.matchesAnalyzed,
+          averageKDA: recentMatches.averageKDA,
+          winRateRecent: recentMatches.winRate,
+          mostPlayedRole: recentMatches.mostPlayedRole,
+          roleDistribution: recentMatches.roleDistribution,
+          averageDamage: recentMatches.averageDamage,
+          visionScore: recentMatches.averageVisionScore
+        }
+      };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError(`Summoner not found on ${region}`, 404);
+      }
+      throw this.mapRiotError(error);
+    }
+  }
+
+  mapRiotError(error) {
+    if (error instanceof AppError) {
+      return error;
+    } else if (error.response?.status === 429) {
+      return new AppError('Rate limit exceeded for Riot API', 429);
+    } else if (error.response?.status === 403) {
+      return new AppError('Invalid API key for Riot Games', 403);
+    }
+    return new AppError(`Failed to fetch League stats: ${error.message}`, 500);
+  }
+
+  // Fetches each match from match-v5 and aggregates the player's own performance
+  async analyzeRecentMatches(matchIds, puuid, cluster) {
+    const totals = { kills: 0, deaths: 0, assists: 0, wins: 0, damage: 0, vision: 0 };
+    const roleDistribution = {};
+    let matchesAnalyzed = 0;
+
+    // Sequential on purpose: the rate limiter spaces the calls out anyway
+    for (const matchId of matchIds || []) {
+      let match;
+      try {
+        match = await this.riot.get(
+          cluster,
+          `/lol/match/v5/matches/${encodeURIComponent(matchId)}`,
+          'match-v5.getMatch',
+          { timeout: 15000 }
+        );
+      } catch (error) {
+        // A single missing match shouldn't sink the whole verification
+        if (error.response?.status === 404) continue;
+        throw error;
+      }
+
+      const participant = match.info?.participants?.find(p => p.puuid === puuid);
+      if (!participant || participant.gameEndedInEarlySurrender) continue;
+
+      matchesAnalyzed++;
+      totals.kills += participant.kills;
+      totals.deaths += participant.deaths;
+      totals.assists += participant.assists;
+      totals.damage += participant.totalDamageDealtToChampions;
+      totals.vision += participant.visionScore;
+      if (participant.win) totals.wins++;
+
+      const role = participant.teamPosition || participant.individualPosition || 'UNKNOWN';
+      roleDistribution[role] = (roleDistribution[role] || 0) + 1;
+    }
+
+    if (matchesAnalyzed === 0) {
+      return {
+        matchesAnalyzed: 0,
+        averageKDA: 0,
+        winRate: 0,
+        mostPlayedRole: 'Unknown',
+        roleDistribution,
+        averageDamage: 0,
+        averageVisionScore: 0
+      };
+    }
+
+    const mostPlayedRole = Object.keys(roleDistribution).reduce((a, b) =>
+      roleDistribution[a] >= roleDistribution[b] ? a : b);
+
+    return {
+      matchesAnalyzed,
+      averageKDA: parseFloat(((totals.kills + totals.assists) / Math.max(totals.deaths, 1)).toFixed(2)),
+      winRate: parseFloat(((totals.wins / matchesAnalyzed) * 100).toFixed(2)),
+      mostPlayedRole,
+      roleDistribution,
+      averageDamage: Math.round(totals.damage / matchesAnalyzed),
+      averageVisionScore: parseFloat((totals.vision / matchesAnalyzed).toFixed(1))
+    };
+  }
+
+  scoreSkill(stats) {
+    let score = 0;
+
+    // Base score from rank
+    const tier = stats.soloQueue.tier;
+    const rank = stats.soloQueue.rank;
+    const lp = stats.soloQueue.leaguePoints;
+
+    if (this.skillMetrics[tier]) {
+      score = this.skillMetrics[tier].min;
+
+      // Add points for rank within tier
+      if (rank === 'I') score += 75;
+      else if (rank === 'II') score += 50;
+      else if (rank === 'III') score += 25;
+
+      // Add LP bonus
+      score += Math.min(lp / 100 * 25, 25);
+    }
+
+    // Recent performance modifiers
+    const winRate = parseFloat(stats.soloQueue.winRate);
+    if (winRate > 60) score += 50;
+    else if (winRate < 45) score -= 30;
+
+    const recentKDA = stats.recentPerformance.averageKDA;
+    if (recentKDA > 2.0) score += 30;
+    else if (recentKDA < 1.0) score -= 20;
+
+    return score;
+  }
+
+  calculateLeaderboardScore(stats) {
+    const tier = stats.soloQueue?.tier || 'UNRANKED';
+    const winRate = parseFloat(stats.soloQueue?.winRate || 0);
+    const kda = stats.recentPerformance?.averageKDA || 1;
+
+    let score = LEADERBOARD_TIER_SCORES[tier] || 50;
+    score += (winRate - 50) * 2; // Win rate bonus/penalty
+    score += (kda - 1) * 50; // KDA bonus
+
+    return Math.max(0, Math.round(score));
+  }
+
+  // Ladder position in divisions (IRON IV = 0, DIAMOND I = 27), LP as the fraction.
+  // Master and above share one LP ladder, so they continue from 28 by LP alone
+  ladderPosition(queue) {
+    const tierIndex = Object.keys(this.skillMetrics).indexOf(queue?.tier);
+    if (tierIndex === -1) return null;
+
+    const lp = (queue.leaguePoints || 0) / 100;
+    if (tierIndex >= APEX_TIER_INDEX) return APEX_TIER_INDEX * DIVISIONS.length + lp;
+    return tierIndex * DIVISIONS.length + DIVISIONS.indexOf(queue.rank) + lp;
+  }
+
+  consistencyRules() {
+    return [
+      { stat: 'summonerLevel', kind: 'counter', maxPerDay: 10 },
+      // Ranked wins and losses start over every season
+      { stat: 'soloQueue.wins', kind: 'counter', seasonal: true, maxPerDay: 40 },
+      { stat: 'soloQueue.losses', kind: 'counter', seasonal: true, maxPerDay: 40 },
+      { stat: 'flexQueue.wins', kind: 'counter', seasonal: true, maxPerDay: 40 },
+      { stat: 'flexQueue.losses', kind: 'counter', seasonal: true, maxPerDay: 40 },
+      { stat: 'soloQueue rank', kind: 'drift', maxPerDay: 2, unit: 'divisions', value: stats => this.ladderPosition(stats.soloQueue) },
+      { stat: 'flexQueue rank', kind: 'drift', maxPerDay: 2, unit: 'divisions', value: stats => this.ladderPosition(stats.flexQueue) },
+      { stat: 'recentPerformance', kind: 'volatile' }
+    ];
+  }
+
+  fraudRules() {
+    return [
+      {
+        id: 'league_of_legends.win-rate',
+        condition: { all: [
+          { path: '$.stats.soloQueue.winRate', op: '>', value: 95 },
+          { path: '$.signals.rankedGames', op: '>', value: 50 }
+        ] },
+        weight: 40,
+        explanation: 'Impossibly high win rate'
+      },
+      {
+        id: 'league_of_legends.kda-vs-rank',
+        condition: { all: [
+          { path: '$.stats.recentPerformance.averageKDA', op: '>', value: 4 },
+          { path: '$.stats.soloQueue.tier', op: 'in', value: ['IRON', 'BRONZE'] }
+        ] },
+        weight: 30,
+        explanation: 'KDA inconsistent with rank'
+      },
+      {
+        id: 'league_of_legends.low-level-ranked',
+        condition: { all: [
+          { path: '$.stats.summonerLevel', op: '<', value: 50 },
+          { path: '$.stats.soloQueue.tier', op: '!=', value: 'UNRANKED' }
+        ] },
+        weight: 25,
+        explanation: 'Low level account with ranked stats'
+      }
+    ];
+  }
+
+  fraudSignals(stats) {
+    return {
+      rankedGames: (stats.soloQueue?.wins || 0) + (stats.soloQueue?.losses || 0)
+    };
+  }
+}
+
+module.exports = LeagueOfLegendsAdapter;
@@ -0,0 +1,56 @@
+const { AppError } = require('../../utils/errorHandler');
+
+class GameAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!adapter || !adapter.id) {
+      throw new Error('Game adapter must have an id');
+    }
+    if (this.adapters.has(adapter.id)) {
+      throw new Error(`Game adapter already registered: ${adapter.id}`);
+    }
+
+    this.adapters.set(adapter.id, adapter);
+    return this;
+  }
+
+  unregister(gameId) {
+    return this.adapters.delete(gameId);
+  }
+
+  has(gameId) {
+    return this.adapters.has(gameId);
+  }
+
+  get(gameId) {
+    const adapter = this.adapters.get(gameId);
+    if (!adapter) {
+      throw new AppError(`Unsupported game: ${gameId}`, 400);
+    }
+    return adapter;
+  }
+
+  ids() {
+    return Array.from(this.adapters.keys());
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  // Game id → public metadata
+  getMetadata() {
+    return this.list().reduce((acc, adapter) => {
+      acc[adapter.id] = adapter.getMetadata();
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = {
+  GameAdapterRegistry,
+  gameAdapters: new GameAdapterRegistry()
+};
@@ -0,0 +1,106 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+const { logger } = require('../../utils/logger');
+
+// Platform (summoner/league data) → regional routing cluster (account/match data)
+const PLATFORM_ROUTING = {
+  'na1': 'americas', 'br1': 'americas', 'la1': 'americas', 'la2': 'americas',
+  'euw1': 'europe', 'eun1': 'europe', 'tr1': 'europe', 'ru': 'europe', 'me1': 'europe',
+  'kr': 'asia', 'jp1': 'asia',
+  'oc1': 'sea', 'ph2': 'sea', 'sg2': 'sea', 'th2': 'sea', 'tw2': 'sea', 'vn2': 'sea'
+};
+
+// Development key limits per routing host, used until Riot tells us the real ones via headers
+const DEFAULT_APP_LIMITS = [
+  { requests: 20, window: 1000 },
+  { requests: 100, window: 120000 }
+];
+
+// Longest Retry-After we are willing to sit through inside an HTTP request
+const MAX_RETRY_AFTER_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// account-v1 is served from americas, europe and asia only
+const ACCOUNT_CLUSTERS = ['americas', 'europe', 'asia'];
+
+const getRoutingCluster = (platform) => {
+  const cluster = PLATFORM_ROUTING[platform];
+  if (!cluster) {
+    throw new AppError(`Unsupported League of Legends region: ${platform}`, 400);
+  }
+  return cluster;
+};
+
+const getAccountCluster = (platform) => {
+  const cluster = getRoutingCluster(platform);
+  return ACCOUNT_CLUSTERS.includes(cluster) ? cluster : 'asia';
+};
+
+// Calls share the 'riot' budget in upstreamLimiter: app limits per host, method limits per host + method
+class RiotClient {
+  constructor(apiKey, limiterKey = 'riot') {
+    this.apiKey = apiKey;
+    this.limiterKey = limiterKey;
+  }
+
+  /**
+   * Rate-limited GET against a Riot host.
+   * @param {string} host - Platform (e.g. 'euw1') or routing cluster (e.g. 'europe').
+   * @param {string} path - Request path, already URL-encoded.
+   * @param {string} method - Riot method name, used to key method rate limits.
+   * @param {object} [options] - Extra axios options.
+   * @returns {Promise<object>} The response body.
+   */
+  async get(host, path, method, options = {}, retried = false) {
+    try {
+      const response = await gameHttp.get(`https://${host}.api.riotgames.com${path}`, {
+        timeout: 10000,
+        ...options,
+        headers: { 'X-Riot-Token': this.apiKey, ...options.headers },
+        budget: { key: this.limiterKey, host, method, limits: DEFAULT_APP_LIMITS }
+      });
+      return response.data;
+    } catch (error) {
+      const { response } = error;
+
+      // Honour a short Retry-After once; anything longer goes back to the caller
+      if (response?.status === 429 && !retried) {
+        const retryAfterMs = parseInt(response.headers?.['retry-after'] || '1', 10) * 1000;
+        if (retryAfterMs <= MAX_RETRY_AFTER_MS) {
+          logger.warn(`Riot ${method} rate limited on ${host}, retrying in ${retryAfterMs}ms`);
+          await sleep(retryAfterMs);
+          return this.get(host, path, method, options, true);
+        }
+      }
+      throw error;
+    }
+  }
+
+  // The League client's third-party verification code for a Riot account on `platform`; null when unset
+  async thirdPartyCode(platform, puuid) {
+    const summoner = await this.get(
+      platform,
+      `/lol/summoner/v4/summoners/by-puuid/${puuid}`,
+      'summoner-v4.getByPUUID'
+    );
+
+    try {
+      return await this.get(
+        platform,
+        `/lol/platform/v4/third-party-code/by-summoner/${summoner.id}`,
+        'third-party-code-v4.getThirdPartyCodeBySummonerId'
+      );
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  RiotClient,
+  PLATFORM_ROUTING,
+  getRoutingCluster,
+  getAccountCluster
+};
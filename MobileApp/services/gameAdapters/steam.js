@@ -0,0 +1,238 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+const { GameAdapter } = require('./baseAdapter');
+const { STEAM_OWNERSHIP_INSTRUCTIONS, fetchSteamProfileText } = require('./steamProfile');
+
+// Unlock tools flip many achievements in the same second
+const BULK_UNLOCK_THRESHOLD = 10;
+
+/**
+ * Generic Steam adapter: verifies achievements and playtime for any appid.
+ * The app comes from the quest's requirement, e.g.
+ *   { game: 'steam', appId: 620, achievement: 'ACH_WAKE_UP', minPlaytimeHours: 5 }
+ */
+class SteamAdapter extends GameAdapter {
+  constructor() {
+    super({
+      id: 'steam',
+      name: 'Steam (any game)',
+      apiEndpoint: 'https://api.steampowered.com',
+      requiredStats: ['playtimeHours', 'achievements'],
+      apiKey: process.env.STEAM_API_KEY,
+      rateLimit: { requests: 200, window: 300000 }, // 200 req/5min
+      rateLimitKey: 'steam', // STEAM_API_KEY is shared with counter_strike
+      proofFreshness: { maxAgeDays: null }, // unlocked achievements and playtime never go away
+      accountFormat: {
+        pattern: /^\d{17}$/,
+        description: '17-digit Steam ID'
+      },
+      ownershipInstructions: STEAM_OWNERSHIP_INSTRUCTIONS
+    });
+  }
+
+  async get(path, params, timeout = 10000) {
+    const response = await gameHttp.get(`${this.apiEndpoint}${path}`, {
+      params: { key: this.apiKey, ...params },
+      timeout,
+      budget: this.budget()
+    });
+    return response.data;
+  }
+
+  fetchOwnershipFields(account) {
+    return fetchSteamProfileText(account.accountId, { apiKey: this.apiKey, budget: this.budget() });
+  }
+
+  async fetchStats(account, { requirement } = {}) {
+    const steamId = account.accountId;
+    const appId = parseInt(requirement?.appId, 10);
+    if (!appId) {
+      throw new AppError('Steam verification needs a quest that declares a Steam appId', 400);
+    }
+
+    try {
+      const [summary, owned] = await Promise.all([
+        this.get('/ISteamUser/GetPlayerSummaries/v0002/', { steamids: steamId }),
+        this.get('/IPlayerService/GetOwnedGames/v1/', {
+          steamid: steamId,
+          include_appinfo: 1,
+          include_played_free_games: 1,
+          'appids_filter[0]': appId
+        })
+      ]);
+
+      const playerInfo = summary.response.players[0];
+      if (!playerInfo) {
+        throw new AppError('Steam player not found', 404);
+      }
+      // game_count is omitted entirely when "Game details" is not public
+      if (owned.response?.game_count === undefined) {
+        throw new AppError('Steam game details are private. Set "Game details" to public for verification.', 403);
+      }
+
+      const game = (owned.response.games || []).find(g => g.appid === appId);
+      const achievements = game ? await this.fetchAchievements(steamId, appId) : [];
+      const unlocked = achievements
+        .filter(a => a.achieved === 1)
+        .map(a => ({
+          apiName: a.apiname,
+          name: a.name || a.apiname,
+          unlockedAt: new Date(a.unlocktime * 1000)
+        }))
+        .sort((a, b) => a.unlockedAt - b.unlockedAt);
+
+      return {
+        playerInfo: {
+          steamId,
+          personaName: playerInfo.personaname,
+          profileUrl: playerInfo.profileurl,
+          accountCreated: playerInfo.timecreated ? new Date(playerInfo.timecreated * 1000) : null
+        },
+        app: {
+          appId,
+          name: game?.name || null,
+          owned: Boolean(game),
+          playtimeHours: game ? parseFloat((game.playtime_forever / 60).toFixed(1)) : 0,
+          playtimeTwoWeeksHours: game?.playtime_2weeks ? parseFloat((game.playtime_2weeks / 60).toFixed(1)) : 0
+        },
+        achievements: {
+          total: achievements.length,
+          unlocked: unlocked.length,
+          completionRate: achievements.length > 0
+            ? ((unlocked.length / achievements.length) * 100).toFixed(2)
+            : 0,
+          unlockedList: unlocked
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      } else if (error.response?.status === 404) {
+        throw new AppError('Steam player not found or profile is private', 404);
+      } else if (error.response?.status === 403) {
+        throw new AppError('Invalid Steam API key', 403);
+      } else if (error.response?.status === 429) {
+        throw new AppError('Rate limit exceeded for Steam API', 429);
+      }
+      throw new AppError(`Failed to fetch Steam stats: ${error.message}`, 500);
+    }
+  }
+
+  async fetchAchievements(steamId, appId) {
+    try {
+      const data = await this.get('/ISteamUserStats/GetPlayerAchievements/v1/', {
+        steamid: steamId,
+        appid: appId,
+        l: 'en'
+      });
+      return data.playerstats?.achievements || [];
+    } catch (error) {
+      // 400 "Requested app has no stats": the game simply has no achievements
+      if (error.response?.status === 400) return [];
+      // 403 here means the profile's game details are private, not a bad key
+      if (error.response?.status === 403) {
+        throw new AppError('Steam achievements are private. Set "Game details" to public for verification.', 403);
+      }
+      throw error;
+    }
+  }
+
+  scoreSkill(stats) {
+    // Achievement completion carries the score; playtime adds up to 200
+    const completion = parseFloat(stats.achievements.completionRate);
+    return completion * 16 + Math.min(stats.app.playtimeHours, 200);
+  }
+
+  calculateLeaderboardScore(stats) {
+    const unlocked = stats.achievements?.unlocked || 0;
+    const hours = stats.app?.playtimeHours || 0;
+    return Math.max(0, Math.round(unlocked * 10 + Math.min(hours, 500)));
+  }
+
+  evaluateRequirement(stats, requirement) {
+    const failures = [];
+    const evidence = { appId: stats.app.appId, appName: stats.app.name };
+
+    if (parseInt(requirement.appId, 10) !== stats.app.appId) {
+      failures.push(`Stats were fetched for app ${stats.app.appId}, quest requires app ${requirement.appId}`);
+    }
+    if (!stats.app.owned) {
+      failures.push(`App ${stats.app.appId} is not in this Steam library`);
+    }
+
+    if (requirement.achievement) {
+      const achievement = stats.achievements.unlockedList.find(a => a.apiName === requirement.achievement);
+      if (achievement) {
+        evidence.achievement = achievement;
+      } else {
+        failures.push(`Achievement ${requirement.achievement} is not unlocked in app ${stats.app.appId}`);
+      }
+    }
+
+    if (requirement.minPlaytimeHours) {
+      evidence.playtimeHours = stats.app.playtimeHours;
+      if (stats.app.playtimeHours < requirement.minPlaytimeHours) {
+        failures.push(`Playtime ${stats.app.playtimeHours}h is below the required ${requirement.minPlaytimeHours}h`);
+      }
+    }
+
+    return { met: failures.length === 0, evidence, failures };
+  }
+
+  consistencyRules() {
+    return [
+      { stat: 'app.playtimeHours', kind: 'counter', maxPerDay: 24 },
+      { stat: 'achievements.unlocked', kind: 'counter' },
+      { stat: 'app.playtimeTwoWeeksHours', kind: 'volatile' },
+      // Game updates add achievements, which also moves the completion rate
+      { stat: 'achievements.total', kind: 'volatile' },
+      { stat: 'achievements.completionRate', kind: 'volatile' }
+    ];
+  }
+
+  fraudRules() {
+    return [
+      {
+        id: 'steam.bulk-unlocks',
+        condition: { path: '$.signals.maxUnlocksPerSecond', op: '>=', value: BULK_UNLOCK_THRESHOLD },
+        weight: 40,
+        explanation: 'Achievements unlocked in bulk'
+      },
+      {
+        id: 'steam.unlocks-without-playtime',
+        condition: { all: [
+          { path: '$.signals.unlockedCount', op: '>=', value: 5 },
+          { path: '$.stats.app.playtimeHours', op: '<', value: 1 }
+        ] },
+        weight: 30,
+        explanation: 'Achievements unlocked with almost no playtime'
+      },
+      {
+        id: 'steam.new-account',
+        condition: { path: '$.signals.accountAgeDays', op: '<', value: 30 },
+        weight: 15,
+        explanation: 'Steam account created in the last 30 days'
+      }
+    ];
+  }
+
+  // `at` is when the stats were fetched, so backtests age accounts as of the proof
+  fraudSignals(stats, { at = new Date() } = {}) {
+    const unlocked = stats.achievements?.unlockedList || [];
+    const unlocksPerSecond = unlocked.reduce((acc, a) => {
+      const key = new Date(a.unlockedAt).getTime();
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+
+    const created = stats.playerInfo?.accountCreated;
+    return {
+      unlockedCount: unlocked.length,
+      maxUnlocksPerSecond: Math.max(0, ...Object.values(unlocksPerSecond)),
+      accountAgeDays: created ? Math.floor((at.getTime() - new Date(created).getTime()) / (24 * 60 * 60 * 1000)) : null
+    };
+  }
+}
+
+module.exports = SteamAdapter;
@@ -0,0 +1,61 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+
+// Steam, Counter-Strike and Dota 2 accounts are all Steam accounts, linked through the same profile
+const STEAM_OWNERSHIP_INSTRUCTIONS = 'Put the code in your Steam profile name or profile summary (Edit Profile) and keep the profile public until the link is confirmed.';
+
+// Same key and limits as the steam and counter_strike adapters
+const STEAM_BUDGET = { key: 'steam', limits: [{ requests: 200, window: 300000 }] };
+
+const SUMMARY_PATTERN = /<summary>(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?<\/summary>/;
+
+/**
+ * Persona name and profile summary of a Steam profile: the text only its owner can edit.
+ * @param {string} steamId - 17-digit Steam ID.
+ * @param {{apiKey?: string, budget?: object}} [options] - Steam Web API key and rate limit budget.
+ * @returns {Promise<string[]>}
+ */
+const fetchSteamProfileText = async (steamId, { apiKey = process.env.STEAM_API_KEY, budget = STEAM_BUDGET } = {}) => {
+  let data;
+  try {
+    ({ data } = await gameHttp.get('https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v0002/', {
+      params: { key: apiKey, steamids: steamId },
+      timeout: 10000,
+      budget
+    }));
+  } catch (error) {
+    // Breaker and limiter outages keep their retryAfter so jobs back off
+    if (error instanceof AppError) {
+      throw error;
+    } else if (error.response?.status === 403) {
+      throw new AppError('Invalid Steam API key', 403);
+    } else if (error.response?.status === 429) {
+      throw new AppError('Rate limit exceeded for Steam API', 429);
+    }
+    throw new AppError(`Failed to read Steam profile: ${error.message}`, 500);
+  }
+  const player = data.response?.players?.[0];
+  if (!player) {
+    throw new AppError('Steam player not found', 404);
+  }
+
+  // The summary is only on the community profile, and only while it is public;
+  // without it the persona name can still carry the code
+  let summary = null;
+  try {
+    const { data: xml } = await gameHttp.get(`https://steamcommunity.com/profiles/${steamId}/?xml=1`, {
+      timeout: 10000,
+      responseType: 'text'
+    });
+    summary = SUMMARY_PATTERN.exec(xml)?.[1] || null;
+  } catch (error) {
+    summary = null;
+  }
+
+  return [player.personaname, summary].filter(Boolean);
+};
+
+module.exports = {
+  STEAM_OWNERSHIP_INSTRUCTIONS,
+  fetchSteamProfileText
+};
@@ -0,0 +1,22 @@
+jest.mock('./httpClient', () => ({ gameHttp: { get: jest.fn() } }));
+
+const { gameHttp } = require('./httpClient');
+const { AppError, UpstreamUnavailableError } = require('../../utils/errorHandler');
+const { fetchSteamProfileText } = require('./steamProfile');
+
+describe('fetchSteamProfileText', () => {
+  it('passes upstream outages through with their retryAfter', async () => {
+    const outage = new UpstreamUnavailableError('Steam API is unavailable', 30);
+    gameHttp.get.mockRejectedValueOnce(outage);
+
+    await expect(fetchSteamProfileText('76561197960287930')).rejects.toBe(outage);
+  });
+
+  it('maps HTTP errors', async () => {
+    gameHttp.get.mockRejectedValueOnce(Object.assign(new Error('Request failed'), { response: { status: 429 } }));
+
+    const error = await fetchSteamProfileText('76561197960287930').catch(e => e);
+    expect(error).toBeInstanceOf(AppError);
+    expect(error.statusCode).toBe(429);
+  });
+});
@@ -0,0 +1,357 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('../../Models');
+const { UpstreamUnavailableError } = require('../../utils/errorHandler');
+const { logger } = require('../../utils/logger');
+
+// Longest an outbound call may queue before the verification request gives up
+const MAX_QUEUE_WAIT_MS = 15000;
+// Re-check the shared store at least this often; other instances may free or take tokens
+const MAX_POLL_MS = 1000;
+// Backoff after a 429 that came without Retry-After
+const DEFAULT_RETRY_AFTER_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "20:1,100:120" → [{ requests: 20, window: 1000 }, { requests: 100, window: 120000 }]
+const parseRateLimitHeader = (value) => {
+  if (!value) return null;
+  return value.split(',').map(pair => {
+    const [requests, seconds] = pair.split(':').map(Number);
+    return { requests, window: seconds * 1000 };
+  }).filter(limit => limit.requests > 0 && limit.window > 0);
+};
+
+/*
+ * A budget names the bucket set an outbound call draws from:
+ *   { key, host?, method?, limits? }
+ * key     - one per upstream API key ('steam', 'riot', a stat source id)
+ * host    - for APIs limited per host (Riot routing values)
+ * method  - for APIs with per-endpoint limits
+ * limits  - code defaults, used until the API's headers or an admin say otherwise
+ *
+ * Scopes inside a key:
+ *   app                      admin caps and defaults for the whole key
+ *   host:<host>              per-host limits (defaults and X-App-Rate-Limit)
+ *   method:<host>:<method>   per-endpoint limits (X-Method-Rate-Limit)
+ */
+const scopesFor = ({ host, method }) => {
+  const upstream = host ? `host:${host}` : 'app';
+  return {
+    app: 'app',
+    upstream,
+    method: method ? `method:${host || ''}:${method}` : null
+  };
+};
+
+const isLimitRow = (row) => row.source !== 'retry_after';
+
+// Replaces the rows of one scope + source with `limits`, keeping tokens of unchanged windows
+const syncLimitRows = (rows, limiterKey, scope, source, limits, now) => {
+  const others = rows.filter(row => row.scope !== scope || row.source !== source);
+  const current = rows.filter(row => row.scope === scope && row.source === source);
+
+  const next = limits.map(({ requests, window }) => {
+    const row = current.find(candidate => candidate.window === window);
+    if (row) {
+      row.requests = requests;
+      row.tokens = Math.min(row.tokens, requests);
+      return row;
+    }
+    return { limiterKey, scope, source, requests, window, tokens: requests, refilledAt: new Date(now), blockedUntil: null };
+  });
+
+  return [...others, ...next];
+};
+
+// Default limits only count until an admin or the upstream's headers define the scope
+const activeRows = (rows, scopes) => {
+  const inScope = rows.filter(row => scopes.includes(row.scope));
+  return inScope.filter(row => row.source !== 'default' ||
+    !inScope.some(other => other.scope === row.scope && ['admin', 'header'].includes(other.source)));
+};
+
+const refill = (row, now) => {
+  const elapsed = now - new Date(row.refilledAt).getTime();
+  row.tokens = Math.min(row.requests, row.tokens + (elapsed * row.requests) / row.window);
+  row.refilledAt = new Date(now);
+};
+
+/**
+ * Tries to take one token from every active bucket of the budget.
+ * Returns 0 when the call may proceed, otherwise the milliseconds to wait.
+ */
+const takeToken = (rows, scopes, now) => {
+  const active = activeRows(rows, scopes);
+
+  const wait = active.reduce((longest, row) => {
+    if (!isLimitRow(row)) {
+      return Math.max(longest, new Date(row.blockedUntil).getTime() - now);
+    }
+    refill(row, now);
+    if (row.tokens >= 1) return longest;
+    return Math.max(longest, Math.ceil(((1 - row.tokens) * row.window) / row.requests));
+  }, 0);
+
+  if (wait <= 0) {
+    active.filter(isLimitRow).forEach(row => { row.tokens -= 1; });
+  }
+  return wait;
+};
+
+// Single-process store, for development and tests
+class MemoryLimiterStore {
+  constructor() {
+    this.rows = new Map();
+  }
+
+  // `mutate(rows)` returns { rows, result }; runs atomically per key
+  async update(limiterKey, mutate) {
+    const { rows, result } = mutate((this.rows.get(limiterKey) || []).map(row => ({ ...row })));
+    this.rows.set(limiterKey, rows);
+    return result;
+  }
+
+  async read(limiterKey) {
+    return (this.rows.get(limiterKey) || []).map(row => ({ ...row }));
+  }
+}
+
+// Shared store: every instance locks the key's rows, mutates them and writes them back
+class PostgresLimiterStore {
+  async update(limiterKey, mutate, retried = false) {
+    try {
+      return await db.sequelize.transaction(async (transaction) => {
+        const existing = await db.RateLimitBucket.findAll({
+          where: { limiterKey },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        const { rows, result } = mutate(existing.map(bucket => bucket.get({ plain: true })));
+        const keptIds = rows.filter(row => row.bucketId).map(row => row.bucketId);
+
+        await Promise.all([
+          ...existing
+            .filter(bucket => !keptIds.includes(bucket.bucketId))
+            .map(bucket => bucket.destroy({ transaction })),
+          ...rows.map(({ bucketId, ...values }) => bucketId
+            ? db.RateLimitBucket.update(values, { where: { bucketId }, transaction })
+            : db.RateLimitBucket.create(values, { transaction }))
+        ]);
+
+        return result;
+      });
+    } catch (error) {
+      // Two instances created the first rows for a key at once; the second pass sees them
+      if (error.name === 'SequelizeUniqueConstraintError' && !retried) {
+        return this.update(limiterKey, mutate, true);
+      }
+      throw error;
+    }
+  }
+
+  async read(limiterKey) {
+    const rows = await db.RateLimitBucket.findAll({ where: { limiterKey } });
+    return rows.map(row => row.get({ plain: true }));
+  }
+}
+
+// Round-robin over users so one user's long match history can't starve everyone else
+class FairQueue {
+  constructor() {
+    this.waiters = new Map();
+    this.order = [];
+  }
+
+  get size() {
+    return this.order.length;
+  }
+
+  push(userKey, waiter) {
+    if (!this.waiters.has(userKey)) {
+      this.waiters.set(userKey, []);
+      this.order.push(userKey);
+    }
+    this.waiters.get(userKey).push(waiter);
+  }
+
+  peek() {
+    return this.size > 0 ? this.waiters.get(this.order[0])[0] : null;
+  }
+
+  // Removes the head waiter and moves its user to the back of the line
+  shift() {
+    const userKey = this.order.shift();
+    const queue = this.waiters.get(userKey);
+    const waiter = queue.shift();
+    if (queue.length > 0) {
+      this.order.push(userKey);
+    } else {
+      this.waiters.delete(userKey);
+    }
+    return waiter;
+  }
+}
+
+/**
+ * Token-bucket limiter for outbound game API calls, shared through its store
+ * by every backend instance. Budgets start from code defaults, follow the
+ * X-App-Rate-Limit / X-Method-Rate-Limit / Retry-After headers upstreams
+ * send back, and can be capped persistently by admins.
+ */
+class UpstreamLimiter {
+  constructor(store) {
+    this.store = store;
+    this.queues = new Map();
+    this.users = new AsyncLocalStorage();
+    // Last limit headers written per scope, so unchanged headers skip the store
+    this.seenHeaders = new Map();
+  }
+
+  // Calls made inside `fn` queue under this user
+  runForUser(userId, fn) {
+    return this.users.run({ userId }, fn);
+  }
+
+  acquire(budget) {
+    const userKey = this.users.getStore()?.userId ?? 'anonymous';
+    if (!this.queues.has(budget.key)) {
+      this.queues.set(budget.key, new FairQueue());
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queues.get(budget.key).push(userKey, { budget, resolve, reject, enqueuedAt: Date.now() });
+      this.drain(budget.key);
+    });
+  }
+
+  async drain(limiterKey) {
+    const queue = this.queues.get(limiterKey);
+    if (queue.draining) return;
+    queue.draining = true;
+
+    try {
+      while (queue.size > 0) {
+        const waiter = queue.peek();
+        let wait;
+        try {
+          wait = await this.tryTake(waiter.budget);
+        } catch (error) {
+          queue.shift().reject(error);
+          continue;
+        }
+
+        if (wait <= 0) {
+          queue.shift().resolve();
+        } else if (Date.now() + wait - waiter.enqueuedAt > MAX_QUEUE_WAIT_MS) {
+          const retryAfter = Math.ceil(wait / 1000);
+          queue.shift().reject(new UpstreamUnavailableError(
+            `Upstream API for ${limiterKey} is at its rate limit. Try again in ${retryAfter}s.`,
+            retryAfter,
+            429
+          ));
+        } else {
+          await sleep(Math.min(wait, MAX_POLL_MS));
+        }
+      }
+    } finally {
+      queue.draining = false;
+    }
+  }
+
+  tryTake(budget) {
+    const scopes = scopesFor(budget);
+    const now = Date.now();
+
+    return this.store.update(budget.key, (rows) => {
+      let next = rows.filter(row => isLimitRow(row) || new Date(row.blockedUntil).getTime() > now);
+      if (budget.limits) {
+        next = syncLimitRows(next, budget.key, scopes.upstream, 'default', budget.limits, now);
+      }
+      const wait = takeToken(next, [scopes.app, scopes.upstream, scopes.method].filter(Boolean), now);
+      return { rows: next, result: wait };
+    });
+  }
+
+  // Learns limits from a response; never fails the call it came from
+  async observe(budget, response) {
+    const headers = response.headers || {};
+    const scopes = scopesFor(budget);
+    const now = Date.now();
+    const updates = [];
+
+    [[scopes.upstream, headers['x-app-rate-limit']], [scopes.method, headers['x-method-rate-limit']]]
+      .forEach(([scope, value]) => {
+        const limits = parseRateLimitHeader(value);
+        const seenKey = `${budget.key}|${scope}`;
+        if (scope && limits && limits.length > 0 && this.seenHeaders.get(seenKey) !== value) {
+          this.seenHeaders.set(seenKey, value);
+          updates.push(rows => syncLimitRows(rows, budget.key, scope, 'header', limits, now));
+        }
+      });
+
+    if (response.status === 429) {
+      const retryAfterMs = parseInt(headers['retry-after'], 10) * 1000 || DEFAULT_RETRY_AFTER_MS;
+      // Riot says which limit was hit; method and service limits only block that endpoint
+      const limitType = headers['x-rate-limit-type'];
+      const scope = scopes.method && ['method', 'service'].includes(limitType) ? scopes.method : scopes.upstream;
+      updates.push(rows => this.block(rows, budget.key, scope, now + retryAfterMs));
+    }
+
+    if (updates.length === 0) return;
+
+    try {
+      await this.store.update(budget.key, rows => ({
+        rows: updates.reduce((next, apply) => apply(next), rows),
+        result: null
+      }));
+    } catch (error) {
+      logger.error(`Failed to record rate limit headers for ${budget.key}`, { error: error.message });
+    }
+  }
+
+  block(rows, limiterKey, scope, until) {
+    const existing = rows.find(row => row.scope === scope && row.source === 'retry_after');
+    if (existing) {
+      existing.blockedUntil = new Date(Math.max(new Date(existing.blockedUntil).getTime(), until));
+      return rows;
+    }
+    return [...rows, {
+      limiterKey, scope, source: 'retry_after', requests: 0, window: 0, tokens: 0,
+      refilledAt: new Date(), blockedUntil: new Date(until)
+    }];
+  }
+
+  // Admin cap on the whole key; replaces any previous admin limits
+  async setConfiguredLimits(limiterKey, limits) {
+    const now = Date.now();
+    await this.store.update(limiterKey, rows => ({
+      rows: syncLimitRows(rows, limiterKey, 'app', 'admin', limits, now),
+      result: null
+    }));
+  }
+
+  async getLimits(limiterKey) {
+    const rows = await this.store.read(limiterKey);
+    return rows.map(({ scope, source, requests, window, tokens, blockedUntil }) => (
+      isLimitRow({ source })
+        ? { scope, source, requests, window, tokens: Math.floor(tokens) }
+        : { scope, source, blockedUntil }
+    ));
+  }
+}
+
+const createStore = () => {
+  const store = (process.env.RATE_LIMIT_STORE || 'postgres').toLowerCase();
+  if (store === 'memory') return new MemoryLimiterStore();
+  if (store === 'postgres') return new PostgresLimiterStore();
+  throw new Error(`Invalid RATE_LIMIT_STORE: ${store}. Expected postgres or memory`);
+};
+
+module.exports = {
+  UpstreamLimiter,
+  MemoryLimiterStore,
+  PostgresLimiterStore,
+  parseRateLimitHeader,
+  upstreamLimiter: new UpstreamLimiter(createStore())
+};
@@ -0,0 +1,367 @@
+const { gameHttp } = require('./httpClient');
+const { AppError } = require('../../utils/errorHandler');
+const { GameAdapter } = require('./baseAdapter');
+const { RiotClient } = require('./riotClient');
+
+// HenrikDev numeric tiers: 3-5 Iron, 6-8 Bronze, ... 24-26 Immortal, 27 Radiant
+const TIERS_PER_RANK = 3;
+
+// A climb this many tiers (four whole ranks) inside a single act is suspicious
+const SUSPICIOUS_ACT_TIER_SPAN = 12;
+
+// Valorant has no free-text profile field; ownership is proven with the League of Legends
+// third-party code of the same Riot account, read from the server matching the Valorant region
+const OWNERSHIP_PLATFORMS = {
+  'na': 'na1', 'eu': 'euw1', 'ap': 'oc1', 'kr': 'kr', 'latam': 'la1', 'br': 'br1'
+};
+
+const LEADERBOARD_RANK_SCORES = {
+  'Iron': 100, 'Bronze': 300, 'Silver': 600, 'Gold': 900,
+  'Platinum': 1200, 'Diamond': 1500, 'Ascendant': 1800,
+  'Immortal': 2100, 'Radiant': 2400
+};
+
+class ValorantAdapter extends GameAdapter {
+  constructor() {
+    super({
+      id: 'valorant',
+      name: 'Valorant',
+      apiEndpoint: 'https://api.henrikdev.xyz/valorant',
+      requiredStats: ['rank', 'rr', 'peakRank'],
+      apiKey: process.env.VALORANT_API_KEY,
+      rateLimit: { requests: 60, window: 60000 },
+      regions: ['na', 'eu', 'ap', 'kr', 'latam', 'br'],
+      defaultRegion: null, // taken from the Riot account when not given
+      skillMetrics: {
+        'Iron': { min: 0, max: 299 },
+        'Bronze': { min: 300, max: 599 },
+        'Silver': { min: 600, max: 899 },
+        'Gold': { min: 900, max: 1199 },
+        'Platinum': { min: 1200, max: 1499 },
+        'Diamond': { min: 1500, max: 1799 },
+        'Ascendant': { min: 1800, max: 2099 },
+        'Immortal': { min: 2100, max: 2399 },
+        'Radiant': { min: 2400, max: 3000 }
+      },
+      accountFormat: {
+        pattern: /^[a-zA-Z0-9\s]{3,16}#[a-zA-Z0-9]{3,5}$/,
+        description: 'Name#Tag (e.g., Player#1234)'
+      },
+      ownershipInstructions: 'Valorant has no editable profile text. Log in to the League of Legends client with the same Riot account and enter the code as your third-party verification code (Settings > Verification). Use the League server that matches your Valorant region.'
+    });
+
+    // Riot's own API, for the third-party code only; stats come from HenrikDev
+    this.riot = new RiotClient(process.env.RIOT_API_KEY);
+  }
+
+  requestOptions(timeout = 10000) {
+    return {
+      timeout,
+      headers: this.apiKey ? { Authorization: this.apiKey } : {},
+      budget: this.budget()
+    };
+  }
+
+  splitRiotId(playerTag) {
+    const [name, tag] = playerTag.split('#');
+    if (!name || !tag) {
+      throw new AppError('Invalid Valorant player tag format. Use Name#Tag', 400);
+    }
+    return [encodeURIComponent(name), encodeURIComponent(tag)];
+  }
+
+  // Looks the Riot ID up once; its shard decides the region when the user didn't pick one
+  async resolveAccount(playerTag, region) {
+    const [name, tag] = this.splitRiotId(playerTag);
+
+    try {
+      const { data: response } = await gameHttp.get(
+        `${this.apiEndpoint}/v1/account/${name}/${tag}`,
+        this.requestOptions()
+      );
+      const account = response.data;
+
+      return {
+        accountId: account.puuid,
+        displayName: `${account.name}#${account.tag}`,
+        region: this.resolveRegion(region || account.region),
+        accountLevel: account.account_level
+      };
+    } catch (error) {
+      throw this.mapApiError(error);
+    }
+  }
+
+  // HenrikDev doesn't report a region for every account; the user has to pick one then
+  requireRegion(account) {
+    if (!account.region) {
+      throw new AppError(`Could not tell this Riot account's Valorant region. Pass region as one of: ${this.regions.join(', ')}`, 400);
+    }
+    return account.region;
+  }
+
+  async fetchOwnershipFields(account) {
+    const platform = OWNERSHIP_PLATFORMS[this.requireRegion(account)];
+    try {
+      const code = await this.riot.thirdPartyCode(platform, account.accountId);
+      return code ? [code] : [];
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new AppError(`No League of Legends profile on ${platform} for this Riot account`, 404);
+      }
+      throw this.mapApiError(error);
+    }
+  }
+
+  // Advanced Valorant stats
+  async fetchStats(account) {
+    const [name, tag] = this.splitRiotId(account.displayName);
+    const region = this.requireRegion(account);
+
+    try {
+      // Get MMR data, including the per-act breakdown
+      const { data: mmrResponse } = await gameHttp.get(
+        `${this.apiEndpoint}/v2/mmr/${region}/${name}/${tag}`,
+        this.requestOptions()
+      );
+      const mmr = mmrResponse.data;
+
+      // Get recent matches
+      const { data: matchesResponse } = await gameHttp.get(
+        `${this.apiEndpoint}/v3/matches/${region}/${name}/${tag}?filter=competitive`,
+        this.requestOptions(15000)
+      );
+
+      const recentMatches = this.analyzeMatches(matchesResponse.data, account.accountId);
+      const actHistory = this.buildActHistory(mmr.by_season);
+
+      return {
+        accountLevel: account.accountLevel,
+        region,
+        currentRank: {
+          tier: mmr.current_data?.currenttierpatched || 'Unranked',
+          rr: mmr.current_data?.ranking_in_tier || 0,
+          mmr: mmr.current_data?.elo || 0
+        },
+        peakRank: {
+          tier: mmr.highest_rank?.patched_tier || 'N/A',
+          season: mmr.highest_rank?.season || 'N/A'
+        },
+        actHistory,
+        actPeaks: this.countActPeaks(actHistory),
+        recentPerformance: {
+          averageScore: recentMatches.averageScore,
+          kdr: recentMatches.kdr,
+          headShotPercentage: recentMatches.headShotPercentage,
+          winRate: recentMatches.winRate,
+          mostPlayedAgent: recentMatches.mostPlayedAgent,
+          averageDamage: recentMatches.averageDamage
+        }
+      };
+
+    } catch (error) {
+      throw this.mapApiError(error);
+    }
+  }
+
+  mapApiError(error) {
+    if (error instanceof AppError) {
+      return error;
+    } else if (error.response?.status === 404) {
+      return new AppError('Valorant player not found', 404);
+    } else if (error.response?.status === 429) {
+      return new AppError('Rate limit exceeded for Valorant API', 429);
+    } else if (error.response?.status === 401 || error.response?.status === 403) {
+      return new AppError('Invalid API key for Valorant API', 403);
+    }
+    return new AppError(`Failed to fetch Valorant stats: ${error.message}`, 500);
+  }
+
+  /**
+   * Flattens HenrikDev's `by_season` map into one entry per played act.
+   * `lowestWinTier` / `peakTier` come from the act's rank-win triangles, so
+   * together they describe how far the player climbed within that act.
+   */
+  buildActHistory(bySeason = {}) {
+    return Object.entries(bySeason || {})
+      .filter(([, act]) => !act.error && act.number_of_games > 0)
+      .map(([act, data]) => {
+        const winTiers = (data.act_rank_wins || [])
+          .map(win => win.tier)
+          .filter(tier => tier > 0);
+        const peak = (data.act_rank_wins || []).find(win => win.tier === Math.max(...winTiers));
+
+        return {
+          act,
+          games: data.number_of_games,
+          wins: data.wins,
+          finalTier: data.final_rank || 0,
+          finalRank: data.final_rank_patched || 'Unrated',
+          peakTier: winTiers.length > 0 ? Math.max(...winTiers) : data.final_rank || 0,
+          peakRank: peak?.patched_tier || data.final_rank_patched || 'Unrated',
+          lowestWinTier: winTiers.length > 0 ? Math.min(...winTiers) : data.final_rank || 0
+        };
+      })
+      .sort((a, b) => a.act.localeCompare(b.act, undefined, { numeric: true }));
+  }
+
+  /**
+   * Per rank name, the number of acts whose peak reached at least that rank, e.g.
+   * { Iron: 4, ..., Diamond: 2, Ascendant: 0, ... }; "reached Diamond in two
+   * different acts" is `actPeaks.Diamond >= 2`.
+   */
+  countActPeaks(actHistory = []) {
+    return Object.keys(this.skillMetrics).reduce((counts, rankName) => {
+      const minTier = this.tierFloor(rankName);
+      counts[rankName] = actHistory.filter(act => act.peakTier >= minTier).length;
+      return counts;
+    }, {});
+  }
+
+  // Lowest numeric tier of a rank name: 'Iron' → 3, 'Diamond' → 18, 'Radiant' → 27
+  tierFloor(rankName) {
+    const index = Object.keys(this.skillMetrics).indexOf(rankName);
+    return index === -1 ? null : 3 + index * TIERS_PER_RANK;
+  }
+
+  analyzeMatches(matches, puuid) {
+    if (!matches || matches.length === 0) {
+      return {
+        averageScore: 0,
+        kdr: 0,
+        headShotPercentage: 0,
+        winRate: 0,
+        mostPlayedAgent: 'Unknown',
+        averageDamage: 0
+      };
+    }
+
+    const totalMatches = matches.length;
+    let totalScore = 0, totalKills = 0, totalDeaths = 0;
+    let totalHeadshots = 0, totalShots = 0, wins = 0;
+    let totalDamage = 0;
+    const agentCounts = {};
+
+    matches.forEach(match => {
+      const playerStats = match.players.all_players.find(p => p.puuid === puuid);
+      if (playerStats) {
+        totalScore += playerStats.stats.score;
+        totalKills += playerStats.stats.kills;
+        totalDeaths += playerStats.stats.deaths || 1;
+        totalHeadshots += playerStats.stats.headshots;
+        totalShots += playerStats.stats.bodyshots + playerStats.stats.headshots + playerStats.stats.legshots;
+        totalDamage += playerStats.damage_made;
+
+        agentCounts[playerStats.character] = (agentCounts[playerStats.character] || 0) + 1;
+
+        if (match.teams.red.has_won && playerStats.team === 'Red' ||
+            match.teams.blue.has_won && playerStats.team === 'Blue') {
+          wins++;
+        }
+      }
+    });
+
+    const mostPlayedAgent = Object.keys(agentCounts).reduce((a, b) =>
+      agentCounts[a] > agentCounts[b] ? a : b, 'Unknown');
+
+    return {
+      averageScore: Math.round(totalScore / totalMatches),
+      kdr: (totalKills / totalDeaths).toFixed(2),
+      headShotPercentage: totalShots > 0 ? ((totalHeadshots / totalShots) * 100).toFixed(2) : 0,
+      winRate: ((wins / totalMatches) * 100).toFixed(2),
+      mostPlayedAgent,
+      averageDamage: Math.round(totalDamage / totalMatches)
+    };
+  }
+
+  scoreSkill(stats) {
+    let score = 0;
+
+    const currentTier = stats.currentRank.tier.split(' ')[0];
+    if (this.skillMetrics[currentTier]) {
+      score = this.skillMetrics[currentTier].min;
+      score += stats.currentRank.rr / 100 * 100; // RR bonus
+    }
+
+    // Performance modifiers
+    const kdr = parseFloat(stats.recentPerformance.kdr);
+    if (kdr > 1.2) score += 40;
+    else if (kdr < 0.8) score -= 30;
+
+    const headShotPct = parseFloat(stats.recentPerformance.headShotPercentage);
+    if (headShotPct > 25) score += 30;
+
+    return score;
+  }
+
+  calculateLeaderboardScore(stats) {
+    const rank = stats.currentRank?.tier || 'Unranked';
+    const rr = stats.currentRank?.rr || 0;
+    const headshots = parseFloat(stats.recentPerformance?.headShotPercentage || 0);
+
+    let score = LEADERBOARD_RANK_SCORES[rank.split(' ')[0]] || 50;
+    score += rr; // RR bonus
+    score += headshots * 2; // Headshot accuracy bonus
+
+    return Math.max(0, Math.round(score));
+  }
+
+  consistencyRules() {
+    return [
+      { stat: 'accountLevel', kind: 'counter', maxPerDay: 10 },
+      // Elo is 100 per tier plus RR, so this compares tiers with RR as the fraction
+      {
+        stat: 'currentRank',
+        kind: 'drift',
+        maxPerDay: 2,
+        unit: 'tiers',
+        value: stats => (stats.currentRank?.mmr > 0 ? stats.currentRank.mmr / 100 : null)
+      },
+      { stat: 'actHistory', kind: 'volatile' },
+      { stat: 'actPeaks', kind: 'volatile' },
+      { stat: 'recentPerformance', kind: 'volatile' }
+    ];
+  }
+
+  fraudRules() {
+    return [
+      {
+        id: 'valorant.headshot-rate',
+        condition: { path: '$.stats.recentPerformance.headShotPercentage', op: '>', value: 60 },
+        weight: 35,
+        explanation: 'Unusually high headshot rate'
+      },
+      {
+        // e.g. Iron to Immortal inside one act
+        id: 'valorant.act-climb',
+        condition: { path: '$.signals.actTierSpan', op: '>=', value: SUSPICIOUS_ACT_TIER_SPAN },
+        weight: 30,
+        explanation: 'Rank climbed {$.signals.actTierSpan} tiers within act {$.signals.actTierSpanAct}'
+      },
+      {
+        id: 'valorant.low-level-ranked',
+        condition: { all: [
+          { path: '$.stats.accountLevel', op: '<', value: 20 },
+          { path: '$.stats.currentRank.tier', op: '!=', value: 'Unranked' }
+        ] },
+        weight: 25,
+        explanation: 'Low level account with competitive rank'
+      }
+    ];
+  }
+
+  // The widest climb from lowest winning tier to peak within a single act
+  fraudSignals(stats) {
+    const widest = (stats.actHistory || []).reduce((best, act) => {
+      const span = act.peakTier - act.lowestWinTier;
+      return Number.isFinite(span) && (!best || span > best.span) ? { span, act: act.act } : best;
+    }, null);
+
+    return {
+      actTierSpan: widest ? widest.span : 0,
+      actTierSpanAct: widest ? widest.act : null
+    };
+  }
+}
+
+module.exports = ValorantAdapter;
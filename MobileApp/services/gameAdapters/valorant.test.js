@@ -0,0 +1,43 @@
+const ValorantAdapter = require('./valorant');
+const questCriteria = require('../questCriteria');
+
+// HenrikDev by_season entries: 18 is Diamond 1, 21 Ascendant 1
+const bySeason = {
+  e5a1: { number_of_games: 40, wins: 22, final_rank: 17, final_rank_patched: 'Platinum 3', act_rank_wins: [{ tier: 15 }, { tier: 17 }] },
+  e5a2: { number_of_games: 60, wins: 35, final_rank: 18, final_rank_patched: 'Diamond 1', act_rank_wins: [{ tier: 16 }, { tier: 18, patched_tier: 'Diamond 1' }] },
+  e5a3: { number_of_games: 0, wins: 0 },
+  e6a1: { number_of_games: 55, wins: 30, final_rank: 20, final_rank_patched: 'Diamond 3', act_rank_wins: [{ tier: 19 }, { tier: 20, patched_tier: 'Diamond 3' }] }
+};
+
+describe('ValorantAdapter act peaks', () => {
+  const adapter = new ValorantAdapter();
+  const actHistory = adapter.buildActHistory(bySeason);
+
+  it('counts the acts whose peak reached each rank', () => {
+    const actPeaks = adapter.countActPeaks(actHistory);
+    expect(actPeaks.Platinum).toBe(3);
+    expect(actPeaks.Diamond).toBe(2);
+    expect(actPeaks.Ascendant).toBe(0);
+  });
+
+  it('lets quest criteria ask for a rank reached in two acts', () => {
+    const criteria = questCriteria.compile('actPeaks.Diamond >= 2', { game: 'valorant' });
+
+    expect(questCriteria.evaluate(criteria, { actPeaks: adapter.countActPeaks(actHistory) }).met).toBe(true);
+    expect(questCriteria.evaluate(criteria, { actPeaks: adapter.countActPeaks(actHistory.slice(0, 2)) })).toEqual({
+      met: false,
+      failures: ['Criteria not met: actPeaks.Diamond >= 2 (yours: 1)']
+    });
+  });
+});
+
+describe('ValorantAdapter regions', () => {
+  const adapter = new ValorantAdapter();
+
+  it('asks for a region instead of calling an undefined shard', async () => {
+    const account = { accountId: 'puuid', displayName: 'Player#1234', region: null };
+
+    await expect(adapter.fetchOwnershipFields(account)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(adapter.fetchStats(account)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
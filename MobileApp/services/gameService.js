@@ -1,6 +1,6 @@
 const db = require('../Models');
 const axios = require('axios');
-const crypto = require('crypto');
+const proofSigner = require('./proofSigner');
 
 class GameService {
   constructor() {
@@ -142,20 +142,27 @@ class GameService {
     };
   }
 
-  async storeVerification(userId, questId, gameAccount, apiSource, statsFetched, verificationData) {
-    const verificationHash = crypto
-      .createHash('sha256')
-      .update(JSON.stringify({ userId, questId, gameAccount, statsFetched, timestamp: Date.now() }))
-      .digest('hex');
+  // Sealed in a server-signed envelope (services/proofSigner.js); its commitment is the verification hash.
+  // `account` ({ id, name }) must come from the proof itself, or be null when it names none
+  async storeVerification(userId, questId, account, apiSource, statsFetched, verificationData = {}) {
+    const { envelope, commitment } = proofSigner.seal({
+      game: apiSource,
+      account: account || {},
+      userId,
+      questId,
+      stats: statsFetched
+    });
 
     const proof = await db.Proof.create({
       userId,
       questId,
-      gameAccount,
+      gameAccount: account?.name || null,
+      gameAccountId: account?.id || null,
       apiSource,
       statFetched: statsFetched,
-      verificationHash,
-      verified: verificationData.verified || true,
+      verificationHash: commitment,
+      envelope,
+      verified: verificationData.verified !== false,
       submittedAt: new Date()
     });
 
@@ -0,0 +1,52 @@
+const db = require('../Models');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { EmailService } = require('./enhancedGameService');
+
+// Stores in-app notifications and mirrors them by email
+class NotificationService {
+  constructor(emailService = new EmailService()) {
+    this.emailService = emailService;
+  }
+
+  async notify(userId, type, { title, message, data = {} }) {
+    const notification = await db.Notification.create({ userId, type, title, message, data });
+
+    // The in-app notice is the record; a failed email doesn't undo it
+    try {
+      const user = await db.User.findByPk(userId, { attributes: ['email'] });
+      if (user) {
+        await this.emailService.sendNotificationEmail(user.email, title, message);
+      }
+    } catch (error) {
+      logger.warn('Notification email failed', { userId, type, error: error.message });
+    }
+
+    return notification;
+  }
+
+  list(userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    const where = { userId };
+    if (unreadOnly) where.readAt = null;
+
+    return db.Notification.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+  }
+
+  async markRead(userId, notificationId) {
+    const notification = await db.Notification.findOne({ where: { notificationId, userId } });
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+    return notification;
+  }
+}
+
+module.exports = new NotificationService();
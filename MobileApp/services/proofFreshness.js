@@ -0,0 +1,276 @@
+const db = require('../Models');
+const { auditLogger, logger } = require('../utils/logger');
+const { gameAdapters } = require('./gameAdapters');
+const notificationService = require('./notificationService');
+
+const { Op } = db.Sequelize;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 0 turns the scheduler off on this instance
+const SWEEP_INTERVAL_MS = parseInt(process.env.PROOF_FRESHNESS_INTERVAL_MS ?? String(60 * 60 * 1000), 10);
+const SWEEP_BATCH_SIZE = 100;
+// A proof whose refresh job gave up is queued again after this
+const REFRESH_RETRY_MS = 12 * 60 * 60 * 1000;
+// Used when a proof's game is no longer registered (e.g. a disabled stat source)
+const FALLBACK_POLICY = { maxAgeDays: 30, refreshWindowDays: 3 };
+
+/**
+ * Keeps verified proofs current. Every proof gets a lifetime from its game's
+ * (or quest's) freshness policy; the sweep queues refresh jobs in the window
+ * before expiry and expires proofs nobody managed to refresh. Expired proofs
+ * stop counting towards quest progress and leaderboards.
+ *
+ *   fresh   - confirmed by upstream stats within its lifetime
+ *   stale   - the last refresh failed; still counts until it expires
+ *   expired - past its lifetime, or re-scored as no longer valid
+ */
+class ProofFreshnessService {
+  constructor(adapters = gameAdapters) {
+    this.adapters = adapters;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  // Game policy, then PROOF_FRESHNESS_<GAME>=<maxAgeDays>[,<refreshWindowDays>], then the quest's own
+  policyFor(game, quest) {
+    const policy = {
+      ...(this.adapters.has(game) ? this.adapters.get(game).proofFreshness : FALLBACK_POLICY)
+    };
+
+    const override = process.env[`PROOF_FRESHNESS_${game.toUpperCase()}`];
+    if (override) {
+      const [maxAgeDays, refreshWindowDays] = override.split(',').map(Number);
+      policy.maxAgeDays = maxAgeDays > 0 ? maxAgeDays : null;
+      if (refreshWindowDays >= 0) policy.refreshWindowDays = refreshWindowDays;
+    }
+
+    return { ...policy, ...quest?.proofFreshness };
+  }
+
+  // Freshness columns for a proof confirmed at `from`
+  schedule(game, quest, from = new Date()) {
+    const { maxAgeDays, refreshWindowDays } = this.policyFor(game, quest);
+    if (!maxAgeDays) {
+      return { freshness: 'fresh', lastVerified: from, refreshAt: null, expiresAt: null, refreshAttemptedAt: null };
+    }
+
+    const expiresAt = new Date(from.getTime() + maxAgeDays * DAY_MS);
+    return {
+      freshness: 'fresh',
+      lastVerified: from,
+      refreshAt: new Date(expiresAt.getTime() - Math.min(refreshWindowDays, maxAgeDays) * DAY_MS),
+      expiresAt,
+      refreshAttemptedAt: null
+    };
+  }
+
+  start(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.timer || intervalMs <= 0) return;
+    const run = () => this.sweep().catch(error => {
+      logger.error('Proof freshness sweep failed', { error: error.message });
+    });
+    this.timer = setInterval(run, intervalMs);
+    run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.sweeping) return null;
+    this.sweeping = true;
+
+    try {
+      await this.backfill();
+      const expired = await this.expireOverdue();
+      const queued = await this.queueRefreshes();
+      if (expired > 0 || queued > 0) {
+        logger.info(`Proof freshness sweep: ${expired} expired, ${queued} refresh(es) queued`);
+      }
+      return { expired, queued };
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  // Proofs verified before freshness existed get a lifetime counted from submission
+  async backfill() {
+    const proofs = await db.Proof.findAll({
+      where: { verified: true, lastVerified: null },
+      include: [{ model: db.Quest }],
+      limit: SWEEP_BATCH_SIZE
+    });
+
+    for (const proof of proofs) {
+      await proof.update(this.schedule(proof.apiSource, proof.Quest, new Date(proof.submittedAt)));
+    }
+  }
+
+  async expireOverdue() {
+    const overdue = await db.Proof.findAll({
+      where: {
+        verified: true,
+        freshness: { [Op.ne]: 'expired' },
+        expiresAt: { [Op.lte]: new Date() }
+      },
+      limit: SWEEP_BATCH_SIZE
+    });
+
+    let expired = 0;
+    for (const proof of overdue) {
+      if (await this.expire(proof, 'It could not be re-verified before it expired.')) {
+        expired += 1;
+      }
+    }
+    return expired;
+  }
+
+  // Claims due proofs with SKIP LOCKED so several instances don't queue the same refresh
+  queueRefreshes() {
+    const now = new Date();
+
+    return db.sequelize.transaction(async (transaction) => {
+      const due = await db.Proof.findAll({
+        where: {
+          verified: true,
+          freshness: { [Op.ne]: 'expired' },
+          refreshAt: { [Op.lte]: now },
+          [Op.or]: [
+            { refreshAttemptedAt: null },
+            { refreshAttemptedAt: { [Op.lt]: new Date(now - REFRESH_RETRY_MS) } }
+          ]
+        },
+        order: [['expiresAt', 'ASC']],
+        limit: SWEEP_BATCH_SIZE,
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      for (const proof of due) {
+        await proof.update({ refreshAttemptedAt: now }, { transaction });
+        await db.VerificationJob.create({
+          kind: 'refresh',
+          proofId: proof.proofId,
+          userId: proof.userId,
+          questId: proof.questId,
+          game: proof.apiSource,
+          gameAccount: proof.gameAccount,
+          region: proof.gameRegion
+        }, { transaction });
+      }
+      return due.length;
+    });
+  }
+
+  async markRefreshed(proof, quest) {
+    const previous = proof.freshness;
+    await proof.update(this.schedule(proof.apiSource, quest));
+
+    if (previous !== 'fresh') {
+      await this.notify(proof, 'proof_refreshed', 'Proof verified again',
+        `Your ${proof.apiSource} proof${quest ? ` for "${quest.title}"` : ''} is verified again.`);
+    }
+  }
+
+  // Only fresh proofs turn stale; returns whether this call changed it
+  async markStale(proofId, reason) {
+    const [changed] = await db.Proof.update(
+      { freshness: 'stale' },
+      { where: { proofId, freshness: 'fresh' } }
+    );
+    if (!changed) return false;
+
+    const proof = await db.Proof.findByPk(proofId, { include: [{ model: db.Quest, attributes: ['title'] }] });
+    await this.notify(proof, 'proof_stale', 'Proof needs re-verification',
+      `We couldn't re-verify your ${proof.apiSource} proof${proof.Quest ? ` for "${proof.Quest.title}"` : ''}: ${reason} ` +
+      `It still counts until ${proof.expiresAt ? proof.expiresAt.toISOString().slice(0, 10) : 'it is re-verified'}.`);
+    return true;
+  }
+
+  // Withdraws the proof's quest progress and leaderboard score; returns whether this call expired it
+  async expire(proof, reason) {
+    // Conditional update: a concurrent sweep must not withdraw the score twice
+    const [changed] = await db.Proof.update(
+      { freshness: 'expired' },
+      { where: { proofId: proof.proofId, freshness: { [Op.ne]: 'expired' } } }
+    );
+    if (!changed) return false;
+    proof.freshness = 'expired';
+
+    const quest = await db.Quest.findByPk(proof.questId);
+    await this.withdrawScore(proof, quest);
+
+    auditLogger.info('Proof expired', {
+      proofId: proof.proofId,
+      userId: proof.userId,
+      game: proof.apiSource,
+      reason
+    });
+
+    await this.notify(proof, 'proof_expired', 'Proof expired',
+      `Your ${proof.apiSource} proof${quest ? ` for "${quest.title}"` : ''} has expired: ${reason} ` +
+      'Re-verify to count it again.');
+    return true;
+  }
+
+  async withdrawScore(proof, quest) {
+    const progress = await db.Progress.findOne({
+      where: { userId: proof.userId, questId: proof.questId, status: 'verified' }
+    });
+    if (!progress) return;
+
+    await progress.update({ status: 'completed' });
+
+    if (quest && progress.score) {
+      const entry = await db.Leaderboard.findOne({ where: { userId: proof.userId, worldId: quest.worldId } });
+      if (entry) {
+        await entry.update({
+          score: Math.max(0, entry.score - progress.score),
+          lastUpdated: new Date()
+        });
+      }
+    }
+  }
+
+  // Undoes withdrawScore, e.g. when a rejected proof is approved on appeal
+  async restoreScore(proof, quest) {
+    const progress = await db.Progress.findOne({
+      where: { userId: proof.userId, questId: proof.questId, status: 'completed' }
+    });
+    if (!progress) return;
+
+    await progress.update({ status: 'verified' });
+
+    if (quest && progress.score) {
+      const entry = await db.Leaderboard.findOne({ where: { userId: proof.userId, worldId: quest.worldId } });
+      if (entry) {
+        await entry.update({ score: entry.score + progress.score, lastUpdated: new Date() });
+      } else {
+        await db.Leaderboard.create({
+          userId: proof.userId,
+          worldId: quest.worldId,
+          score: progress.score,
+          lastUpdated: new Date()
+        });
+      }
+    }
+  }
+
+  // A failed notification never blocks a freshness change
+  async notify(proof, type, title, message) {
+    try {
+      await notificationService.notify(proof.userId, type, {
+        title,
+        message,
+        data: { proofId: proof.proofId, questId: proof.questId, game: proof.apiSource }
+      });
+    } catch (error) {
+      logger.error('Failed to send proof freshness notification', { proofId: proof.proofId, error: error.message });
+    }
+  }
+}
+
+module.exports = new ProofFreshnessService();
@@ -0,0 +1,204 @@
+const db = require('../Models');
+const { AppError, ProofVerificationError } = require('../utils/errorHandler');
+const { auditLogger } = require('../utils/logger');
+const zkTLSService = require('./zkTLSService');
+const reclaimProviders = require('./reclaimProviders');
+const claimRegistry = require('./claimRegistry');
+
+// Long enough to open the Reclaim app and generate a proof
+const SESSION_TTL_MS = parseInt(process.env.RECLAIM_SESSION_TTL_MS, 10) || 15 * 60 * 1000;
+// This will likely be your mobile app's domain in production
+const APP_CALLBACK_URL = process.env.APP_CALLBACK_URL || 'http://localhost:3000/api/zk-tls/callback';
+// Where Reclaim sends the user afterwards; the request id is appended
+const APP_DEEP_LINK = process.env.APP_DEEP_LINK || 'verifiedworlds://proof-requests/';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const contextMessage = (context) => {
+  try {
+    return JSON.parse(context).contextMessage;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Reclaim proof request sessions. Each request is stored with its user, proof
+ * type, quest and expiry; its id travels in the Reclaim context and in the
+ * callback URL. The callback closes exactly one pending, unexpired request,
+ * and only with proofs whose signed context names that request. The claims'
+ * values are stored as stats in the shape of the proof type's game adapter.
+ */
+class ProofRequestService {
+  async open(userId, { proofType, questId }) {
+    const providerId = reclaimProviders.providerId(proofType);
+    if (questId && !(await db.Quest.findByPk(questId))) {
+      throw new AppError('Quest not found', 404);
+    }
+
+    const request = db.ProofRequest.build({
+      userId,
+      proofType,
+      questId: questId || null,
+      providerId,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    });
+    request.context = zkTLSService.buildContext(userId, request.requestId);
+    await request.save();
+
+    const reclaimUrl = zkTLSService.buildVerificationUrl(userId, proofType, this.callbackUrl(request), {
+      sessionId: request.requestId,
+      redirectUrl: this.deepLink(request)
+    });
+    return { request, reclaimUrl };
+  }
+
+  callbackUrl(request) {
+    const separator = APP_CALLBACK_URL.includes('?') ? '&' : '?';
+    return `${APP_CALLBACK_URL}${separator}session=${request.requestId}`;
+  }
+
+  deepLink(request) {
+    return `${APP_DEEP_LINK}${request.requestId}`;
+  }
+
+  async find(requestId) {
+    const request = UUID_PATTERN.test(String(requestId)) ? await db.ProofRequest.findByPk(requestId) : null;
+    if (!request) {
+      throw new AppError('Unknown proof request', 404);
+    }
+    return this.expireIfDue(request);
+  }
+
+  async findForUser(userId, requestId) {
+    const request = await this.find(requestId);
+    if (request.userId !== userId) {
+      throw new AppError('Unknown proof request', 404);
+    }
+    return request;
+  }
+
+  async expireIfDue(request) {
+    if (request.status === 'pending' && request.expiresAt < new Date()) {
+      await db.ProofRequest.update(
+        { status: 'expired', updatedAt: new Date() },
+        { where: { requestId: request.requestId, status: 'pending' } }
+      );
+      await request.reload();
+    }
+    return request;
+  }
+
+  // The callback: verifies the proof and closes the request it was made for. No owner is
+  // expected yet: the first accepted proof binds its owner to the user (claimRegistry.record)
+  async complete(requestId, proofData) {
+    const request = await this.find(requestId);
+    if (request.status === 'expired') {
+      throw new AppError('This proof request has expired. Start a new one.', 410);
+    }
+    if (request.status !== 'pending') {
+      throw new AppError('This proof request was already used', 409);
+    }
+
+    let result;
+    let extracted;
+    try {
+      result = await zkTLSService.verifyAndStoreProof(proofData);
+      // Claims seen before are reported as replayed or foreign rather than as a context mismatch
+      await claimRegistry.check(result.claims, request);
+      if (result.claims.some(claim => contextMessage(claim.context) !== request.context)) {
+        throw new ProofVerificationError('Proof was not generated for this proof request', 'CONTEXT_MISMATCH');
+      }
+      extracted = reclaimProviders.extract(result.claims, request.proofType);
+      await claimRegistry.record(result.claims, request);
+    } catch (error) {
+      if (error instanceof ProofVerificationError) {
+        await this.close(request, { status: 'failed', failureCode: error.code, failureReason: error.message });
+      }
+      throw error;
+    }
+
+    await this.close(request, { status: 'completed', claims: result.claims, stats: extracted.stats });
+    return { request, result, stats: extracted.stats };
+  }
+
+  /**
+   * /api/proofs/submit: the proof must be the one this user's session received,
+   * from the callback or, if it hasn't arrived, right now. Its claims are then
+   * redeemed, so the same proof can't back a second submission.
+   * @returns {Promise<{request: object, claims: object[], stats: object}>}
+   */
+  async redeem(userId, requestId, proofData, { questId } = {}) {
+    let request = await this.find(requestId);
+    if (request.userId !== userId) {
+      claimRegistry.reject('FOREIGN_CLAIM', 'This proof request belongs to another user', 403, {
+        userId, requestId, holderId: request.userId
+      });
+    }
+    if (request.questId && questId && request.questId !== Number(questId)) {
+      throw new AppError('This proof request was opened for another quest', 400);
+    }
+
+    if (request.status === 'pending') {
+      ({ request } = await this.complete(requestId, proofData));
+    } else if (request.status === 'completed') {
+      // Same owner and the same claim identifiers (which cover the context) as the callback received.
+      // Its age was checked when the callback arrived, so it is checked as of then
+      const { claims } = await zkTLSService.verifyAndStoreProof(proofData, {
+        owner: request.claims[0].owner,
+        now: request.completedAt
+      });
+      const received = new Set(request.claims.map(claim => claim.identifier));
+      if (claims.length !== received.size || claims.some(claim => !received.has(claim.identifier))) {
+        throw new ProofVerificationError('Proof is not the one this proof request received', 'CONTEXT_MISMATCH');
+      }
+    } else if (request.status === 'expired') {
+      throw new AppError('This proof request has expired. Start a new one.', 410);
+    } else {
+      throw new AppError(`This proof request failed (${request.failureCode}). Start a new one.`, 409);
+    }
+
+    await claimRegistry.redeem(request.claims, { userId, requestId: request.requestId });
+    return { request, claims: request.claims, stats: request.stats };
+  }
+
+  // Conditional update: of two callbacks for one request, only the first closes it
+  async close(request, values) {
+    const now = new Date();
+    const [closed] = await db.ProofRequest.update(
+      { ...values, completedAt: now, updatedAt: now },
+      { where: { requestId: request.requestId, status: 'pending' } }
+    );
+    if (!closed) {
+      throw new AppError('This proof request was already used', 409);
+    }
+    await request.reload();
+
+    auditLogger.info('Proof request closed', {
+      requestId: request.requestId,
+      userId: request.userId,
+      proofType: request.proofType,
+      status: request.status,
+      failureCode: request.failureCode
+    });
+  }
+
+  // What the app polls; `deepLink` reopens the request in the app
+  present(request) {
+    return {
+      requestId: request.requestId,
+      proofType: request.proofType,
+      questId: request.questId,
+      status: request.status,
+      expiresAt: request.expiresAt,
+      completedAt: request.completedAt,
+      failure: request.failureCode ? { code: request.failureCode, message: request.failureReason } : null,
+      game: reclaimProviders.has(request.proofType) ? reclaimProviders.get(request.proofType).game : null,
+      stats: request.stats,
+      claims: request.claims,
+      deepLink: this.deepLink(request)
+    };
+  }
+}
+
+module.exports = new ProofRequestService();
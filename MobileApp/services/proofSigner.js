@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { ENVELOPE_VERSION, ALGORITHM, commitment, keyId, signingInput, verifyEnvelope } = require('../utils/proofEnvelope');
+
+// Env values often arrive with escaped newlines
+const readPem = (value) => value.replace(/\\n/g, '\n');
+
+const publicJwk = (key) => {
+  const { kty, crv, x } = key.export({ format: 'jwk' });
+  return { kty, crv, x };
+};
+
+/**
+ * Signs proof envelopes (see utils/proofEnvelope.js) with the server's Ed25519 key.
+ *   PROOF_SIGNING_KEY        PKCS#8 PEM private key; its kid is the public key's thumbprint
+ *   PROOF_VERIFICATION_KEYS  JSON array of earlier public keys, each a JWK or PEM,
+ *                            optionally with notAfter (ISO time it stopped signing)
+ * Rotation: put the current key's public half in PROOF_VERIFICATION_KEYS with a
+ * notAfter, then install the new PROOF_SIGNING_KEY. Envelopes carry their kid,
+ * so old ones keep verifying against the published retired key.
+ * Without PROOF_SIGNING_KEY development runs use a throwaway key; production refuses to sign.
+ */
+class ProofSigner {
+  constructor({
+    signingKey = process.env.PROOF_SIGNING_KEY,
+    verificationKeys = process.env.PROOF_VERIFICATION_KEYS
+  } = {}) {
+    this.privateKey = null;
+    if (signingKey) {
+      this.privateKey = crypto.createPrivateKey(readPem(signingKey));
+      if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error('PROOF_SIGNING_KEY must be an Ed25519 private key');
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+      logger.warn('PROOF_SIGNING_KEY is not set; proof envelopes are signed with a throwaway key');
+    }
+
+    this.activeKey = this.privateKey ? publicJwk(crypto.createPublicKey(this.privateKey)) : null;
+    this.kid = this.activeKey ? keyId(this.activeKey) : null;
+    this.retiredKeys = this.readVerificationKeys(verificationKeys);
+  }
+
+  readVerificationKeys(raw) {
+    if (!raw) return [];
+    let entries;
+    try {
+      entries = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`PROOF_VERIFICATION_KEYS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error('PROOF_VERIFICATION_KEYS must be an array of public keys');
+    }
+    return entries.map((entry, i) => {
+      const pem = typeof entry === 'string' ? entry : entry.pem;
+      const key = pem
+        ? crypto.createPublicKey(readPem(pem))
+        : crypto.createPublicKey({ key: { kty: entry.kty, crv: entry.crv, x: entry.x }, format: 'jwk' });
+      if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`PROOF_VERIFICATION_KEYS[${i}] is not an Ed25519 public key`);
+      }
+      const jwk = publicJwk(key);
+      return { ...jwk, notAfter: entry.notAfter || undefined };
+    });
+  }
+
+  // Published at GET /api/proofs/keys; everything an offline verifier needs
+  jwks() {
+    const keys = this.retiredKeys.map(jwk => ({ ...jwk, kid: keyId(jwk), use: 'sig', alg: ALGORITHM, status: 'retired' }));
+    if (this.activeKey) {
+      keys.unshift({ ...this.activeKey, kid: this.kid, use: 'sig', alg: ALGORITHM, status: 'active' });
+    }
+    return { keys };
+  }
+
+  /**
+   * @param {{game: string, account: {id?: string, name?: string}, userId: number, questId: number,
+   *   stats: object, issuedAt?: Date}} record
+   * @returns {{envelope: object, commitment: string}} The envelope includes its opening (stats, salt).
+   */
+  seal({ game, account = {}, userId, questId, stats, issuedAt = new Date() }) {
+    if (!this.privateKey) {
+      throw new AppError('Proof signing key is not configured', 503);
+    }
+
+    const salt = crypto.randomBytes(32).toString('hex');
+    const header = { version: ENVELOPE_VERSION, alg: ALGORITHM, kid: this.kid };
+    const payload = {
+      game,
+      account: { id: account.id || null, name: account.name || null },
+      userId,
+      questId: questId || null,
+      issuedAt: issuedAt.toISOString(),
+      commitment: commitment(stats, salt)
+    };
+    const signature = crypto.sign(null, signingInput({ ...header, payload }), this.privateKey).toString('base64url');
+
+    return {
+      envelope: { ...header, payload, signature, stats, salt },
+      commitment: payload.commitment
+    };
+  }
+
+  verify(envelope) {
+    return verifyEnvelope(envelope, this.jwks());
+  }
+}
+
+module.exports = new ProofSigner();
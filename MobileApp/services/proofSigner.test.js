@@ -0,0 +1,77 @@
+jest.mock('../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+  auditLogger: { info: jest.fn(), warn: jest.fn() }
+}));
+
+const crypto = require('crypto');
+
+const pem = (key) => key.export({ type: 'pkcs8', format: 'pem' });
+const publicPem = (key) => crypto.createPublicKey(key).export({ type: 'spki', format: 'pem' });
+
+const { constructor: ProofSigner } = require('./proofSigner');
+
+const stats = { playerInfo: { steamId: '76561197960287930' }, achievements: { unlocked: 12 } };
+const record = { game: 'steam', account: { id: '76561197960287930', name: 'gabe' }, userId: 1, questId: 2, stats };
+
+describe('ProofSigner', () => {
+  const oldKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  const newKey = crypto.generateKeyPairSync('ed25519').privateKey;
+
+  it('seals envelopes that verify and publishes the active key', () => {
+    // Env values often carry escaped newlines
+    const signer = new ProofSigner({ signingKey: pem(newKey).replace(/\n/g, '\\n') });
+    const { envelope, commitment } = signer.seal(record);
+
+    expect(envelope.payload.commitment).toBe(commitment);
+    expect(envelope.payload.account).toEqual(record.account);
+    expect(signer.verify(JSON.parse(JSON.stringify(envelope)))).toMatchObject({ valid: true, kid: signer.kid });
+    expect(signer.jwks().keys).toEqual([expect.objectContaining({ kid: signer.kid, status: 'active', crv: 'Ed25519' })]);
+  });
+
+  it('records no account when none is given', () => {
+    const signer = new ProofSigner({ signingKey: pem(newKey) });
+    const { envelope } = signer.seal({ ...record, account: undefined });
+
+    expect(envelope.payload.account).toEqual({ id: null, name: null });
+  });
+
+  it('keeps verifying envelopes of a rotated-out key', () => {
+    const before = new ProofSigner({ signingKey: pem(oldKey) });
+    const { envelope } = before.seal({ ...record, issuedAt: new Date('2026-01-01T00:00:00Z') });
+
+    const after = new ProofSigner({
+      signingKey: pem(newKey),
+      verificationKeys: JSON.stringify([{ pem: publicPem(oldKey), notAfter: '2026-02-01T00:00:00Z' }])
+    });
+    expect(after.jwks().keys.map(key => key.status)).toEqual(['active', 'retired']);
+    expect(after.verify(envelope)).toMatchObject({ valid: true, kid: before.kid });
+
+    // Cutting a compromised key off at the time it leaked
+    const cutOff = new ProofSigner({
+      signingKey: pem(newKey),
+      verificationKeys: JSON.stringify([{ pem: publicPem(oldKey), notAfter: '2025-12-01T00:00:00Z' }])
+    });
+    expect(cutOff.verify(envelope).code).toBe('KEY_EXPIRED');
+  });
+
+  it('rejects keys that are not Ed25519', () => {
+    const { privateKey: ecKey, publicKey: ecPublic } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    expect(() => new ProofSigner({ signingKey: pem(ecKey) })).toThrow(/Ed25519/);
+    expect(() => new ProofSigner({
+      signingKey: pem(newKey),
+      verificationKeys: JSON.stringify([ecPublic.export({ type: 'spki', format: 'pem' })])
+    })).toThrow(/Ed25519/);
+  });
+
+  it('refuses to sign in production without a key', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      const signer = new ProofSigner({ signingKey: '' });
+      expect(() => signer.seal(record)).toThrow(expect.objectContaining({ statusCode: 503 }));
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
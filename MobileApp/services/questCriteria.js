@@ -0,0 +1,212 @@
+const { AppError } = require('../utils/errorHandler');
+const { queryJsonPath } = require('../utils/jsonPath');
+const { NUMERIC_OPS, evaluateCondition, validateCondition } = require('../utils/conditions');
+const { gameAdapters } = require('./gameAdapters');
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+// Words, numbers, quoted strings, operators and parentheses
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|(>=|<=|==|!=|>|<|=)|(&&|\|\|)|"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w.]*))/y;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      throw new AppError(`Criteria: unexpected input at position ${start}: ${expression.slice(start, start + 20)}`, 400);
+    }
+    const [, open, close, op, symbol, doubleQuoted, singleQuoted, number, word] = match;
+    const keyword = word && word.toUpperCase();
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (op) tokens.push({ type: 'op', value: op === '=' ? '==' : op });
+    else if (symbol) tokens.push({ type: symbol === '&&' ? 'AND' : 'OR' });
+    else if (['AND', 'OR', 'NOT'].includes(keyword)) tokens.push({ type: keyword });
+    else if (number !== undefined) tokens.push({ type: 'value', value: parseFloat(number) });
+    else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({ type: 'value', value: doubleQuoted !== undefined ? doubleQuoted : singleQuoted });
+    } else tokens.push({ type: 'word', value: word });
+  }
+  return tokens;
+};
+
+/**
+ * Parses `combat.kdr >= 1.2 AND (matches.winRate >= 50 OR NOT soloQueue.tier == IRON)`
+ * into a condition over $.stats (see utils/conditions.js). AND binds tighter than OR.
+ * Bare words on the right are strings (GOLD), true/false/null are literals.
+ */
+const parseExpression = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type, what) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new AppError(`Criteria: expected ${what}${token ? '' : ' before the end'}`, 400);
+    }
+    return token;
+  };
+
+  const literal = (token) => {
+    if (token.type === 'value') return token.value;
+    if (token.type === 'word') {
+      const lowered = token.value.toLowerCase();
+      if (lowered === 'true' || lowered === 'false') return lowered === 'true';
+      if (lowered === 'null') return null;
+      return token.value;
+    }
+    throw new AppError('Criteria: expected a value after the operator', 400);
+  };
+
+  const join = (type, children) => (children.length === 1 ? children[0] : { [type]: children });
+
+  let parseOr;
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) throw new AppError('Criteria: expected a condition before the end', 400);
+    if (token.type === 'NOT') {
+      next();
+      return { not: parseFactor() };
+    }
+    if (token.type === '(') {
+      next();
+      const inner = parseOr();
+      expect(')', 'a closing parenthesis');
+      return inner;
+    }
+    const stat = expect('word', 'a stat name such as soloQueue.tier');
+    const op = expect('op', `an operator after ${stat.value}`);
+    const valueToken = next();
+    if (!valueToken) throw new AppError(`Criteria: expected a value after ${stat.value} ${op.value}`, 400);
+    return { path: `$.stats.${stat.value}`, op: op.value, value: literal(valueToken) };
+  };
+  const parseAnd = () => {
+    const children = [parseFactor()];
+    while (peek()?.type === 'AND') {
+      next();
+      children.push(parseFactor());
+    }
+    return join('all', children);
+  };
+  parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      next();
+      children.push(parseAnd());
+    }
+    return join('any', children);
+  };
+
+  const condition = parseOr();
+  if (position < tokens.length) {
+    throw new AppError('Criteria: unexpected input after the last condition (join conditions with AND or OR)', 400);
+  }
+  return condition;
+};
+
+const statName = (path) => path.replace(/^\$\.stats\./, '');
+
+// Human-readable form, stored with the condition and used in failure messages
+const describe = (condition, nested = false) => {
+  const group = (text) => (nested ? `(${text})` : text);
+  if (condition.all) return group(condition.all.map(child => describe(child, true)).join(' AND '));
+  if (condition.any) return group(condition.any.map(child => describe(child, true)).join(' OR '));
+  if (condition.not) return `NOT ${describe(condition.not, true)}`;
+  const show = (value) => (typeof value === 'string' && !/^[A-Za-z_][\w.]*$/.test(value) ? JSON.stringify(value) : value);
+  const value = Array.isArray(condition.value) ? `[${condition.value.map(show).join(', ')}]` : show(condition.value);
+  return `${statName(condition.path)} ${condition.op} ${value}`;
+};
+
+// Tier comparisons (soloQueue.tier >= GOLD) rank values by the game's tier order
+// Malformed conditions pass through untouched for validateCondition to report
+const attachScales = (condition, tiers) => {
+  if (!condition || typeof condition !== 'object') return condition;
+  if (Array.isArray(condition.all)) return { all: condition.all.map(child => attachScales(child, tiers)) };
+  if (Array.isArray(condition.any)) return { any: condition.any.map(child => attachScales(child, tiers)) };
+  if (condition.not !== undefined) return { not: attachScales(condition.not, tiers) };
+  if (condition.all !== undefined || condition.any !== undefined) return condition;
+
+  const { scale, ...leaf } = condition;
+  if (!NUMERIC_OPS.includes(leaf.op) || typeof leaf.value !== 'string' || !Number.isNaN(Number(leaf.value))) {
+    return leaf;
+  }
+  if (!tiers) {
+    throw new AppError(
+      `Criteria: ${describe(leaf)} compares tiers, which needs the quest's requirement.game to be a game with tiers`,
+      400
+    );
+  }
+  return { ...leaf, scale: tiers };
+};
+
+/**
+ * Machine-checkable completion criteria for quests. Admins write them as text,
+ * e.g. `soloQueue.tier >= GOLD` or `combat.kdr >= 1.2 AND matches.winRate >= 50`,
+ * or as a condition over $.stats. Quest.criteria keeps both:
+ *   { expression, condition }
+ * The same criteria are evaluated against stats from API verification and from
+ * Reclaim claims (services/reclaimProviders.js produces the same stats shape).
+ */
+class QuestCriteriaService {
+  /**
+   * @param {string|object|null} criteria - Text expression, or a condition over $.stats.
+   * @param {{game?: string}} [options] - The quest's game; its tiers rank tier comparisons.
+   * @returns {{expression: string, condition: object}|null}
+   * @throws {AppError} 400 naming what is wrong with the criteria.
+   */
+  compile(criteria, { game } = {}) {
+    if (criteria === null || criteria === undefined || criteria === '') return null;
+
+    let condition;
+    if (typeof criteria === 'string') {
+      if (criteria.length > MAX_EXPRESSION_LENGTH) {
+        throw new AppError(`Criteria must be at most ${MAX_EXPRESSION_LENGTH} characters`, 400);
+      }
+      condition = parseExpression(criteria);
+    } else if (typeof criteria === 'object' && !Array.isArray(criteria)) {
+      condition = criteria;
+    } else {
+      throw new AppError('Criteria must be an expression or a condition', 400);
+    }
+
+    const tiers = game && gameAdapters.has(game) ? Object.keys(gameAdapters.get(game).skillMetrics) : null;
+    condition = attachScales(condition, tiers);
+
+    const problems = validateCondition(condition, { roots: ['stats'] }, 'criteria');
+    if (problems.length > 0) {
+      throw new AppError(`Invalid criteria: ${problems.join('; ')}`, 400);
+    }
+    return { expression: describe(condition), condition };
+  }
+
+  /**
+   * @param {{expression: string, condition: object}|null} criteria - Quest.criteria.
+   * @param {object} stats - Verified stats, as the game adapter or reclaimProviders produce them.
+   * @returns {{met: boolean, failures: string[]}} One failure per condition that doesn't hold.
+   */
+  evaluate(criteria, stats) {
+    if (!criteria?.condition) {
+      return { met: true, failures: [] };
+    }
+    const context = { stats: stats || {} };
+    const failures = this.explain(criteria.condition, context);
+    return { met: failures.length === 0, failures };
+  }
+
+  // The failed leaves of an AND; an OR or NOT is reported whole
+  explain(condition, context) {
+    if (evaluateCondition(condition, context)) return [];
+    if (condition.all) return condition.all.flatMap(child => this.explain(child, context));
+    if (condition.any || condition.not) return [`Criteria not met: ${describe(condition)}`];
+
+    const actual = queryJsonPath(context, condition.path);
+    const shown = actual === undefined || actual === null ? 'missing' : actual;
+    return [`Criteria not met: ${describe(condition)} (yours: ${shown})`];
+  }
+}
+
+module.exports = new QuestCriteriaService();
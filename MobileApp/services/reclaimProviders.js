@@ -0,0 +1,254 @@
+const { AppError, ProofVerificationError } = require('../utils/errorHandler');
+const { parseJsonPath, queryJsonPath } = require('../utils/jsonPath');
+
+// Thousands separators, units and percent signs as the pages render them: "1,204", "52.3%", "1.2K"
+const parseNumber = (raw) => {
+  if (typeof raw === 'number') return raw;
+  const match = /^(-?[\d.]+)\s*([km])?/i.exec(String(raw).replace(/[,\s]/g, ''));
+  if (!match) return NaN;
+  const multiplier = { k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1;
+  return parseFloat(match[1]) * multiplier;
+};
+
+const normalizeMapping = (mapping) =>
+  typeof mapping === 'string' ? { path: mapping, type: 'number' } : { type: 'number', ...mapping };
+
+// Writes `value` at a dotted stat name, so proofs produce the adapters' nested stats
+const setStat = (stats, name, value) => {
+  const keys = name.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, stats);
+  target[last] = value;
+};
+
+const parseJson = (value, field) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new ProofVerificationError(`Claim ${field} is not valid JSON`, 'MALFORMED_PROOF');
+  }
+};
+
+// A mapping's `pattern` keeps its first capture group, URL-decoded: the Riot ID in a profile URL
+const applyPattern = (pattern, value) => {
+  const match = pattern.exec(String(value));
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+};
+
+// What a mapping reads: $.parameters is the claim's request (url, method, paramValues),
+// $.extracted the values the provider pulled from the response
+const claimSource = (claim) => {
+  const parameters = parseJson(claim.parameters, 'parameters');
+  const { extractedParameters } = parseJson(claim.context, 'context');
+  return {
+    parameters,
+    extracted: { ...(parameters.paramValues || {}), ...(extractedParameters || {}) }
+  };
+};
+
+/**
+ * Built-in proof types. Each names the env variable holding its Reclaim provider id,
+ * the pages its claims must come from, and how the claim's values map onto stats.
+ * `game` is the adapter whose stats shape the mappings produce (none for social proofs).
+ * `accountStats` names the stats that identify the proven account; it is what a proof
+ * envelope records as the account, never what the client says it is.
+ */
+const BUILT_IN_PROVIDERS = [
+  {
+    proofType: 'valorant_rank',
+    name: 'Valorant rank (tracker.gg)',
+    game: 'valorant',
+    providerIdEnv: 'TRACKER_VALORANT_PROVIDER_ID',
+    urlPattern: /^https:\/\/(api\.)?tracker\.gg\/.*valorant\//i,
+    statMappings: {
+      'playerInfo.riotId': { path: '$.parameters.url', type: 'string', pattern: /\/profile\/riot\/([^/?#]+)/i },
+      'currentRank.tier': { path: '$.extracted.currentRank', type: 'string' },
+      'currentRank.rr': '$.extracted.rankRating',
+      'peakRank.tier': { path: '$.extracted.peakRank', type: 'string' },
+      'recentPerformance.kdr': '$.extracted.kdRatio',
+      'recentPerformance.winRate': '$.extracted.winPercentage',
+      'recentPerformance.headShotPercentage': '$.extracted.headshotPercentage'
+    },
+    requiredStats: ['currentRank.tier'],
+    accountStats: { name: 'playerInfo.riotId' }
+  },
+  {
+    proofType: 'steam_profile',
+    name: 'Steam profile',
+    game: 'steam',
+    providerIdEnv: 'STEAM_PROVIDER_ID',
+    urlPattern: /^https:\/\/steamcommunity\.com\/(id|profiles)\//i,
+    statMappings: {
+      'playerInfo.steamId': { path: '$.extracted.steamId', type: 'string' },
+      'playerInfo.personaName': { path: '$.extracted.personaName', type: 'string' },
+      'playerInfo.profileUrl': { path: '$.parameters.url', type: 'string' },
+      'app.appId': { path: '$.extracted.appId', type: 'string' },
+      'app.playtimeHours': '$.extracted.hoursPlayed',
+      'achievements.unlocked': '$.extracted.achievementsUnlocked',
+      'achievements.total': '$.extracted.achievementsTotal',
+      'achievements.completionRate': '$.extracted.achievementCompletion'
+    },
+    requiredStats: ['playerInfo.steamId'],
+    accountStats: { id: 'playerInfo.steamId', name: 'playerInfo.personaName' }
+  },
+  {
+    proofType: 'twitch_followers',
+    name: 'Twitch follower count',
+    game: null,
+    providerIdEnv: 'TWITCH_PROVIDER_ID',
+    urlPattern: /^https:\/\/(www\.|gql\.)?twitch\.tv\//i,
+    statMappings: {
+      username: { path: '$.extracted.login', type: 'string' },
+      followers_count: '$.extracted.followers'
+    },
+    requiredStats: ['followers_count'],
+    accountStats: { name: 'username' }
+  },
+  {
+    proofType: 'twitter_followers',
+    name: 'Twitter followers',
+    game: null,
+    providerIdEnv: 'TWITTER_PROVIDER_ID',
+    urlPattern: /^https:\/\/(www\.|api\.)?(x|twitter)\.com\//i,
+    statMappings: {
+      username: { path: '$.extracted.screen_name', type: 'string' },
+      followers_count: '$.extracted.followers_count'
+    },
+    requiredStats: ['followers_count'],
+    accountStats: { name: 'username' }
+  }
+];
+
+/**
+ * Proof types a user can request through Reclaim, keyed by proofType.
+ * extract() turns verified claims into the same stats an API-based
+ * adapter would return for the provider's game.
+ */
+class ReclaimProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(definition) {
+    const { proofType, providerIdEnv, urlPattern, statMappings, requiredStats = [] } = definition;
+    if (!proofType || !providerIdEnv || !(urlPattern instanceof RegExp)) {
+      throw new Error('Reclaim provider needs a proofType, providerIdEnv and urlPattern');
+    }
+    if (this.providers.has(proofType)) {
+      throw new Error(`Reclaim provider already registered: ${proofType}`);
+    }
+    Object.entries(statMappings || {}).forEach(([stat, mapping]) => parseJsonPath(normalizeMapping(mapping).path));
+    requiredStats.forEach(stat => {
+      if (!statMappings[stat]) throw new Error(`${proofType}: ${stat} is required but has no statMapping`);
+    });
+    Object.values(definition.accountStats || {}).forEach(stat => {
+      if (!statMappings[stat]) throw new Error(`${proofType}: account stat ${stat} has no statMapping`);
+    });
+
+    this.providers.set(proofType, { game: null, requiredStats, ...definition });
+    return this;
+  }
+
+  has(proofType) {
+    return this.providers.has(proofType);
+  }
+
+  get(proofType) {
+    const provider = this.providers.get(proofType);
+    if (!provider) {
+      throw new AppError(`Unsupported proof type: ${proofType}`, 400);
+    }
+    return provider;
+  }
+
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  // Read when a request is opened, so providers can be configured without a code change
+  providerId(proofType) {
+    const provider = this.get(proofType);
+    const providerId = process.env[provider.providerIdEnv];
+    if (!providerId) {
+      throw new AppError(`${provider.name} proofs are not configured`, 503);
+    }
+    return providerId;
+  }
+
+  /**
+   * @param {object[]} claims - Verified claims (reclaimVerifier.verifyProofs).
+   * @param {string} proofType - The proof type the session was opened for.
+   * @returns {{proofType: string, game: string|null, stats: object}}
+   * @throws {ProofVerificationError} PROVIDER_MISMATCH or MISSING_STATS.
+   */
+  extract(claims, proofType) {
+    const provider = this.get(proofType);
+
+    // A callback can carry one claim per page; their values are read together
+    const sources = claims.map(claimSource);
+    if (sources.some(({ parameters }) => !provider.urlPattern.test(parameters.url || ''))) {
+      throw new ProofVerificationError(`Proof was not made on ${provider.name} pages`, 'PROVIDER_MISMATCH');
+    }
+    const source = {
+      parameters: sources[0].parameters,
+      extracted: Object.assign({}, ...sources.map(({ extracted }) => extracted))
+    };
+
+    const stats = {};
+    const missing = [];
+    Object.entries(provider.statMappings).forEach(([stat, mapping]) => {
+      const { path, type, pattern } = normalizeMapping(mapping);
+      const raw = queryJsonPath(source, path);
+      let value = raw === undefined || raw === null || raw === '' ? null : raw;
+      if (value !== null && pattern) value = applyPattern(pattern, value);
+      if (value !== null) {
+        value = type === 'number' ? parseNumber(value) : String(value).trim();
+      }
+      if (typeof value === 'number' && Number.isNaN(value)) value = null;
+      if (value === null && provider.requiredStats.includes(stat)) missing.push(stat);
+      setStat(stats, stat, value);
+    });
+
+    if (missing.length > 0) {
+      throw new ProofVerificationError(`${provider.name} proof is missing ${missing.join(', ')}`, 'MISSING_STATS');
+    }
+    return { proofType: provider.proofType, game: provider.game, stats };
+  }
+
+  /**
+   * The account a proof's claims identify, read from its extracted stats.
+   * @returns {{id: string|null, name: string|null}|null} null when the proof type names no account.
+   */
+  account(proofType, stats) {
+    const { accountStats } = this.get(proofType);
+    if (!accountStats) return null;
+    const read = (stat) => (stat ? queryJsonPath({ stats }, `$.stats.${stat}`) ?? null : null);
+    const account = { id: read(accountStats.id), name: read(accountStats.name) };
+    return account.id || account.name ? account : null;
+  }
+
+  // Public description for GET /api/zk-tls/proof-types (never the provider ids)
+  getMetadata() {
+    return Array.from(this.providers.values()).map(provider => ({
+      proofType: provider.proofType,
+      name: provider.name,
+      game: provider.game,
+      stats: Object.keys(provider.statMappings),
+      available: Boolean(process.env[provider.providerIdEnv])
+    }));
+  }
+}
+
+const reclaimProviders = new ReclaimProviderRegistry();
+BUILT_IN_PROVIDERS.forEach(definition => reclaimProviders.register(definition));
+
+module.exports = reclaimProviders;
@@ -0,0 +1,31 @@
+const reclaimProviders = require('./reclaimProviders');
+
+const claim = (url, extractedParameters) => ({
+  parameters: JSON.stringify({ url, method: 'GET' }),
+  context: JSON.stringify({ contextMessage: 'session', extractedParameters })
+});
+
+describe('reclaimProviders', () => {
+  it('reads the proven account from the claims', () => {
+    const valorant = reclaimProviders.extract([
+      claim('https://api.tracker.gg/api/v2/valorant/standard/profile/riot/Some%20Player%231234', { currentRank: 'Gold 2' })
+    ], 'valorant_rank');
+    expect(reclaimProviders.account('valorant_rank', valorant.stats)).toEqual({ id: null, name: 'Some Player#1234' });
+
+    const steam = reclaimProviders.extract([
+      claim('https://steamcommunity.com/profiles/76561197960287930/', { steamId: '76561197960287930', personaName: 'gabe' })
+    ], 'steam_profile');
+    expect(reclaimProviders.account('steam_profile', steam.stats)).toEqual({ id: '76561197960287930', name: 'gabe' });
+  });
+
+  it('has no account when the claim names none', () => {
+    const twitch = reclaimProviders.extract([claim('https://www.twitch.tv/someone', { followers: '1.2K' })], 'twitch_followers');
+    expect(twitch.stats.followers_count).toBe(1200);
+    expect(reclaimProviders.account('twitch_followers', twitch.stats)).toBeNull();
+  });
+
+  it('rejects claims from other pages', () => {
+    expect(() => reclaimProviders.extract([claim('https://example.com/valorant/', { currentRank: 'Radiant' })], 'valorant_rank'))
+      .toThrow(expect.objectContaining({ code: 'PROVIDER_MISMATCH' }));
+  });
+});
@@ -0,0 +1,229 @@
+const { Keccak256, Secp256k1, ExtendedSecp256k1Signature } = require('@cosmjs/crypto');
+const { fromHex, toHex, toUtf8 } = require('@cosmjs/encoding');
+const { ProofVerificationError } = require('../utils/errorHandler');
+
+// Reclaim's public witness; override with RECLAIM_WITNESSES='{"<epoch>": ["0x<address>", ...]}'
+const DEFAULT_WITNESSES = { 1: ['0x244897572368eadf65bfbc5aec98d8e5443a9072'] };
+const DEFAULT_MAX_AGE_S = 15 * 60;
+// Tolerated clock skew between the witness and this server
+const MAX_FUTURE_S = 60;
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+const HASH_PATTERN = /^0x[0-9a-f]{64}$/;
+const SIGNATURE_PATTERN = /^(0x)?[0-9a-f]{130}$/;
+
+// Failure codes carried by ProofVerificationError
+const CODES = {
+  MALFORMED_PROOF: 'MALFORMED_PROOF',
+  IDENTIFIER_MISMATCH: 'IDENTIFIER_MISMATCH',
+  UNKNOWN_EPOCH: 'UNKNOWN_EPOCH',
+  STALE_PROOF: 'STALE_PROOF',
+  FUTURE_TIMESTAMP: 'FUTURE_TIMESTAMP',
+  OWNER_MISMATCH: 'OWNER_MISMATCH',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  UNKNOWN_WITNESS: 'UNKNOWN_WITNESS',
+  INSUFFICIENT_WITNESSES: 'INSUFFICIENT_WITNESSES'
+};
+
+const keccak256 = (bytes) => new Keccak256(bytes).digest();
+
+const fail = (code, message) => {
+  throw new ProofVerificationError(message, code);
+};
+
+// JSON with object keys sorted and no whitespace, as Reclaim's canonicalStringify (RFC 8785) writes it
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const readWitnesses = (raw) => {
+  if (!raw) return DEFAULT_WITNESSES;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`RECLAIM_WITNESSES is not valid JSON: ${error.message}`);
+  }
+  Object.entries(parsed).forEach(([epoch, addresses]) => {
+    const valid = Array.isArray(addresses) && addresses.every(address => ADDRESS_PATTERN.test(String(address).toLowerCase()));
+    if (!/^\d+$/.test(epoch) || !valid) {
+      throw new Error(`RECLAIM_WITNESSES: epoch ${epoch} must map to a list of 0x addresses`);
+    }
+  });
+  return parsed;
+};
+
+/**
+ * Verifies Reclaim proofs without trusting anything in them:
+ *   - the claim identifier is recomputed as keccak256(provider \n parameters \n context),
+ *     with a non-empty context in canonical JSON as Reclaim's SDK hashes it
+ *   - every signature must recover (EIP-191 over identifier \n owner \n timestampS \n epoch)
+ *     to a witness configured for the claim's epoch, and enough distinct witnesses must sign
+ *   - the claim must be recent, and owned by the expected address when one is given
+ * Each failed check throws a ProofVerificationError with one of CODES.
+ */
+class ReclaimVerifier {
+  constructor({
+    witnesses = readWitnesses(process.env.RECLAIM_WITNESSES),
+    minWitnesses = parseInt(process.env.RECLAIM_MIN_WITNESSES, 10) || 1,
+    maxAgeS = parseInt(process.env.RECLAIM_MAX_PROOF_AGE_S, 10) || DEFAULT_MAX_AGE_S
+  } = {}) {
+    this.witnesses = new Map(Object.entries(witnesses).map(([epoch, addresses]) =>
+      [Number(epoch), new Set(addresses.map(address => address.toLowerCase()))]));
+    this.minWitnesses = minWitnesses;
+    this.maxAgeS = maxAgeS;
+  }
+
+  claimIdentifier({ provider, parameters, context }) {
+    return `0x${toHex(keccak256(toUtf8(`${provider}\n${parameters}\n${this.canonicalContext(context)}`)))}`;
+  }
+
+  // Witnesses sign over the canonical context, whatever key order the client serialized it in
+  canonicalContext(context) {
+    if (!context) return '';
+    try {
+      return canonicalJson(JSON.parse(context));
+    } catch (error) {
+      return fail(CODES.MALFORMED_PROOF, 'claimData.context must be JSON');
+    }
+  }
+
+  // The message witnesses sign
+  signedMessage({ identifier, owner, timestampS, epoch }) {
+    return [identifier.toLowerCase(), owner.toLowerCase(), String(timestampS), String(epoch)].join('\n');
+  }
+
+  // Ethereum personal_sign signer of `message`
+  recoverSigner(message, signature) {
+    const hex = String(signature).toLowerCase();
+    if (!SIGNATURE_PATTERN.test(hex)) {
+      fail(CODES.INVALID_SIGNATURE, 'Signature must be 65 bytes of hex');
+    }
+
+    const bytes = fromHex(hex.replace(/^0x/, ''));
+    const recovery = bytes[64] >= 27 ? bytes[64] - 27 : bytes[64];
+    if (recovery !== 0 && recovery !== 1) {
+      fail(CODES.INVALID_SIGNATURE, 'Signature has an invalid recovery id');
+    }
+
+    const body = toUtf8(message);
+    const digest = keccak256(new Uint8Array([...toUtf8(`\x19Ethereum Signed Message:\n${body.length}`), ...body]));
+    let pubkey;
+    try {
+      pubkey = Secp256k1.recoverPubkey(
+        ExtendedSecp256k1Signature.fromFixedLength(new Uint8Array([...bytes.slice(0, 64), recovery])),
+        digest
+      );
+    } catch (error) {
+      fail(CODES.INVALID_SIGNATURE, `Signature could not be recovered: ${error.message}`);
+    }
+    return `0x${toHex(keccak256(pubkey.slice(1)).slice(-20))}`;
+  }
+
+  assertShape(proof) {
+    const claim = proof?.claimData;
+    const problems = [];
+    if (!claim || typeof claim !== 'object') {
+      fail(CODES.MALFORMED_PROOF, 'Proof has no claimData');
+    }
+    ['provider', 'parameters'].forEach(field => {
+      if (typeof claim[field] !== 'string') problems.push(`claimData.${field} must be a string`);
+    });
+    if (claim.context !== undefined && typeof claim.context !== 'string') {
+      problems.push('claimData.context must be a string');
+    }
+    if (!HASH_PATTERN.test(String(claim.identifier).toLowerCase())) {
+      problems.push('claimData.identifier must be a 32-byte hex hash');
+    }
+    if (!ADDRESS_PATTERN.test(String(claim.owner).toLowerCase())) {
+      problems.push('claimData.owner must be an address');
+    }
+    if (!Number.isInteger(claim.timestampS) || !Number.isInteger(claim.epoch)) {
+      problems.push('claimData.timestampS and claimData.epoch must be integers');
+    }
+    if (!Array.isArray(proof.signatures) || proof.signatures.length === 0) {
+      problems.push('signatures must be a non-empty array');
+    }
+    if (problems.length > 0) {
+      fail(CODES.MALFORMED_PROOF, `Malformed proof: ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * @param {object} proof - One entry of the callback's `proofs`.
+   * @param {{owner?: string, now?: Date}} [options] - `owner`: the address the claim must belong to.
+   * @returns {{identifier: string, owner: string, epoch: number, timestampS: number, provider: string,
+   *   parameters: string, context: string, witnesses: string[]}}
+   */
+  verifyProof(proof, { owner, now = new Date() } = {}) {
+    this.assertShape(proof);
+    const claim = proof.claimData;
+
+    const identifier = this.claimIdentifier(claim);
+    const stated = [claim.identifier, proof.identifier].filter(Boolean).map(value => value.toLowerCase());
+    if (stated.some(value => value !== identifier)) {
+      fail(CODES.IDENTIFIER_MISMATCH, 'Claim identifier does not match its provider, parameters and context');
+    }
+
+    const witnesses = this.witnesses.get(claim.epoch);
+    if (!witnesses) {
+      fail(CODES.UNKNOWN_EPOCH, `No witnesses are configured for epoch ${claim.epoch}`);
+    }
+
+    const nowS = Math.floor(now.getTime() / 1000);
+    if (claim.timestampS > nowS + MAX_FUTURE_S) {
+      fail(CODES.FUTURE_TIMESTAMP, 'Claim timestamp is in the future');
+    }
+    if (nowS - claim.timestampS > this.maxAgeS) {
+      fail(CODES.STALE_PROOF, `Claim is older than ${this.maxAgeS} seconds`);
+    }
+
+    if (owner && claim.owner.toLowerCase() !== owner.toLowerCase()) {
+      fail(CODES.OWNER_MISMATCH, 'Claim belongs to a different owner');
+    }
+
+    const message = this.signedMessage({ ...claim, identifier });
+    const signers = new Set();
+    proof.signatures.forEach(signature => {
+      const signer = this.recoverSigner(message, signature);
+      if (!witnesses.has(signer)) {
+        fail(CODES.UNKNOWN_WITNESS, `Signature from ${signer} is not a witness for epoch ${claim.epoch}`);
+      }
+      signers.add(signer);
+    });
+    if (signers.size < this.minWitnesses) {
+      fail(CODES.INSUFFICIENT_WITNESSES, `Claim needs ${this.minWitnesses} witness signature(s), has ${signers.size}`);
+    }
+
+    return {
+      identifier,
+      owner: claim.owner.toLowerCase(),
+      epoch: claim.epoch,
+      timestampS: claim.timestampS,
+      provider: claim.provider,
+      parameters: claim.parameters,
+      context: claim.context || '',
+      witnesses: Array.from(signers)
+    };
+  }
+
+  // Every proof of a callback must verify, and all must belong to one owner
+  verifyProofs(proofs, options = {}) {
+    if (!Array.isArray(proofs) || proofs.length === 0) {
+      fail(CODES.MALFORMED_PROOF, 'No proofs received');
+    }
+    const claims = proofs.map(proof => this.verifyProof(proof, options));
+    if (new Set(claims.map(claim => claim.owner)).size > 1) {
+      fail(CODES.OWNER_MISMATCH, 'Proofs in one submission belong to different owners');
+    }
+    return claims;
+  }
+}
+
+module.exports = new ReclaimVerifier();
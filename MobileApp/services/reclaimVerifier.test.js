@@ -0,0 +1,156 @@
+const { Keccak256, Secp256k1 } = require('@cosmjs/crypto');
+const { fromHex, toHex, toUtf8 } = require('@cosmjs/encoding');
+
+const WITNESS_KEY = fromHex('4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318');
+const OTHER_KEY = fromHex('8f2a55949038a9610f50fb23b5883af3b4ecb3c3bb792cbcefbd1542c692be63');
+const OWNER = '0x00000000000000000000000000000000000000aa';
+
+const keccak256 = (bytes) => new Keccak256(bytes).digest();
+
+const addressOf = async (privkey) => {
+  const { pubkey } = await Secp256k1.makeKeypair(privkey);
+  return `0x${toHex(keccak256(pubkey.slice(1)).slice(-20))}`;
+};
+
+// EIP-191 personal_sign, as Reclaim witnesses sign claims
+const personalSign = async (message, privkey) => {
+  const body = toUtf8(message);
+  const digest = keccak256(new Uint8Array([...toUtf8(`\x19Ethereum Signed Message:\n${body.length}`), ...body]));
+  const signature = await Secp256k1.createSignature(digest, privkey);
+  return `0x${toHex(signature.r(32))}${toHex(signature.s(32))}${(signature.recovery + 27).toString(16)}`;
+};
+
+let reclaimVerifier;
+let witness;
+
+// A claim attested by Reclaim's own witness (from the @reclaimprotocol/zk-fetch README)
+const RECLAIM_WITNESS = '0x244897572368eadf65bfbc5aec98d8e5443a9072';
+const realProof = () => ({
+  identifier: '0x8518b246857a47658edc8314319305c1fb5eb666ec3ee36ae07e1564c73ff288',
+  claimData: {
+    provider: 'http',
+    parameters: '{"body":"","method":"GET","responseMatches":[{"type":"regex","value":"ethereum\\":{\\"usd\\":(?<price>.*?)}}"}],"responseRedactions":[],"url":"https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=usd"}',
+    owner: '0x96faf173bb7171a530b3e44f35f32d1307bda4fa',
+    timestampS: 1725377559,
+    context: '{"extractedParameters":{"price":"2446.75"},"providerHash":"0xe5a9592ed030d011f1755f392c07aea1f3cb0492ad8910254b25f80ad556e3bb"}',
+    identifier: '0x8518b246857a47658edc8314319305c1fb5eb666ec3ee36ae07e1564c73ff288',
+    epoch: 1
+  },
+  signatures: ['0x02d14b5f3377875ecab84125e53c2387b7b1a50b4762840b33dd24117326b88670818e24668aa65c5e80f8d71c192ba5803a9ca1415d72a81f3efcf1341379d41c']
+});
+
+const makeProof = async ({ privkey = WITNESS_KEY, owner = OWNER, timestampS = Math.floor(Date.now() / 1000), epoch = 1 } = {}) => {
+  const claimData = {
+    provider: 'http',
+    parameters: JSON.stringify({ url: 'https://steamcommunity.com/profiles/76561197960287930/', method: 'GET' }),
+    context: JSON.stringify({ contextMessage: 'session-1' }),
+    owner,
+    timestampS,
+    epoch
+  };
+  claimData.identifier = reclaimVerifier.claimIdentifier(claimData);
+  const signature = await personalSign(reclaimVerifier.signedMessage(claimData), privkey);
+  return { identifier: claimData.identifier, claimData, signatures: [signature] };
+};
+
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+beforeAll(async () => {
+  witness = await addressOf(WITNESS_KEY);
+  process.env.RECLAIM_WITNESSES = JSON.stringify({ 1: [witness] });
+  reclaimVerifier = require('./reclaimVerifier');
+});
+
+afterAll(() => {
+  delete process.env.RECLAIM_WITNESSES;
+});
+
+describe('reclaimVerifier', () => {
+  it('accepts a claim signed by a configured witness', async () => {
+    const proof = await makeProof();
+    const claim = reclaimVerifier.verifyProof(proof, { owner: OWNER });
+
+    expect(claim.identifier).toBe(proof.identifier);
+    expect(claim.owner).toBe(OWNER);
+    expect(claim.witnesses).toEqual([witness]);
+  });
+
+  it('verifies a claim signed by Reclaim\'s witness', () => {
+    const verifier = new (reclaimVerifier.constructor)({ witnesses: { 1: [RECLAIM_WITNESS] } });
+    const claim = verifier.verifyProof(realProof(), { now: new Date(1725377559 * 1000) });
+
+    expect(claim.identifier).toBe('0x8518b246857a47658edc8314319305c1fb5eb666ec3ee36ae07e1564c73ff288');
+    expect(claim.witnesses).toEqual([RECLAIM_WITNESS]);
+  });
+
+  it('hashes the context canonically, whatever its key order', () => {
+    const verifier = new (reclaimVerifier.constructor)({ witnesses: { 1: [RECLAIM_WITNESS] } });
+    const proof = realProof();
+    proof.claimData.context = '{ "providerHash": "0xe5a9592ed030d011f1755f392c07aea1f3cb0492ad8910254b25f80ad556e3bb", "extractedParameters": { "price": "2446.75" } }';
+
+    expect(verifier.verifyProof(proof, { now: new Date(1725377559 * 1000) }).witnesses).toEqual([RECLAIM_WITNESS]);
+
+    proof.claimData.context = '{"extractedParameters":';
+    expect(codeOf(() => verifier.verifyProof(proof, { now: new Date(1725377559 * 1000) }))).toBe('MALFORMED_PROOF');
+  });
+
+  it('recovers the EIP-191 signer', async () => {
+    const signature = await personalSign('hello', WITNESS_KEY);
+    expect(reclaimVerifier.recoverSigner('hello', signature)).toBe(witness);
+    expect(reclaimVerifier.recoverSigner('hello!', signature)).not.toBe(witness);
+  });
+
+  it('recomputes the identifier, so tampered parameters are caught', async () => {
+    const proof = await makeProof();
+    proof.claimData.parameters = proof.claimData.parameters.replace('76561197960287930', '76561197960287931');
+
+    expect(codeOf(() => reclaimVerifier.verifyProof(proof))).toBe('IDENTIFIER_MISMATCH');
+  });
+
+  it('rejects a tampered context even with the identifier recomputed', async () => {
+    const proof = await makeProof();
+    proof.claimData.context = JSON.stringify({ contextMessage: 'session-2' });
+    proof.claimData.identifier = reclaimVerifier.claimIdentifier(proof.claimData);
+    delete proof.identifier;
+
+    // The witness signed the old identifier, so the signature recovers to someone else
+    expect(codeOf(() => reclaimVerifier.verifyProof(proof))).toBe('UNKNOWN_WITNESS');
+  });
+
+  it('rejects claims not signed by a witness', async () => {
+    const proof = await makeProof({ privkey: OTHER_KEY });
+    expect(codeOf(() => reclaimVerifier.verifyProof(proof))).toBe('UNKNOWN_WITNESS');
+  });
+
+  it('rejects an owner mismatch', async () => {
+    const proof = await makeProof();
+    expect(codeOf(() => reclaimVerifier.verifyProof(proof, { owner: '0x00000000000000000000000000000000000000bb' })))
+      .toBe('OWNER_MISMATCH');
+  });
+
+  it('rejects proofs of different owners in one submission', async () => {
+    const proofs = [await makeProof(), await makeProof({ owner: '0x00000000000000000000000000000000000000bb' })];
+    expect(codeOf(() => reclaimVerifier.verifyProofs(proofs))).toBe('OWNER_MISMATCH');
+  });
+
+  it('checks shape, epoch and age', async () => {
+    const nowS = Math.floor(Date.now() / 1000);
+    const [otherEpoch, stale, future] = await Promise.all([
+      makeProof({ epoch: 2 }),
+      makeProof({ timestampS: nowS - 3600 }),
+      makeProof({ timestampS: nowS + 3600 })
+    ]);
+
+    expect(codeOf(() => reclaimVerifier.verifyProof({ claimData: { provider: 'http' }, signatures: [] }))).toBe('MALFORMED_PROOF');
+    expect(codeOf(() => reclaimVerifier.verifyProof(otherEpoch))).toBe('UNKNOWN_EPOCH');
+    expect(codeOf(() => reclaimVerifier.verifyProof(stale))).toBe('STALE_PROOF');
+    expect(codeOf(() => reclaimVerifier.verifyProof(future))).toBe('FUTURE_TIMESTAMP');
+  });
+});
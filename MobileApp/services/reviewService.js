@@ -0,0 +1,374 @@
+const db = require('../Models');
+const { AppError } = require('../utils/errorHandler');
+const { auditLogger, logger } = require('../utils/logger');
+const notificationService = require('./notificationService');
+const proofFreshness = require('./proofFreshness');
+const fraudRuleService = require('./fraudRuleService');
+
+const { Op } = db.Sequelize;
+
+// A claim keeps other reviewers off an item for this long
+const CLAIM_TTL_MS = 30 * 60 * 1000;
+const HISTORY_LIMIT = 10;
+const APPEAL_COMMENT_LENGTH = { min: 10, max: 1000 };
+
+// Labels are shown to the proof's owner
+const REASON_CODES = {
+  approve: {
+    consistent_history: 'Your stats are consistent with your account history',
+    legitimate_pattern: 'The flagged pattern is legitimate for this account',
+    verified_elsewhere: 'Your results were confirmed from another source'
+  },
+  reject: {
+    impossible_stats: 'The stats are not achievable through normal play',
+    account_sharing: 'The account appears to be played by someone else',
+    boosting: 'The results appear to come from boosting',
+    manipulated_data: 'The submitted data appears to have been manipulated',
+    other: 'Rejected by a reviewer'
+  }
+};
+
+/**
+ * Manual review of proofs whose fraud score lands in the review band.
+ * Review-band proofs count from the start (see verificationPipeline);
+ * a reviewer claims the item, then approves it (it keeps counting) or
+ * rejects it (its quest progress and leaderboard score are withdrawn).
+ * The owner can appeal a rejection once, which puts it back in the queue.
+ * Every step is kept in the review's history and the audit log.
+ */
+class ReviewService {
+  reasonCodes() {
+    return REASON_CODES;
+  }
+
+  // Called by the pipeline for each proof stored with needsManualReview
+  async enqueue(proof) {
+    const [review] = await db.ProofReview.findOrCreate({
+      where: { proofId: proof.proofId },
+      defaults: {
+        userId: proof.userId,
+        game: proof.apiSource,
+        fraudScore: Math.round(proof.fraudAnalysis?.score ?? proof.statFetched?.fraudScore ?? 0),
+        history: [{ action: 'queued', by: null, at: new Date() }]
+      }
+    });
+    return review;
+  }
+
+  // Proofs flagged before the queue existed; returns how many were queued
+  async queueUnreviewed() {
+    const proofs = await db.Proof.findAll({
+      where: { needsManualReview: true, '$ProofReview.reviewId$': null },
+      include: [{ model: db.ProofReview, required: false, attributes: [] }]
+    });
+    for (const proof of proofs) {
+      await this.enqueue(proof);
+    }
+    if (proofs.length > 0) {
+      logger.info(`Queued ${proofs.length} flagged proofs for manual review`);
+    }
+    return proofs.length;
+  }
+
+  list({ status = 'pending', game, appealed, page = 1, limit = 20 } = {}) {
+    const where = { status };
+    if (game) where.game = game;
+    if (appealed !== undefined) where.appealedAt = appealed ? { [Op.ne]: null } : null;
+
+    return db.ProofReview.findAndCountAll({
+      where,
+      attributes: { exclude: ['history'] },
+      include: [
+        {
+          model: db.Proof,
+          attributes: ['proofId', 'questId', 'gameAccount', 'submittedAt', 'verified', 'freshness'],
+          include: [{ model: db.Quest, attributes: ['questId', 'title'] }]
+        },
+        { model: db.User, attributes: ['userId', 'username'] }
+      ],
+      order: [['fraudScore', 'DESC'], ['createdAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+
+  async findById(reviewId) {
+    const review = await db.ProofReview.findByPk(reviewId);
+    if (!review) {
+      throw new AppError('Review not found', 404);
+    }
+    return review;
+  }
+
+  // Everything a reviewer compares: the stats, the rules that fired and the user's track record
+  async detail(reviewId) {
+    const review = await this.findById(reviewId);
+    const proof = await db.Proof.findByPk(review.proofId, {
+      include: [
+        { model: db.Quest, attributes: ['questId', 'title', 'requirement', 'criteria'] },
+        { model: db.User, attributes: ['userId', 'username', 'createdAt'] }
+      ]
+    });
+
+    const [proofs, attempts, reviews, linkedAccounts] = await Promise.all([
+      db.Proof.findAll({
+        where: { userId: review.userId, proofId: { [Op.ne]: review.proofId } },
+        attributes: ['proofId', 'questId', 'apiSource', 'gameAccount', 'verified', 'needsManualReview', 'freshness', 'submittedAt', 'fraudAnalysis'],
+        order: [['submittedAt', 'DESC']],
+        limit: HISTORY_LIMIT
+      }),
+      db.VerificationAttempt.findAll({
+        where: { userId: review.userId },
+        attributes: ['attemptId', 'game', 'gameAccount', 'success', 'fraudScore', 'ipAddress', 'attemptedAt'],
+        order: [['attemptedAt', 'DESC']],
+        limit: HISTORY_LIMIT
+      }),
+      db.ProofReview.findAll({
+        where: { userId: review.userId, reviewId: { [Op.ne]: review.reviewId }, status: { [Op.ne]: 'pending' } },
+        attributes: ['reviewId', 'proofId', 'game', 'status', 'reasonCode', 'decidedAt', 'appealedAt'],
+        order: [['decidedAt', 'DESC']],
+        limit: HISTORY_LIMIT
+      }),
+      db.GameAccount.findAll({
+        where: { userId: review.userId, game: review.game, status: 'linked' },
+        attributes: ['linkId', 'accountId', 'displayName', 'linkedAt']
+      })
+    ]);
+
+    return {
+      review,
+      proof: proof && {
+        proofId: proof.proofId,
+        game: proof.apiSource,
+        gameAccount: proof.gameAccount,
+        gameAccountId: proof.gameAccountId,
+        submittedAt: proof.submittedAt,
+        verified: proof.verified,
+        freshness: proof.freshness,
+        quest: proof.Quest,
+        user: proof.User,
+        evidence: proof.evidence,
+        stats: proof.statFetched?.stats,
+        skillLevel: proof.statFetched?.skillLevel,
+        reVerification: proof.statFetched?.reVerification || null
+      },
+      fraudAnalysis: proof?.fraudAnalysis || null,
+      history: {
+        proofs: proofs.map((other) => {
+          const { fraudAnalysis, ...data } = other.toJSON();
+          return { ...data, fraudScore: fraudAnalysis?.score ?? null, decision: fraudAnalysis?.decision ?? null };
+        }),
+        attempts,
+        reviews,
+        linkedAccounts
+      }
+    };
+  }
+
+  async claim(reviewId, reviewerId) {
+    const now = new Date();
+    // Conditional update: of two reviewers claiming at once, one gets it
+    const [claimed] = await db.ProofReview.update(
+      { claimedBy: reviewerId, claimExpiresAt: new Date(now.getTime() + CLAIM_TTL_MS), updatedAt: now },
+      {
+        where: {
+          reviewId,
+          status: 'pending',
+          [Op.or]: [
+            { claimedBy: null },
+            { claimedBy: reviewerId },
+            { claimExpiresAt: { [Op.lt]: now } }
+          ]
+        }
+      }
+    );
+
+    const review = await this.findById(reviewId);
+    if (!claimed) {
+      if (review.status !== 'pending') {
+        throw new AppError(`This review was already ${review.status}`, 409);
+      }
+      throw new AppError(`This review is claimed by another reviewer until ${review.claimExpiresAt.toISOString()}`, 409);
+    }
+
+    await this.record(review, { action: 'claimed', by: reviewerId, at: now });
+    return review;
+  }
+
+  async release(reviewId, reviewerId) {
+    const review = await this.findById(reviewId);
+    if (review.status !== 'pending' || review.claimedBy !== reviewerId) {
+      throw new AppError('You do not hold a claim on this review', 409);
+    }
+    await this.record(review, { action: 'released', by: reviewerId, at: new Date() }, {
+      claimedBy: null,
+      claimExpiresAt: null
+    });
+    return review;
+  }
+
+  assertDecision({ decision, reasonCode, note }) {
+    if (!REASON_CODES[decision]) {
+      throw new AppError('decision must be approve or reject', 400);
+    }
+    if (!REASON_CODES[decision][reasonCode]) {
+      throw new AppError(`reasonCode must be one of: ${Object.keys(REASON_CODES[decision]).join(', ')}`, 400);
+    }
+    if (reasonCode === 'other' && !note?.trim()) {
+      throw new AppError('A note is required with reasonCode other', 400);
+    }
+  }
+
+  async decide(reviewId, reviewerId, { decision, reasonCode, note }) {
+    this.assertDecision({ decision, reasonCode, note });
+
+    const now = new Date();
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    // Only the reviewer holding a live claim can decide, and only once
+    const [decided] = await db.ProofReview.update(
+      {
+        status,
+        decidedBy: reviewerId,
+        decidedAt: now,
+        reasonCode,
+        note: note || null,
+        claimedBy: null,
+        claimExpiresAt: null,
+        updatedAt: now
+      },
+      {
+        where: { reviewId, status: 'pending', claimedBy: reviewerId, claimExpiresAt: { [Op.gt]: now } }
+      }
+    );
+
+    const review = await this.findById(reviewId);
+    if (!decided) {
+      if (review.status !== 'pending') {
+        throw new AppError(`This review was already ${review.status}`, 409);
+      }
+      throw new AppError('Claim this review before deciding it; your claim may have expired', 409);
+    }
+    await this.record(review, { action: status, by: reviewerId, at: now, reasonCode, note: note || null });
+
+    const proof = await db.Proof.findByPk(review.proofId);
+    const quest = await db.Quest.findByPk(proof.questId);
+    await this.applyDecision(proof, quest, status);
+
+    auditLogger.info('Proof review decided', {
+      reviewId: review.reviewId,
+      proofId: proof.proofId,
+      userId: proof.userId,
+      reviewerId,
+      decision: status,
+      reasonCode,
+      appeal: Boolean(review.appealedAt)
+    });
+
+    const questName = quest ? ` for "${quest.title}"` : '';
+    await this.notify(review, status === 'approved'
+      ? { title: 'Proof approved', message: `Your ${proof.apiSource} proof${questName} passed manual review.` }
+      : {
+        title: 'Proof rejected',
+        message: `Your ${proof.apiSource} proof${questName} was rejected after manual review: ${REASON_CODES.reject[reasonCode]}.` +
+          (review.appealedAt ? ' This decision is final.' : ' You can appeal once.')
+      });
+
+    return review;
+  }
+
+  // Approval keeps (or, on appeal, restores) the proof's score; rejection withdraws it
+  async applyDecision(proof, quest, status) {
+    if (status === 'approved') {
+      const wasRejected = !proof.verified;
+      await proof.update({ verified: true, needsManualReview: false });
+      if (wasRejected && proof.freshness !== 'expired') {
+        await proofFreshness.restoreScore(proof, quest);
+      }
+    } else {
+      await proof.update({ verified: false, needsManualReview: false });
+      await proofFreshness.withdrawScore(proof, quest);
+    }
+  }
+
+  async appeal(userId, proofId, comment) {
+    const text = typeof comment === 'string' ? comment.trim() : '';
+    if (text.length < APPEAL_COMMENT_LENGTH.min || text.length > APPEAL_COMMENT_LENGTH.max) {
+      throw new AppError(`Explain your appeal in ${APPEAL_COMMENT_LENGTH.min}-${APPEAL_COMMENT_LENGTH.max} characters`, 400);
+    }
+
+    const review = await db.ProofReview.findOne({ where: { proofId, userId } });
+    if (!review) {
+      throw new AppError('No review found for this proof', 404);
+    }
+    if (review.appealedAt) {
+      throw new AppError('This proof was already appealed', 409);
+    }
+    if (review.status !== 'rejected') {
+      throw new AppError('Only rejected proofs can be appealed', 409);
+    }
+
+    const now = new Date();
+    const [appealed] = await db.ProofReview.update(
+      {
+        status: 'pending',
+        appealedAt: now,
+        appealComment: text,
+        decidedBy: null,
+        decidedAt: null,
+        reasonCode: null,
+        note: null,
+        updatedAt: now
+      },
+      { where: { reviewId: review.reviewId, status: 'rejected', appealedAt: null } }
+    );
+    if (!appealed) {
+      throw new AppError('This proof was already appealed', 409);
+    }
+    await review.reload();
+    await this.record(review, { action: 'appealed', by: userId, at: now, note: text });
+
+    auditLogger.info('Proof review appealed', { reviewId: review.reviewId, proofId: review.proofId, userId });
+    return review;
+  }
+
+  // What the owner sees; reviewer ids and notes stay internal
+  ownerView(proof, review) {
+    const summary = fraudRuleService.userSummary(proof.fraudAnalysis);
+    if (!review) return summary;
+
+    const status = review.status === 'pending'
+      ? (review.appealedAt ? 'appealed' : 'manual_review')
+      : review.status;
+    return {
+      status,
+      reasons: review.status === 'approved' ? [] : summary?.reasons || [],
+      decision: review.reasonCode ? REASON_CODES[review.status === 'approved' ? 'approve' : 'reject'][review.reasonCode] : null,
+      decidedAt: review.decidedAt,
+      canAppeal: review.status === 'rejected' && !review.appealedAt
+    };
+  }
+
+  // Appends to the review's history; the claim serializes writers
+  async record(review, entry, values = {}) {
+    await review.update({
+      ...values,
+      history: [...(review.history || []), entry],
+      updatedAt: entry.at
+    });
+  }
+
+  // A failed notification never undoes a decision
+  async notify(review, { title, message }) {
+    try {
+      await notificationService.notify(review.userId, 'proof_reviewed', {
+        title,
+        message,
+        data: { proofId: review.proofId, reviewId: review.reviewId, status: review.status }
+      });
+    } catch (error) {
+      logger.error('Failed to send proof review notification', { reviewId: review.reviewId, error: error.message });
+    }
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,138 @@
+const db = require('../Models');
+const { AppError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const {
+  gameAdapters,
+  HttpStatSourceAdapter,
+  validateStatSourceDefinition,
+  isBuiltInGame
+} = require('./gameAdapters');
+
+const DEFINITION_FIELDS = [
+  'gameId', 'name', 'urlTemplate', 'authHeader', 'accountPattern', 'accountDescription',
+  'regions', 'statMappings', 'requiredStats', 'skillStat', 'skillMetrics', 'rateLimit',
+  'statsCacheTtl', 'proofFreshness', 'ownershipField', 'ownershipInstructions'
+];
+
+// Admin-defined stat sources, persisted in stat_sources and mirrored into the adapter registry
+class StatSourceService {
+  constructor(adapters = gameAdapters) {
+    this.adapters = adapters;
+  }
+
+  pickDefinition(input) {
+    return DEFINITION_FIELDS.reduce((acc, field) => {
+      if (input[field] !== undefined) acc[field] = input[field];
+      return acc;
+    }, {});
+  }
+
+  assertValid(definition) {
+    const problems = validateStatSourceDefinition(definition);
+    if (problems.length > 0) {
+      throw new AppError(`Invalid stat source: ${problems.join('; ')}`, 400);
+    }
+  }
+
+  // Swaps the registered adapter for this game with the given definition (or removes it)
+  syncAdapter(source) {
+    this.adapters.unregister(source.gameId);
+    if (source.enabled) {
+      this.adapters.register(new HttpStatSourceAdapter(source));
+    }
+  }
+
+  // Called at startup after the database is synced
+  async loadAll() {
+    const sources = await db.StatSource.findAll({ where: { enabled: true } });
+
+    sources.forEach(source => {
+      if (isBuiltInGame(source.gameId)) {
+        logger.warn('Skipping stat source that shadows a built-in game', { gameId: source.gameId });
+        return;
+      }
+      const problems = validateStatSourceDefinition(source.get({ plain: true }));
+      if (problems.length > 0) {
+        logger.warn('Skipping invalid stat source', { gameId: source.gameId, problems });
+        return;
+      }
+      this.syncAdapter(source);
+    });
+
+    return this.adapters.ids();
+  }
+
+  async list() {
+    return db.StatSource.findAll({ order: [['gameId', 'ASC']] });
+  }
+
+  async findByGameId(gameId) {
+    const source = await db.StatSource.findOne({ where: { gameId } });
+    if (!source) {
+      throw new AppError('Stat source not found', 404);
+    }
+    return source;
+  }
+
+  async create(input, adminId) {
+    const definition = this.pickDefinition(input);
+    this.assertValid(definition);
+
+    const existing = await db.StatSource.count({ where: { gameId: definition.gameId } });
+    if (existing > 0 || isBuiltInGame(definition.gameId) || this.adapters.has(definition.gameId)) {
+      throw new AppError(`Game id already in use: ${definition.gameId}`, 409);
+    }
+
+    const source = await db.StatSource.create({
+      ...definition,
+      enabled: input.enabled !== false,
+      createdBy: adminId
+    });
+    this.syncAdapter(source);
+    return source;
+  }
+
+  async update(gameId, input) {
+    const source = await this.findByGameId(gameId);
+    // The game id is what proofs reference; it cannot be renamed
+    const changes = this.pickDefinition(input);
+    delete changes.gameId;
+    const definition = { ...source.get({ plain: true }), ...changes };
+    this.assertValid(definition);
+
+    await source.update({
+      ...changes,
+      ...(input.enabled !== undefined && { enabled: Boolean(input.enabled) }),
+      updatedAt: new Date()
+    });
+    this.syncAdapter(source);
+    return source;
+  }
+
+  // Disabling keeps the row (and its proofs' apiSource) meaningful; the game just stops verifying
+  async disable(gameId) {
+    const source = await this.findByGameId(gameId);
+    await source.update({ enabled: false, updatedAt: new Date() });
+    this.syncAdapter(source);
+    return source;
+  }
+
+  // Dry run of a definition against a real account, without saving anything
+  async test(input, gameAccount, region) {
+    const definition = this.pickDefinition(input);
+    this.assertValid(definition);
+
+    const adapter = new HttpStatSourceAdapter(definition);
+    adapter.validateAccount(gameAccount);
+
+    const account = await adapter.resolveAccount(gameAccount, adapter.resolveRegion(region));
+    const stats = await adapter.fetchStats(account);
+    return {
+      stats,
+      skillLevel: adapter.assessSkillLevel(stats),
+      leaderboardScore: adapter.calculateLeaderboardScore(stats)
+    };
+  }
+}
+
+module.exports = new StatSourceService();
@@ -0,0 +1,150 @@
+const db = require('../Models');
+const { logger } = require('../utils/logger');
+const { gameAdapters } = require('./gameAdapters');
+
+// Upper bound on cached snapshots across all games; least recently read go first
+const MAX_ENTRIES = parseInt(process.env.STATS_CACHE_MAX_ENTRIES, 10) || 10000;
+// Expired rows and the size bound are enforced every this many writes
+const PRUNE_EVERY_WRITES = 100;
+
+/**
+ * Postgres-backed snapshot cache for upstream game stats.
+ *
+ * Modes:
+ *   bypass - always fetch upstream (new proofs, re-verification), then store
+ *   fresh  - serve a snapshot younger than the game's `fresh` TTL, else fetch
+ *   swr    - like fresh, but a snapshot within the `stale` TTL is served as is
+ *            and refreshed in the background (read-only views)
+ */
+class StatsSnapshotCache {
+  constructor(adapters = gameAdapters) {
+    this.adapters = adapters;
+    this.refreshing = new Map();
+    this.writesSincePrune = 0;
+  }
+
+  // Adapter default, overridable per game with STATS_CACHE_TTL_<GAME>=<fresh seconds>[,<stale seconds>]
+  ttlFor(game) {
+    const ttl = { ...this.adapters.get(game).statsCacheTtl };
+    const override = process.env[`STATS_CACHE_TTL_${game.toUpperCase()}`];
+    if (override) {
+      const [fresh, stale] = override.split(',').map(seconds => parseInt(seconds, 10) * 1000);
+      if (fresh >= 0) ttl.fresh = fresh;
+      if (stale >= 0) ttl.stale = stale;
+    }
+    ttl.stale = Math.max(ttl.stale, ttl.fresh);
+    return ttl;
+  }
+
+  /**
+   * @param {{cacheKey: string, game: string, gameAccount: string, region: string|null}} entry
+   * @param {function(): Promise<object>} load - Fetches { account, stats } upstream.
+   * @param {{mode?: 'bypass'|'fresh'|'swr'}} [options]
+   * @returns {Promise<{data: object, fetchedAt: Date, fromCache: boolean, stale: boolean}>}
+   */
+  async get(entry, load, { mode = 'fresh' } = {}) {
+    if (mode === 'bypass') {
+      return this.refresh(entry, load);
+    }
+
+    const row = await this.read(entry.cacheKey);
+    if (row) {
+      const age = Date.now() - new Date(row.fetchedAt).getTime();
+      const ttl = this.ttlFor(entry.game);
+
+      if (age < ttl.fresh) {
+        return this.hit(row, false);
+      }
+      if (mode === 'swr' && age < ttl.stale) {
+        this.refresh(entry, load).catch(error => {
+          logger.warn(`Background stats refresh failed for ${entry.cacheKey}`, { error: error.message });
+        });
+        return this.hit(row, true);
+      }
+    }
+
+    return this.refresh(entry, load);
+  }
+
+  // Concurrent refreshes of one key share a single upstream fetch
+  refresh(entry, load) {
+    if (!this.refreshing.has(entry.cacheKey)) {
+      const pending = (async () => {
+        const data = await load();
+        const fetchedAt = new Date();
+        await this.write(entry, data, fetchedAt);
+        return { data, fetchedAt, fromCache: false, stale: false };
+      })().finally(() => this.refreshing.delete(entry.cacheKey));
+
+      this.refreshing.set(entry.cacheKey, pending);
+    }
+    return this.refreshing.get(entry.cacheKey);
+  }
+
+  hit(row, stale) {
+    db.StatsSnapshot.update({ lastAccessedAt: new Date() }, { where: { cacheKey: row.cacheKey } })
+      .catch(error => logger.warn('Failed to touch stats snapshot', { error: error.message }));
+
+    logger.info(`Using ${stale ? 'stale' : 'cached'} stats for ${row.cacheKey}`);
+    return { data: row.snapshot, fetchedAt: new Date(row.fetchedAt), fromCache: true, stale };
+  }
+
+  // Cache failures never fail a verification; they only cost an upstream call
+  async read(cacheKey) {
+    try {
+      return await db.StatsSnapshot.findByPk(cacheKey, { raw: true });
+    } catch (error) {
+      logger.error('Stats cache read failed', { cacheKey, error: error.message });
+      return null;
+    }
+  }
+
+  async write(entry, data, fetchedAt) {
+    try {
+      await db.StatsSnapshot.upsert({
+        cacheKey: entry.cacheKey,
+        game: entry.game,
+        gameAccount: entry.gameAccount,
+        region: entry.region,
+        snapshot: data,
+        fetchedAt,
+        lastAccessedAt: fetchedAt
+      });
+    } catch (error) {
+      logger.error('Stats cache write failed', { cacheKey: entry.cacheKey, error: error.message });
+      return;
+    }
+
+    this.writesSincePrune += 1;
+    if (this.writesSincePrune >= PRUNE_EVERY_WRITES) {
+      this.writesSincePrune = 0;
+      this.prune().catch(error => logger.error('Stats cache prune failed', { error: error.message }));
+    }
+  }
+
+  // Drops snapshots past their game's stale TTL, then the least recently read beyond MAX_ENTRIES
+  async prune() {
+    const now = Date.now();
+    await Promise.all(this.adapters.ids().map(game => db.StatsSnapshot.destroy({
+      where: {
+        game,
+        fetchedAt: { [db.Sequelize.Op.lt]: new Date(now - this.ttlFor(game).stale) }
+      }
+    })));
+
+    await db.sequelize.query(`
+      DELETE FROM stats_snapshots
+      WHERE "cacheKey" IN (
+        SELECT "cacheKey" FROM stats_snapshots
+        ORDER BY "lastAccessedAt" DESC
+        OFFSET :maxEntries
+      )
+    `, {
+      replacements: { maxEntries: MAX_ENTRIES }
+    });
+  }
+}
+
+module.exports = {
+  StatsSnapshotCache
+};
@@ -0,0 +1,128 @@
+const { gameAdapters } = require('./gameAdapters');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Score taken off per finding; the score starts at 1 and is clamped at 0
+const PENALTIES = {
+  counterDecreased: 0.5,
+  seasonalReset: 0.1,
+  counterTooFast: 0.3,
+  driftBase: 0.2,
+  driftMaxExtra: 0.3
+};
+
+const readStat = (stats, path) => {
+  const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), stats);
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : null;
+};
+
+const formatElapsed = (elapsedMs) => {
+  if (elapsedMs < HOUR_MS) return `${Math.max(1, Math.round(elapsedMs / 60000))} minutes`;
+  if (elapsedMs < 2 * DAY_MS) return `${Math.round(elapsedMs / HOUR_MS)} hours`;
+  return `${Math.round(elapsedMs / DAY_MS)} days`;
+};
+
+/**
+ * Compares two stats snapshots of the same account using the game adapter's
+ * consistencyRules():
+ *   counter  - never decreases (wins, kills, level); `seasonal` ones may reset,
+ *              `maxPerDay` bounds how fast they can grow
+ *   drift    - moves a bounded amount per day (rank position, RR, LP)
+ *   volatile - recent-form averages; ignored
+ * Returns a 0..1 score with an itemized warning per finding.
+ */
+class StatsComparator {
+  constructor(adapters = gameAdapters) {
+    this.adapters = adapters;
+  }
+
+  /**
+   * @param {string} game
+   * @param {object} previous - Earlier stats snapshot.
+   * @param {object} current - Later stats snapshot.
+   * @param {{elapsedMs?: number}} [options] - Time between the snapshots.
+   * @returns {{score: number, warnings: string[], findings: object[]}}
+   */
+  compareStats(game, previous, current, { elapsedMs = DAY_MS } = {}) {
+    if (!previous || !current || !this.adapters.has(game)) {
+      return { score: 1, warnings: [], findings: [] };
+    }
+
+    const elapsedDays = Math.max(elapsedMs, 0) / DAY_MS;
+    const findings = this.adapters.get(game).consistencyRules()
+      .filter(rule => rule.kind !== 'volatile')
+      .map(rule => {
+        const before = rule.value ? rule.value(previous) : readStat(previous, rule.stat);
+        const after = rule.value ? rule.value(current) : readStat(current, rule.stat);
+        if (before === null || after === null) return null;
+
+        return rule.kind === 'counter'
+          ? this.checkCounter(rule, before, after, elapsedMs, elapsedDays)
+          : this.checkDrift(rule, before, after, elapsedMs, elapsedDays);
+      })
+      .filter(Boolean);
+
+    const penalty = findings.reduce((sum, finding) => sum + finding.penalty, 0);
+    return {
+      score: parseFloat(Math.max(0, 1 - penalty).toFixed(2)),
+      warnings: findings.map(finding => finding.warning),
+      findings
+    };
+  }
+
+  checkCounter(rule, before, after, elapsedMs, elapsedDays) {
+    if (after < before) {
+      return {
+        stat: rule.stat,
+        kind: 'counter',
+        previous: before,
+        current: after,
+        penalty: rule.seasonal ? PENALTIES.seasonalReset : PENALTIES.counterDecreased,
+        warning: rule.seasonal
+          ? `${rule.stat} decreased from ${before} to ${after} (season reset?)`
+          : `${rule.stat} decreased from ${before} to ${after}`
+      };
+    }
+
+    if (rule.maxPerDay) {
+      // Whole units, at least an hour's worth, so two quick snapshots aren't judged on minutes
+      const allowed = Math.max(1, Math.ceil(rule.maxPerDay * Math.max(elapsedDays, 1 / 24)));
+      if (after - before > allowed) {
+        return {
+          stat: rule.stat,
+          kind: 'counter',
+          previous: before,
+          current: after,
+          allowed,
+          penalty: PENALTIES.counterTooFast,
+          warning: `${rule.stat} grew by ${after - before} in ${formatElapsed(elapsedMs)}`
+        };
+      }
+    }
+    return null;
+  }
+
+  checkDrift(rule, before, after, elapsedMs, elapsedDays) {
+    const change = Math.abs(after - before);
+    const allowed = Math.max(rule.minAllowed ?? 1, rule.maxPerDay * elapsedDays);
+    if (change <= allowed) return null;
+
+    const excess = (change - allowed) / allowed;
+    const unit = rule.unit || '';
+    return {
+      stat: rule.stat,
+      kind: 'drift',
+      previous: before,
+      current: after,
+      allowed: parseFloat(allowed.toFixed(1)),
+      penalty: PENALTIES.driftBase + Math.min(PENALTIES.driftMaxExtra, excess * 0.1),
+      warning: `${rule.stat} ${after > before ? 'jumped' : 'dropped'} ${parseFloat(change.toFixed(1))}${unit ? ` ${unit}` : ''} in ${formatElapsed(elapsedMs)}`
+    };
+  }
+}
+
+module.exports = {
+  StatsComparator
+};
@@ -0,0 +1,389 @@
+const db = require('../Models');
+const { AppError } = require('../utils/errorHandler');
+const { auditLogger, logger } = require('../utils/logger');
+const zkTLSService = require('./zkTLSService');
+const { EnhancedGameService, FraudDetectionService } = require('./enhancedGameService');
+const proofFreshness = require('./proofFreshness');
+const fraudRuleService = require('./fraudRuleService');
+const accountLinkService = require('./accountLinkService');
+const reviewService = require('./reviewService');
+
+// A refreshed proof whose stats moved less consistently than this is expired
+const MIN_REFRESH_CONSISTENCY = 0.7;
+
+/**
+ * The stats verification pipeline, run by the verification queue worker:
+ *   fetching  - upstream stats, with validation and skill assessment
+ *   analyzing - quest requirement and fraud analysis
+ *   proving   - zkTLS proof, stored as a Proof
+ *   anchoring - quest progress, leaderboard and chain submission (verified proofs only)
+ *
+ * Refresh jobs re-fetch and re-score an existing proof (fetching, analyzing)
+ * and keep it fresh or expire it; see services/proofFreshness.js.
+ */
+class VerificationPipeline {
+  constructor() {
+    this.gameService = new EnhancedGameService();
+    this.fraudDetector = new FraudDetectionService();
+  }
+
+  /**
+   * @param {object} job - VerificationJob row.
+   * @param {{onStage: function(string): Promise<void>, onProofStored: function(number): Promise<void>}} hooks
+   * @returns {Promise<object>} The job result shown to the client.
+   */
+  async run(job, { onStage, onProofStored }) {
+    const { userId, questId, game, gameAccount, region } = job;
+
+    const quest = await db.Quest.findByPk(questId);
+    if (!quest) {
+      throw new AppError('Quest not found', 404);
+    }
+
+    await onStage('fetching');
+    logger.info(`Starting verification for ${game}:${gameAccount.substring(0, 8)}...`);
+
+    const statsResult = await this.gameService.fetchPlayerStatsWithValidation(
+      game,
+      gameAccount,
+      userId,
+      { region, requirement: quest.requirement }
+    );
+
+    // Recorded before the link check, so attempts on someone else's account count as shared
+    if (job.attemptId) {
+      await db.VerificationAttempt.update(
+        { gameAccountId: statsResult.accountId },
+        { where: { attemptId: job.attemptId } }
+      );
+    }
+
+    // The submitted name must resolve to an account this user linked, not just any linked account
+    await accountLinkService.assertLinked(userId, game, statsResult.accountId);
+
+    await onStage('analyzing');
+
+    // Check the quest's own requirement (e.g. a specific Steam achievement) and its criteria
+    const requirementCheck = this.gameService.evaluateQuest(
+      game,
+      quest,
+      statsResult.stats
+    );
+
+    // Runs once per verification; the full result is stored on the proof
+    const fraudAnalysis = await this.fraudDetector.analyzeStats(
+      game,
+      statsResult.accountId,
+      statsResult.stats,
+      userId
+    );
+    const verifiedStats = {
+      ...statsResult,
+      fraudScore: fraudAnalysis.score,
+      warnings: [...statsResult.warnings, ...fraudRuleService.warningsFor(fraudAnalysis)]
+    };
+
+    await onStage('proving');
+
+    // Server-signed envelope over the stats' salted commitment
+    const zkProof = await zkTLSService.generateProof(
+      game,
+      gameAccount,
+      verifiedStats,
+      { userId, questId }
+    );
+
+    // Determine verification status based on the requirement and the fraud score band
+    const isVerified = requirementCheck.met && fraudAnalysis.decision !== 'reject';
+    const needsManualReview = requirementCheck.met && fraudAnalysis.decision === 'review';
+
+    const proof = await db.Proof.create({
+      userId,
+      questId,
+      gameAccount,
+      gameAccountId: statsResult.accountId,
+      gameRegion: statsResult.region,
+      apiSource: game,
+      statFetched: {
+        ...verifiedStats,
+        zkProof: zkProof.commitment
+      },
+      fraudAnalysis,
+      evidence: requirementCheck.evidence,
+      verificationHash: zkProof.commitment,
+      envelope: zkProof.envelope,
+      verified: isVerified,
+      submittedAt: new Date(),
+      needsManualReview,
+      ...proofFreshness.schedule(game, quest)
+    });
+    await onProofStored(proof.proofId);
+
+    if (needsManualReview) {
+      await reviewService.enqueue(proof);
+    }
+
+    let chainResult = null;
+    if (isVerified) {
+      await onStage('anchoring');
+      await this.updateQuestProgress(userId, questId, statsResult.skillLevel);
+
+      chainResult = await zkTLSService.submitToChain(zkProof, userId, questId);
+      proof.blockchainTx = chainResult.transactionHash;
+      await proof.save();
+    }
+
+    if (job.attemptId) {
+      await db.VerificationAttempt.update(
+        { success: true, upstreamFailure: false, fraudScore: fraudAnalysis.score },
+        { where: { attemptId: job.attemptId } }
+      );
+    }
+
+    auditLogger.info('Player verification completed', {
+      userId,
+      game,
+      gameAccount: gameAccount.substring(0, 8) + '...',
+      questId,
+      jobId: job.jobId,
+      skillLevel: statsResult.skillLevel,
+      fraudScore: fraudAnalysis.score,
+      fraudRules: fraudAnalysis.flags.map(flag => flag.ruleId),
+      autoVerified: isVerified,
+      needsReview: needsManualReview,
+      proofId: proof.proofId
+    });
+
+    return {
+      message: !requirementCheck.met ? 'Quest requirement not met' :
+              isVerified ? 'Verification successful!' :
+              needsManualReview ? 'Verification submitted for manual review' :
+              'Verification failed due to high fraud risk',
+      proof: {
+        proofId: proof.proofId,
+        verified: proof.verified,
+        needsManualReview,
+        skillLevel: statsResult.skillLevel,
+        fraudScore: fraudAnalysis.score,
+        // Only fraud holds a proof back once the requirement is met
+        review: requirementCheck.met ? fraudRuleService.userSummary(fraudAnalysis) : null
+      },
+      requirement: {
+        met: requirementCheck.met,
+        failures: requirementCheck.failures,
+        evidence: requirementCheck.evidence
+      },
+      stats: statsResult.stats,
+      warnings: verifiedStats.warnings,
+      zkProof: zkProof.commitment,
+      envelope: zkProof.envelope,
+      blockchainTx: proof.blockchainTx || null,
+      // For the app's wallet to anchor the commitment on chain
+      anchor: chainResult?.anchor || null
+    };
+  }
+
+  /**
+   * Re-fetches a proof's stats and re-scores it against its quest.
+   * Still valid: the proof's lifetime restarts (and an expired proof counts again).
+   * No longer valid: the proof expires and its score is withdrawn.
+   */
+  async refresh(job, { onStage }) {
+    const proof = await db.Proof.findByPk(job.proofId, { include: [{ model: db.Quest }] });
+    if (!proof) {
+      throw new AppError('Proof not found', 404);
+    }
+    const quest = proof.Quest;
+
+    await onStage('fetching');
+    const current = await this.gameService.fetchPlayerStatsWithValidation(
+      proof.apiSource,
+      proof.gameAccount,
+      proof.userId,
+      { region: proof.gameRegion, requirement: quest?.requirement }
+    );
+
+    // Linked to another user (or unlinked) since it was verified: the proof stops counting
+    if (!(await accountLinkService.holdsAccount(proof.userId, proof.apiSource, proof.gameAccountId || current.accountId))) {
+      await proofFreshness.expire(proof, 'Its game account is no longer linked to your profile.');
+      return {
+        message: 'Proof expired: its game account is no longer linked to this profile',
+        proof: {
+          proofId: proof.proofId,
+          freshness: proof.freshness,
+          lastVerified: proof.lastVerified,
+          expiresAt: proof.expiresAt
+        }
+      };
+    }
+
+    await onStage('analyzing');
+    const requirementCheck = this.gameService.evaluateQuest(
+      proof.apiSource,
+      quest,
+      current.stats
+    );
+    // Against the last snapshot upstream confirmed, so a long-lived proof isn't judged on months of drift
+    const previous = proof.statFetched?.reVerification || {
+      timestamp: proof.submittedAt,
+      currentStats: proof.statFetched?.stats
+    };
+    const consistency = this.gameService.statsComparator.compareStats(
+      proof.apiSource,
+      previous.currentStats,
+      current.stats,
+      { elapsedMs: Date.now() - new Date(previous.timestamp).getTime() }
+    );
+    const fraudAnalysis = await this.fraudDetector.analyzeStats(
+      proof.apiSource,
+      current.accountId,
+      current.stats,
+      proof.userId
+    );
+
+    const stillValid = requirementCheck.met &&
+      consistency.score > MIN_REFRESH_CONSISTENCY &&
+      fraudAnalysis.decision !== 'reject';
+    const wasExpired = proof.freshness === 'expired';
+
+    await proof.update({
+      statFetched: {
+        ...proof.statFetched,
+        reVerification: {
+          timestamp: new Date(),
+          currentStats: current.stats,
+          consistencyScore: consistency.score,
+          consistencyWarnings: consistency.warnings,
+          newFraudScore: fraudAnalysis.score,
+          requirementMet: requirementCheck.met
+        }
+      }
+    });
+
+    if (stillValid) {
+      if (wasExpired) {
+        await this.updateQuestProgress(proof.userId, proof.questId, current.skillLevel);
+      }
+      await proofFreshness.markRefreshed(proof, quest);
+    } else {
+      const reason = !requirementCheck.met ? 'It no longer meets the quest requirement.' :
+                    fraudAnalysis.decision === 'reject' ? 'Its current stats failed fraud checks.' :
+                    'Its current stats are inconsistent with the verified ones.';
+      await proofFreshness.expire(proof, reason);
+    }
+
+    auditLogger.info('Proof re-verified', {
+      proofId: proof.proofId,
+      userId: proof.userId,
+      game: proof.apiSource,
+      jobId: job.jobId,
+      stillValid,
+      consistencyScore: consistency.score,
+      newFraudScore: fraudAnalysis.score,
+      fraudRules: fraudAnalysis.flags.map(flag => flag.ruleId)
+    });
+
+    return {
+      message: stillValid ? 'Proof re-verified' : 'Proof is no longer valid and has expired',
+      proof: {
+        proofId: proof.proofId,
+        freshness: proof.freshness,
+        lastVerified: proof.lastVerified,
+        expiresAt: proof.expiresAt
+      },
+      requirement: {
+        met: requirementCheck.met,
+        failures: requirementCheck.failures
+      },
+      consistencyScore: consistency.score,
+      fraudScore: fraudAnalysis.score,
+      warnings: consistency.warnings,
+      consistencyFindings: consistency.findings,
+      stats: current.stats
+    };
+  }
+
+  // Maps a pipeline failure to what the client sees on the job
+  describeError(error, game) {
+    if (error.upstreamFailure) {
+      return { message: error.message, statusCode: error.statusCode, retryAfter: error.retryAfter };
+    }
+    if (error.message.includes('not found')) {
+      return { message: `${game} account not found. Please check your username/ID.`, statusCode: 404 };
+    }
+    if (error.message.includes('rate limit')) {
+      return { message: `${game} API rate limit reached. Please try again in a few minutes.`, statusCode: 429 };
+    }
+    if (error.message.includes('private') || error.message.includes('visibility')) {
+      return { message: 'Account profile is private. Please make it public for verification.', statusCode: 403 };
+    }
+    if (error.isOperational) {
+      return { message: error.message, statusCode: error.statusCode };
+    }
+    return { message: 'Verification failed unexpectedly', statusCode: 500 };
+  }
+
+  updateQuestProgress = async (userId, questId, skillLevel) => {
+    const progress = await db.Progress.findOne({
+      where: { userId, questId }
+    });
+
+    const score = this.calculateSkillScore(skillLevel);
+
+    if (!progress) {
+      await db.Progress.create({
+        userId,
+        questId,
+        status: 'verified',
+        completedAt: new Date(),
+        score
+      });
+    } else {
+      await progress.update({
+        status: 'verified',
+        completedAt: new Date(),
+        score: Math.max(progress.score, score)
+      });
+    }
+
+    // Update leaderboard
+    const quest = await db.Quest.findByPk(questId);
+    if (quest) {
+      await this.updateLeaderboard(userId, quest.worldId, score);
+    }
+  };
+
+  updateLeaderboard = async (userId, worldId, score) => {
+    const existingEntry = await db.Leaderboard.findOne({
+      where: { userId, worldId }
+    });
+
+    if (existingEntry) {
+      await existingEntry.update({
+        score: existingEntry.score + score,
+        lastUpdated: new Date()
+      });
+    } else {
+      await db.Leaderboard.create({
+        userId,
+        worldId,
+        score,
+        lastUpdated: new Date()
+      });
+    }
+  };
+
+  calculateSkillScore = (skillLevel) => {
+    const scoreMap = {
+      'Novice': 50,
+      'Beginner': 100,
+      'Intermediate': 250,
+      'Intermediate+': 400,
+      'Advanced': 600,
+      'Expert': 1000
+    };
+    return scoreMap[skillLevel] || 50;
+  };
+}
+
+module.exports = new VerificationPipeline();
@@ -0,0 +1,252 @@
+const os = require('os');
+const db = require('../Models');
+const { auditLogger, logger } = require('../utils/logger');
+const verificationPipeline = require('./verificationPipeline');
+const proofFreshness = require('./proofFreshness');
+
+const { Op } = db.Sequelize;
+
+// Jobs each instance runs at once; 0 leaves this instance API-only
+const CONCURRENCY = parseInt(process.env.VERIFICATION_WORKERS ?? '2', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.VERIFICATION_POLL_MS, 10) || 1000;
+// A running job whose worker hasn't renewed its lock by now is assumed dead and claimed again
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Renews the lock during long stages, e.g. League match history behind a throttled API
+const HEARTBEAT_INTERVAL_MS = LOCK_TIMEOUT_MS / 5;
+// Retry backoff when the failure gave no Retry-After hint
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Game API outages and unexpected errors are worth another try; answers like 404 are not
+const isRetryable = (error) => Boolean(error.upstreamFailure) || !error.isOperational;
+
+// Thrown into the pipeline once another worker has claimed the job, so this one stops
+const lockLost = (job) =>
+  Object.assign(new Error(`Verification job ${job.jobId} was claimed by another worker`), { lockLost: true });
+
+/**
+ * Postgres-backed queue for stats verification. Any instance can enqueue;
+ * workers claim due jobs with FOR UPDATE SKIP LOCKED, so several instances
+ * can share one table without running a job twice.
+ */
+class VerificationQueue {
+  constructor(pipeline = verificationPipeline) {
+    this.pipeline = pipeline;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.loops = [];
+  }
+
+  enqueue({ kind = 'verify', proofId, userId, questId, attemptId, game, gameAccount, region }) {
+    return db.VerificationJob.create({
+      kind,
+      proofId,
+      userId,
+      questId,
+      attemptId,
+      game,
+      gameAccount,
+      region: region || null
+    });
+  }
+
+  start(concurrency = CONCURRENCY) {
+    if (this.running || concurrency <= 0) return;
+    this.running = true;
+    this.loops = Array.from({ length: concurrency }, () => this.loop());
+    logger.info(`Verification worker ${this.workerId} started with ${concurrency} slot(s)`);
+  }
+
+  // Resolves once in-flight jobs finish; unfinished ones are reclaimed after LOCK_TIMEOUT_MS
+  async stop() {
+    this.running = false;
+    await Promise.all(this.loops);
+    this.loops = [];
+  }
+
+  async loop() {
+    while (this.running) {
+      let job = null;
+      try {
+        job = await this.claimNext();
+      } catch (error) {
+        logger.error('Failed to claim verification job', { error: error.message });
+      }
+
+      if (job) {
+        await this.process(job);
+      } else {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  claimNext() {
+    const now = new Date();
+
+    return db.sequelize.transaction(async (transaction) => {
+      const job = await db.VerificationJob.findOne({
+        where: {
+          [Op.or]: [
+            { status: 'queued', runAt: { [Op.lte]: now } },
+            { status: 'running', lockedAt: { [Op.lt]: new Date(now - LOCK_TIMEOUT_MS) } }
+          ]
+        },
+        order: [['runAt', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+      if (!job) return null;
+
+      await job.update({
+        status: 'running',
+        attempts: job.attempts + 1,
+        lockedBy: this.workerId,
+        lockedAt: now,
+        updatedAt: now
+      }, { transaction });
+      return job;
+    });
+  }
+
+  async process(job) {
+    // A worker died after storing the proof; running again would store a second one
+    if (job.kind === 'verify' && job.proofId) {
+      await this.fail(job, { message: 'Verification was interrupted. Check your verification history.', statusCode: 500 });
+      return;
+    }
+    // Reclaimed from dead workers too often
+    if (job.attempts > job.maxAttempts) {
+      await this.fail(job, job.error || { message: 'Verification could not be completed. Please try again.', statusCode: 500 });
+      return;
+    }
+
+    const heartbeat = setInterval(() => {
+      this.touch(job).catch(error => logger.warn(`Verification job ${job.jobId} heartbeat failed`, { error: error.message }));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      const hooks = {
+        onStage: stage => this.touch(job, { stage }),
+        onProofStored: proofId => this.touch(job, { proofId })
+      };
+      const result = job.kind === 'refresh'
+        ? await this.pipeline.refresh(job, hooks)
+        : await this.pipeline.run(job, hooks);
+
+      const now = new Date();
+      await this.release(job, {
+        status: 'succeeded',
+        stage: 'done',
+        result,
+        error: null,
+        updatedAt: now,
+        finishedAt: now
+      });
+    } catch (error) {
+      if (error.lockLost) {
+        logger.warn(error.message);
+        return;
+      }
+      const described = this.pipeline.describeError(error, job.game);
+
+      const proofStored = job.kind === 'verify' && job.proofId;
+      if (isRetryable(error) && !proofStored && job.attempts < job.maxAttempts) {
+        await this.retry(job, error, described);
+      } else {
+        if (!error.isOperational) {
+          logger.error('Verification job crashed', { jobId: job.jobId, error: error.message, stack: error.stack });
+        }
+        await this.fail(job, described, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Writes only while this worker still holds the job: a reclaim changes lockedBy or attempts
+  async updateLocked(job, values) {
+    const [updated] = await db.VerificationJob.update(values, {
+      where: { jobId: job.jobId, lockedBy: this.workerId, attempts: job.attempts }
+    });
+    if (updated) job.set(values);
+    return updated > 0;
+  }
+
+  // Records progress and renews the lock
+  async touch(job, values = {}) {
+    const now = new Date();
+    if (!(await this.updateLocked(job, { ...values, lockedAt: now, updatedAt: now }))) {
+      throw lockLost(job);
+    }
+  }
+
+  // Final update of a run; a worker that lost the job leaves it to the one that claimed it
+  async release(job, values) {
+    const released = await this.updateLocked(job, { ...values, lockedBy: null, lockedAt: null });
+    if (!released) {
+      logger.warn(lockLost(job).message);
+    }
+    return released;
+  }
+
+  async retry(job, error, described) {
+    const delay = error.retryAfter
+      ? error.retryAfter * 1000
+      : Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+
+    logger.warn(`Verification job ${job.jobId} failed, retrying in ${delay}ms`, {
+      attempt: job.attempts,
+      error: error.message
+    });
+
+    const released = await this.release(job, {
+      status: 'queued',
+      stage: 'queued',
+      runAt: new Date(Date.now() + delay),
+      error: described,
+      updatedAt: new Date()
+    });
+    if (!released) return;
+
+    // While it waits out an outage, the attempt doesn't count against the user's hourly budget
+    if (job.attemptId && error.upstreamFailure) {
+      await db.VerificationAttempt.update({ upstreamFailure: true }, { where: { attemptId: job.attemptId } });
+    }
+  }
+
+  async fail(job, described, error = {}) {
+    const now = new Date();
+    if (!(await this.release(job, { status: 'failed', error: described, updatedAt: now, finishedAt: now }))) {
+      return;
+    }
+
+    // A refresh that gave up leaves the proof counting until it expires
+    if (job.kind === 'refresh') {
+      await proofFreshness.markStale(job.proofId, described.message);
+    }
+
+    if (job.attemptId) {
+      await db.VerificationAttempt.update({
+        error: described.message,
+        fraudScore: error.fraudScore || 0,
+        upstreamFailure: Boolean(error.upstreamFailure)
+      }, { where: { attemptId: job.attemptId } });
+    }
+
+    auditLogger.error('Verification failed', {
+      userId: job.userId,
+      game: job.game,
+      gameAccount: job.gameAccount.substring(0, 8) + '...',
+      questId: job.questId,
+      jobId: job.jobId,
+      attempts: job.attempts,
+      error: error.message || described.message
+    });
+  }
+}
+
+module.exports = new VerificationQueue();
@@ -7,13 +7,17 @@
 // const { getWalletClient } = require('@xion-mobile/wallet-client'); 
 
 const { logger } = require('../utils/logger');
+const { ProofVerificationError } = require('../utils/errorHandler');
+const reclaimVerifier = require('./reclaimVerifier');
+const reclaimProviders = require('./reclaimProviders');
+const proofSigner = require('./proofSigner');
 const crypto = require('crypto');
 
 // --- Reclaim App Details (from your account) ---
 // You MUST replace these with your actual Reclaim Application ID and Secret
 const RECLAIM_APP_ID = process.env.RECLAIM_APP_ID || 'your-reclaim-app-id';
 const RECLAIM_APP_SECRET = process.env.RECLAIM_APP_SECRET || 'your-reclaim-app-secret';
-const TWITTER_PROVIDER_ID = process.env.TWITTER_PROVIDER_ID || 'twitter-user-profile-provider-id'; // Replace with your actual httpProviderId
+// Provider ids (httpProviderId) are configured per proof type; see reclaimProviders.js
 
 // --- Xion Blockchain Details ---
 // These are not needed for this file's purpose on the backend,
@@ -24,39 +28,60 @@ const RUM_CONTRACT_CODE_ID = 1289;
 const RUM_CLAIM_KEY = "followers_count";
 
 
+// The context Reclaim signs into the claim as its contextMessage
+const buildContext = (userId, sessionId) => `${userId}-${sessionId}`;
+
 /**
  * Builds the verification URL for the Reclaim protocol.
  * @param {string} userId - The unique ID of the user.
- * @param {string} proofType - The type of proof to request (e.g., 'twitter_followers').
+ * @param {string} proofType - The type of proof to request (e.g., 'twitter_followers'); see reclaimProviders.js.
  * @param {string} callbackUrl - The URL where Reclaim will send the proof.
+ * @param {{sessionId?: string, redirectUrl?: string}} [options] - The proof request's id, and
+ *   where to send the user once the proof is generated (the app's deep link).
  * @returns {string} The complete URL to redirect the user to.
  */
-const buildVerificationUrl = (userId, proofType, callbackUrl) => {
-    if (!RECLAIM_APP_ID || !TWITTER_PROVIDER_ID) {
-        throw new Error("Reclaim Application ID or Twitter Provider ID not configured.");
+const buildVerificationUrl = (userId, proofType, callbackUrl, { sessionId = crypto.randomUUID(), redirectUrl } = {}) => {
+    const providerId = reclaimProviders.providerId(proofType);
+    if (!RECLAIM_APP_ID) {
+        throw new Error("Reclaim Application ID not configured.");
     }
 
-    const sessionId = crypto.randomUUID(); // Unique session ID for each request
-    const reclaimUrl = `https://api.reclaim.xyz/prove?app_id=${RECLAIM_APP_ID}&callback_url=${encodeURIComponent(callbackUrl)}&context=${userId}-${sessionId}&provider_id=${TWITTER_PROVIDER_ID}`;
+    let reclaimUrl = `https://api.reclaim.xyz/prove?app_id=${RECLAIM_APP_ID}&callback_url=${encodeURIComponent(callbackUrl)}&context=${encodeURIComponent(buildContext(userId, sessionId))}&provider_id=${providerId}`;
+    if (redirectUrl) {
+        reclaimUrl += `&redirect_url=${encodeURIComponent(redirectUrl)}`;
+    }
 
     return reclaimUrl;
 };
 
 /**
- * Verifies the proof received from Reclaim.
+ * Verifies the proof received from Reclaim: claim identifiers, witness signatures,
+ * epoch, timestamp and owner (see reclaimVerifier.js).
  * IMPORTANT: This is a backend function. The on-chain storage logic has been
  * commented out as it requires a client-side wallet to sign transactions.
- * @param {string} proofData - The proof data string received from Reclaim's callback.
- * @returns {Promise<object>} The result of the verification.
+ * @param {string|object} proofData - The proof data received from Reclaim's callback.
+ * @param {{owner?: string}} [options] - `owner`: the address every claim must belong to.
+ * @returns {Promise<object>} The parsed proof data, with the verified `claims`.
+ * @throws {ProofVerificationError} With a `code` naming the check that failed.
  */
-const verifyAndStoreProof = async (proofData) => {
+const verifyAndStoreProof = async (proofData, options = {}) => {
     try {
-        const verificationResult = JSON.parse(decodeURIComponent(proofData));
+        let verificationResult;
+        try {
+            verificationResult = typeof proofData === 'string'
+                ? JSON.parse(decodeURIComponent(proofData))
+                : proofData;
+        } catch (error) {
+            throw new ProofVerificationError(`Proof data is not valid JSON: ${error.message}`, 'MALFORMED_PROOF');
+        }
 
         if (!verificationResult || !verificationResult.proofs || verificationResult.proofs.length === 0) {
-            throw new Error("Invalid proof data received.");
+            throw new ProofVerificationError("Invalid proof data received.", 'MALFORMED_PROOF');
         }
 
+        // Nothing below trusts the proof until every claim checks out
+        const claims = reclaimVerifier.verifyProofs(verificationResult.proofs, options);
+
         // 1. Extract and process proof data (this logic is correct)
         const proof = verificationResult.proofs[0];
         const claimInfo = {
@@ -74,11 +99,11 @@ const verifyAndStoreProof = async (proofData) => {
             signatures: proof.signatures,
         };
 
-        // This is where you would perform server-side validation of the proof data.
-        // This logic is separate from the on-chain transaction.
-        logger.info('Proof data received and processed on the backend.');
-        logger.info('Claim Info:', claimInfo);
-        logger.info('Signed Claim:', signedClaim);
+        logger.info('Reclaim proof verified', {
+            identifiers: claims.map(claim => claim.identifier),
+            owner: signedClaim.claim.owner,
+            witnesses: claims[0].witnesses
+        });
 
         // NOTE: The on-chain transaction part is commented out because it requires
         // a client-side wallet for signing. Your mobile app should handle this.
@@ -108,13 +133,69 @@ const verifyAndStoreProof = async (proofData) => {
         logger.info(`RUM contract update result: ${JSON.stringify(executeResult)}`);
         */
 
-        return verificationResult;
+        return { ...verificationResult, claims };
     } catch (error) {
-        logger.error("Error in verifyAndStoreProof:", error);
+        logger.error("Error in verifyAndStoreProof:", { code: error.code, message: error.message });
         throw error;
     }
 };
 
+/**
+ * Seals verified stats into a server-signed proof envelope (see utils/proofEnvelope.js).
+ * @param {string} game - The game (or proof source) the stats came from.
+ * @param {string} gameAccount - The account name as the user submitted it.
+ * @param {object} verifiedStats - The pipeline's stats result; `stats` is committed to, `accountId` identifies the account.
+ * @param {{userId: number, questId: number}} context - Who the proof is for.
+ * @returns {Promise<{commitment: string, envelope: object}>}
+ */
+const generateProof = async (game, gameAccount, verifiedStats, { userId, questId }) => {
+    const { envelope, commitment } = proofSigner.seal({
+        game,
+        account: { id: verifiedStats.accountId, name: gameAccount },
+        userId,
+        questId,
+        stats: verifiedStats.stats
+    });
+    logger.info(`Proof envelope ${commitment.substring(0, 12)}... signed with key ${envelope.kid}`);
+    return { commitment, envelope };
+};
+
+/**
+ * Prepares the on-chain anchor for a proof: its commitment and signing key, never the stats.
+ * The backend holds no wallet, so nothing is broadcast here; the mobile app signs and sends
+ * `anchor` with the user's wallet, and `transactionHash` stays null.
+ * @returns {Promise<{transactionHash: null, anchor: {contract: string, msg: object}}>}
+ */
+const submitToChain = async (zkProof, userId, questId) => {
+    return {
+        transactionHash: null,
+        anchor: {
+            contract: VERIFICATION_CONTRACT_ADDR,
+            msg: {
+                anchor_proof: {
+                    commitment: zkProof.commitment,
+                    kid: zkProof.envelope.kid,
+                    user_id: String(userId),
+                    quest_id: String(questId)
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Checks a proof envelope's signature against the published keys and, when the
+ * stats are disclosed, that they open the signed commitment.
+ * @param {object} envelope - As stored on the proof or shared by its owner.
+ * @returns {{valid: boolean, code?: string, message?: string, kid?: string, payload?: object, statsDisclosed?: boolean}}
+ */
+const verifyProof = (envelope) => {
+    if (!envelope) {
+        return { valid: false, code: 'MISSING_ENVELOPE', message: 'This proof has no signed envelope' };
+    }
+    return proofSigner.verify(envelope);
+};
+
 /**
  * Instantiates the RUM contract.
  * THIS FUNCTION IS COMMENTED OUT as it requires a client-side wallet.
@@ -141,6 +222,10 @@ const instantiateRUMContract = async (account, client) => {
 */
 
 module.exports = {
+    buildContext,
     buildVerificationUrl,
     verifyAndStoreProof,
+    generateProof,
+    submitToChain,
+    verifyProof,
 };
@@ -0,0 +1,162 @@
+const { parseJsonPath, queryJsonPath } = require('./jsonPath');
+
+// JSON conditions stored with admin-editable rules:
+//   { all: [cond, ...] }   every condition holds
+//   { any: [cond, ...] }   at least one holds
+//   { not: cond }          negation
+//   { path: '$.stats.soloQueue.winRate', op: '>', value: 95 }
+//   { path: '$.stats.soloQueue.tier', op: '>=', value: 'GOLD', scale: ['IRON', ..., 'CHALLENGER'] }
+//                          ordered values: compared by their position in `scale`
+// A missing value fails every comparison (including != and notIn), so a
+// rule never fires on data it can't see.
+
+const NUMERIC_OPS = ['>', '>=', '<', '<='];
+const EQUALITY_OPS = ['==', '!='];
+const LIST_OPS = ['in', 'notIn'];
+const OPERATORS = [...NUMERIC_OPS, ...EQUALITY_OPS, ...LIST_OPS];
+const MAX_DEPTH = 8;
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+};
+
+// Numeric strings such as winRate: '61.20' compare equal to 61.2
+const looselyEqual = (actual, expected) => {
+  if (typeof expected === 'number') return toNumber(actual) === expected;
+  return actual === expected;
+};
+
+const compare = (actual, op, expected) => {
+  if (actual === undefined || actual === null) return false;
+
+  switch (op) {
+    case '>': case '>=': case '<': case '<=': {
+      const number = toNumber(actual);
+      const limit = toNumber(expected);
+      if (number === null || limit === null) return false;
+      if (op === '>') return number > limit;
+      if (op === '>=') return number >= limit;
+      if (op === '<') return number < limit;
+      return number <= limit;
+    }
+    case '==':
+      return looselyEqual(actual, expected);
+    case '!=':
+      return !looselyEqual(actual, expected);
+    case 'in':
+      return expected.some(item => looselyEqual(actual, item));
+    case 'notIn':
+      return !expected.some(item => looselyEqual(actual, item));
+    default:
+      return false;
+  }
+};
+
+// Case-insensitive; 'Gold 2' falls back to its first word, so divisions rank with their tier
+const scalePosition = (scale, value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().toLowerCase();
+  let index = scale.findIndex(item => item.toLowerCase() === text);
+  if (index === -1) index = scale.findIndex(item => item.toLowerCase() === text.split(/\s+/)[0]);
+  return index === -1 ? null : index;
+};
+
+const evaluateCondition = (condition, context) => {
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, context));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, context));
+  if (condition.not) return !evaluateCondition(condition.not, context);
+
+  const actual = queryJsonPath(context, condition.path);
+  if (condition.scale) {
+    const position = (value) => scalePosition(condition.scale, value);
+    const expected = Array.isArray(condition.value) ? condition.value.map(position) : position(condition.value);
+    return compare(position(actual), condition.op, expected);
+  }
+  return compare(actual, condition.op, condition.value);
+};
+
+// Returns a list of problems; empty means the condition is usable.
+// `roots` limits which top-level context keys paths may read.
+const validateCondition = (condition, { roots = null } = {}, where = 'condition', depth = 0) => {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${where} must be an object`];
+  }
+  if (depth > MAX_DEPTH) {
+    return [`${where} is nested more than ${MAX_DEPTH} levels deep`];
+  }
+
+  for (const key of ['all', 'any']) {
+    if (condition[key] !== undefined) {
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        return [`${where}.${key} must be a non-empty array`];
+      }
+      return condition[key].flatMap((child, i) =>
+        validateCondition(child, { roots }, `${where}.${key}[${i}]`, depth + 1));
+    }
+  }
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not, { roots }, `${where}.not`, depth + 1);
+  }
+
+  const problems = [];
+  try {
+    const tokens = parseJsonPath(condition.path);
+    if (roots && (tokens.length === 0 || !roots.includes(tokens[0].key))) {
+      problems.push(`${where}.path must start with one of ${roots.map(root => `$.${root}`).join(', ')}`);
+    }
+  } catch (error) {
+    problems.push(`${where}.path: ${error.message}`);
+  }
+
+  const { op, value, scale } = condition;
+  if (scale !== undefined) {
+    if (!Array.isArray(scale) || scale.length < 2 || !scale.every(item => typeof item === 'string')) {
+      problems.push(`${where}.scale must list at least two values in order`);
+    } else {
+      [].concat(value).filter(item => scalePosition(scale, item) === null).forEach(item => {
+        problems.push(`${where}.value ${item} is not one of ${scale.join(', ')}`);
+      });
+    }
+  }
+
+  if (!OPERATORS.includes(op)) {
+    problems.push(`${where}.op must be one of ${OPERATORS.join(' ')}`);
+  } else if (NUMERIC_OPS.includes(op) && scale === undefined && toNumber(value) === null) {
+    problems.push(`${where}.value must be a number for ${op}`);
+  } else if (LIST_OPS.includes(op) && (!Array.isArray(value) || value.length === 0)) {
+    problems.push(`${where}.value must be a non-empty array for ${op}`);
+  } else if (EQUALITY_OPS.includes(op) && (value === undefined || (value !== null && typeof value === 'object'))) {
+    problems.push(`${where}.value must be a string, number, boolean or null for ${op}`);
+  }
+  return problems;
+};
+
+// Every path a condition reads, e.g. to record the values a rule matched on
+const conditionPaths = (condition) => {
+  if (condition.all) return condition.all.flatMap(conditionPaths);
+  if (condition.any) return condition.any.flatMap(conditionPaths);
+  if (condition.not) return conditionPaths(condition.not);
+  return [condition.path];
+};
+
+// Fills {$.path} placeholders, e.g. 'Climbed {$.signals.actTierSpan} tiers'
+const fillTemplate = (template, context) => {
+  return template.replace(/\{(\$[^}]*)\}/g, (placeholder, path) => {
+    try {
+      const value = queryJsonPath(context, path);
+      return value === undefined || value === null ? '?' : String(value);
+    } catch (error) {
+      return placeholder;
+    }
+  });
+};
+
+module.exports = {
+  OPERATORS,
+  NUMERIC_OPS,
+  evaluateCondition,
+  validateCondition,
+  conditionPaths,
+  fillTemplate
+};
@@ -8,6 +8,23 @@ class AppError extends Error {
       Error.captureStackTrace(this, this.constructor);
     }
   }
+
+  // A game API is down or out of budget: not the user's fault, and worth retrying later
+  class UpstreamUnavailableError extends AppError {
+    constructor(message, retryAfter, statusCode = 503) {
+      super(message, statusCode);
+      this.retryAfter = retryAfter; // seconds
+      this.upstreamFailure = true;
+    }
+  }
+
+  // A zkTLS proof failed verification; `code` says which check (see services/reclaimVerifier.js)
+  class ProofVerificationError extends AppError {
+    constructor(message, code, statusCode = 400) {
+      super(message, statusCode);
+      this.code = code;
+    }
+  }
   
   const catchAsync = (fn) => {
     return (req, res, next) => {
@@ -52,7 +69,9 @@ class AppError extends Error {
     if (err.isOperational) {
       return res.status(err.statusCode).json({
         success: false,
-        message: err.message
+        message: err.message,
+        ...(err.retryAfter && { retryAfter: err.retryAfter }),
+        ...(typeof err.code === 'string' && { code: err.code })
       });
     }
   
@@ -67,6 +86,10 @@ class AppError extends Error {
   const globalErrorHandler = (err, req, res, next) => {
     err.statusCode = err.statusCode || 500;
     err.status = err.status || 'error';
+
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
   
     if (process.env.NODE_ENV === 'development') {
       sendErrorDev(err, req, res);
@@ -86,6 +109,8 @@ class AppError extends Error {
   
   module.exports = {
     AppError,
+    UpstreamUnavailableError,
+    ProofVerificationError,
     catchAsync,
     globalErrorHandler
   };
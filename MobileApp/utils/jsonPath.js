@@ -0,0 +1,61 @@
+// Minimal JSONPath subset for admin-defined stat mappings:
+//   $.data.stats.wins         dotted keys
+//   $.seasons[0].rating       array indices (negative counts from the end)
+//   $['display name']         quoted keys
+//   $.queues[?(@.type=='solo')].rating   equality filters (first match)
+
+const TOKEN_PATTERN = /\.([A-Za-z_$][\w$-]*)|\[(-?\d+)\]|\[['"]([^'"]+)['"]\]|\[\?\(@\.([\w$-]+)\s*==\s*(?:'([^']*)'|"([^"]*)"|(-?\d+(?:\.\d+)?)|(true|false))\)\]/y;
+
+const parseJsonPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`JSONPath must start with $: ${path}`);
+  }
+
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 1;
+  while (TOKEN_PATTERN.lastIndex < path.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(path);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax at position ${start}: ${path}`);
+    }
+
+    const [, key, index, quotedKey, filterKey, singleQuoted, doubleQuoted, number, bool] = match;
+    if (key !== undefined || quotedKey !== undefined) {
+      tokens.push({ type: 'key', key: key !== undefined ? key : quotedKey });
+    } else if (index !== undefined) {
+      tokens.push({ type: 'index', index: parseInt(index, 10) });
+    } else {
+      let value = singleQuoted !== undefined ? singleQuoted : doubleQuoted;
+      if (number !== undefined) value = parseFloat(number);
+      if (bool !== undefined) value = bool === 'true';
+      tokens.push({ type: 'filter', key: filterKey, value });
+    }
+  }
+  return tokens;
+};
+
+// Returns the value at `path`, or undefined when any step is missing
+const queryJsonPath = (data, path) => {
+  return parseJsonPath(path).reduce((current, token) => {
+    if (current === undefined || current === null) return undefined;
+
+    switch (token.type) {
+      case 'key':
+        return current[token.key];
+      case 'index':
+        if (!Array.isArray(current)) return undefined;
+        return current[token.index < 0 ? current.length + token.index : token.index];
+      case 'filter':
+        if (!Array.isArray(current)) return undefined;
+        return current.find(item => item && item[token.key] === token.value);
+      default:
+        return undefined;
+    }
+  }, data);
+};
+
+module.exports = {
+  parseJsonPath,
+  queryJsonPath
+};
@@ -55,4 +55,6 @@ const auditLogger = winston.createLogger({
       maxFiles: 10
     })
   ]
-});
\ No newline at end of file
+});
+
+module.exports = { logger, auditLogger };
@@ -0,0 +1,99 @@
+// Proof envelopes: the signed record of a verification. This file only needs
+// Node's crypto module, so anyone can copy it to check an envelope offline
+// against the keys published at GET /api/proofs/keys.
+//
+//   {
+//     version: 1, alg: 'EdDSA', kid,          kid: RFC 7638 thumbprint of the signing key
+//     payload: { game, account: { id, name }, userId, questId, issuedAt, commitment },
+//     signature,                                Ed25519 over canonicalize({ version, alg, kid, payload }), base64url
+//     stats, salt                               the opening; drop both to share only the commitment
+//   }
+//
+// commitment = hex(sha256(salt + ':' + canonicalize(stats)))
+
+const crypto = require('crypto');
+
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'EdDSA';
+
+// JSON with object keys sorted at every level and no whitespace. Dates (and
+// anything else with toJSON) serialize as JSON.stringify would; undefined drops out.
+const canonicalize = (value) => {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const commitment = (stats, salt) =>
+  crypto.createHash('sha256').update(`${salt}:${canonicalize(stats)}`).digest('hex');
+
+// RFC 7638 thumbprint of an Ed25519 public JWK
+const keyId = (jwk) =>
+  crypto.createHash('sha256').update(canonicalize({ crv: jwk.crv, kty: jwk.kty, x: jwk.x })).digest('base64url');
+
+const signingInput = ({ version, alg, kid, payload }) => Buffer.from(canonicalize({ version, alg, kid, payload }));
+
+/**
+ * Checks an envelope against a JWKS ({ keys: [...] }). Never throws.
+ * A key with `notAfter` only vouches for envelopes issued up to that time,
+ * which is how a retired or compromised key is cut off.
+ * @returns {{valid: boolean, code?: string, message?: string, kid?: string, payload?: object, statsDisclosed?: boolean}}
+ */
+const verifyEnvelope = (envelope, jwks) => {
+  const fail = (code, message) => ({ valid: false, code, message, kid: envelope?.kid });
+
+  if (!envelope || typeof envelope !== 'object' || !envelope.payload || typeof envelope.signature !== 'string') {
+    return fail('MALFORMED_ENVELOPE', 'Envelope needs a payload and a signature');
+  }
+  if (envelope.version !== ENVELOPE_VERSION || envelope.alg !== ALGORITHM) {
+    return fail('UNSUPPORTED_VERSION', `Only version ${ENVELOPE_VERSION} ${ALGORITHM} envelopes are supported`);
+  }
+
+  const jwk = (jwks?.keys || []).find(key => key.kid === envelope.kid);
+  if (!jwk || keyId(jwk) !== envelope.kid) {
+    return fail('UNKNOWN_KEY', `No published key ${envelope.kid}`);
+  }
+
+  let signatureValid = false;
+  try {
+    const publicKey = crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: 'jwk' });
+    signatureValid = crypto.verify(null, signingInput(envelope), publicKey, Buffer.from(envelope.signature, 'base64url'));
+  } catch (error) {
+    signatureValid = false;
+  }
+  if (!signatureValid) {
+    return fail('INVALID_SIGNATURE', 'Signature does not match the payload');
+  }
+
+  const { payload } = envelope;
+  if (jwk.notAfter && !(new Date(payload.issuedAt) <= new Date(jwk.notAfter))) {
+    return fail('KEY_EXPIRED', `Key ${envelope.kid} was retired before this envelope was issued`);
+  }
+
+  const statsDisclosed = envelope.stats !== undefined && envelope.salt !== undefined;
+  if (statsDisclosed && commitment(envelope.stats, envelope.salt) !== payload.commitment) {
+    return fail('COMMITMENT_MISMATCH', 'Stats do not match the signed commitment');
+  }
+
+  return { valid: true, kid: envelope.kid, payload, statsDisclosed };
+};
+
+module.exports = {
+  ENVELOPE_VERSION,
+  ALGORITHM,
+  canonicalize,
+  commitment,
+  keyId,
+  signingInput,
+  verifyEnvelope
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { canonicalize, commitment, keyId, signingInput, verifyEnvelope } = require('./proofEnvelope');
+
+const publicJwk = (privateKey) => {
+  const { kty, crv, x } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  return { kty, crv, x };
+};
+
+// What services/proofSigner.js produces, without the service around it
+const seal = (privateKey, stats, { issuedAt = '2026-01-01T00:00:00.000Z' } = {}) => {
+  const jwk = publicJwk(privateKey);
+  const salt = crypto.randomBytes(32).toString('hex');
+  const header = { version: 1, alg: 'EdDSA', kid: keyId(jwk) };
+  const payload = {
+    game: 'valorant',
+    account: { id: 'puuid-1', name: 'Player#1234' },
+    userId: 1,
+    questId: 2,
+    issuedAt,
+    commitment: commitment(stats, salt)
+  };
+  const signature = crypto.sign(null, signingInput({ ...header, payload }), privateKey).toString('base64url');
+  return { ...header, payload, signature, stats, salt };
+};
+
+const jwksOf = (...entries) => ({
+  keys: entries.map(({ privateKey, notAfter }) => ({ ...publicJwk(privateKey), kid: keyId(publicJwk(privateKey)), notAfter }))
+});
+
+const stats = { currentRank: { tier: 'Diamond 1', rr: 42 }, recentPerformance: { kdr: 1.31 } };
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+
+describe('canonicalize', () => {
+  it('sorts keys at every level and drops undefined', () => {
+    expect(canonicalize({ b: 1, a: { d: [2, undefined], c: undefined } })).toBe('{"a":{"d":[2,null]},"b":1}');
+    expect(canonicalize({ at: new Date('2026-01-01T00:00:00Z') })).toBe('{"at":"2026-01-01T00:00:00.000Z"}');
+  });
+});
+
+describe('verifyEnvelope', () => {
+  it('accepts an envelope after a JSON round trip', () => {
+    const envelope = JSON.parse(JSON.stringify(seal(privateKey, stats)));
+
+    expect(verifyEnvelope(envelope, jwksOf({ privateKey }))).toMatchObject({ valid: true, statsDisclosed: true });
+  });
+
+  it('accepts a redacted envelope without its opening', () => {
+    const { stats: omitted, salt, ...redacted } = seal(privateKey, stats);
+
+    expect(verifyEnvelope(redacted, jwksOf({ privateKey }))).toMatchObject({ valid: true, statsDisclosed: false });
+  });
+
+  it('catches a tampered stat', () => {
+    const envelope = seal(privateKey, stats);
+    envelope.stats.currentRank.tier = 'Radiant';
+
+    expect(verifyEnvelope(envelope, jwksOf({ privateKey })).code).toBe('COMMITMENT_MISMATCH');
+  });
+
+  it('catches a tampered payload', () => {
+    const envelope = seal(privateKey, stats);
+    envelope.payload.userId = 2;
+
+    expect(verifyEnvelope(envelope, jwksOf({ privateKey })).code).toBe('INVALID_SIGNATURE');
+  });
+
+  it('only trusts published keys', () => {
+    const other = crypto.generateKeyPairSync('ed25519').privateKey;
+    const envelope = seal(other, stats);
+
+    expect(verifyEnvelope(envelope, jwksOf({ privateKey })).code).toBe('UNKNOWN_KEY');
+    // A key published under another key's kid doesn't count either
+    const forged = { keys: [{ ...publicJwk(privateKey), kid: envelope.kid }] };
+    expect(verifyEnvelope(envelope, forged).code).toBe('UNKNOWN_KEY');
+  });
+
+  it('reports malformed and unsupported envelopes without throwing', () => {
+    expect(verifyEnvelope(null, jwksOf({ privateKey })).code).toBe('MALFORMED_ENVELOPE');
+    expect(verifyEnvelope({ ...seal(privateKey, stats), version: 2 }, jwksOf({ privateKey })).code).toBe('UNSUPPORTED_VERSION');
+  });
+
+  it('keeps verifying envelopes of a retired key up to its notAfter', () => {
+    const retired = crypto.generateKeyPairSync('ed25519').privateKey;
+    const jwks = jwksOf({ privateKey }, { privateKey: retired, notAfter: '2026-06-01T00:00:00.000Z' });
+
+    expect(verifyEnvelope(seal(retired, stats, { issuedAt: '2026-05-31T00:00:00.000Z' }), jwks).valid).toBe(true);
+    expect(verifyEnvelope(seal(retired, stats, { issuedAt: '2026-06-02T00:00:00.000Z' }), jwks).code).toBe('KEY_EXPIRED');
+    expect(verifyEnvelope(seal(privateKey, stats, { issuedAt: '2026-06-02T00:00:00.000Z' }), jwks).valid).toBe(true);
+  });
+});